@@ -31,6 +31,9 @@ module.exports = {
       'Offers.Listings.Price',
       'Offers.Listings.SavingBasis', // Original price when on sale
       'Offers.Listings.Availability.Type', // Availability status
+      'BrowseNodeInfo.BrowseNodes', // Category, for category clustering
+      'ItemInfo.Classifications', // Product group
+      'ItemInfo.ByLineInfo', // Brand, for diversity caps
     ],
     
     // Rate limiting (free tier = 1 request/second)
@@ -45,9 +48,59 @@ module.exports = {
     // Number of top ASINs to include
     topN: 100,
     
-    // Ranking metric: 'ordered_items', 'shipped_revenue', 'earnings', 'conversion_rate'
+    // Ranking metric: 'ordered_items', 'shipped_revenue', 'earnings', 'conversion_rate',
+    // 'composite' (weighted blend of the metrics below), or a smoothed rate
+    // for low-traffic ASINs: 'smoothed_conversion_rate', 'smoothed_epc',
+    // 'smoothed_revenue_per_click'
     rankingMetric: 'ordered_items',
     
+    // Clicks' worth of weight given to the overall rate when smoothing
+    // (higher = a product needs more traffic before its own rate counts)
+    priorStrength: 100,
+    
+    // Composite ranking weights (relative; each metric is scored by percentile)
+    // discount_percentage only counts once products are enriched
+    compositeWeights: {
+      ordered_items: 0.4,
+      earnings: 0.3,
+      epc: 0.15,
+      conversion_rate: 0.15,
+      discount_percentage: 0,
+    },
+    
+    // Cluster label set on each feed product (clustering.js): 'price_range',
+    // 'price_quantile', 'performance' (k-means tiers), 'category', or null for none
+    clusterBy: null,
+    clusterOptions: { bands: 4, k: 3 },
+    
+    // ABC classes in feed metadata (pareto-analysis.js): the metric whose
+    // cumulative share splits A (first 80%), B (to 95%) and the C long tail,
+    // or null to skip
+    paretoMetric: 'earnings',
+    abcThresholds: { A: 0.8, B: 0.95 },
+    
+    // Most products per group in a top N (diversity-selection.js), the rest
+    // backfilled from lower ranks: cluster, tag, brand, title (near-identical
+    // titles, titleSimilarity 0.6 by default). Empty for no caps.
+    // diversity: { brand: 2, title: 1, tag: 10 },
+    diversity: {},
+    
+    // Modules of house ranking strategies (ranking-strategies.js), relative
+    // to the project root; each strategy's name can then be used as rankBy.
+    // A module exports { name: { description, score(product) } } (or compare(a, b)).
+    // strategyModules: ['./strategies/house.js'],
+    strategyModules: [],
+    
+    // Properties (sites, newsletters) and the tracking IDs whose traffic
+    // ranks each one's own top N (tag-leaderboards.js). Each property's feed
+    // goes under {outputPath}/{property}/{credential}/{date}/. Leave empty
+    // for one leaderboard per tracking ID.
+    // properties: {
+    //   'site-a': { tags: ['sitea-20', 'sitea-deals-20'], topN: 50, associateTag: 'sitea-20' },
+    //   newsletter: ['news-20'],
+    // },
+    properties: {},
+    
     // Output directory structure
     outputPath: '/feeds',
     outputPattern: '{publisher}/{credential}/{date}/top-products.json',
@@ -82,7 +135,7 @@ module.exports = {
   // CSV Parsing
   // ============================================
   csv: {
-    // Expected column names (flexible - will match case-insensitive)
+    // Extra column names, tried before the built-in ones (case-insensitive)
     columns: {
       asin: ['ASIN', 'asin', 'Product ASIN'],
       orderedItems: ['Ordered Items', 'ordered_items', 'Items Ordered'],
@@ -96,6 +149,14 @@ module.exports = {
     
     // Validate ASIN format (10 alphanumeric characters)
     validateAsins: true,
+    
+    // Allowed difference between parsed totals and the report's own
+    // "Total" row / summary lines before reconciliation reports a mismatch
+    reconcileTolerance: 0.01,
+    
+    // Saved column mapping profiles, matched by a hash of the header row
+    // (default: mapping-profiles.json in the project root, git-ignored)
+    profilesPath: null,
   },
 
   // ============================================
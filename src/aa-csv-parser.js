@@ -10,11 +10,43 @@
  *   const parser = require('./aa-csv-parser');
  *   const data = await parser.parseFile('path/to/report.csv');
  *   const data = await parser.parseFile('path/to/report.xlsx');
+ *
+ *   // Custom exports: extra column names, or a saved mapping profile
+ *   const data = await parser.parseFile('partner.csv', { columns: { orderedItems: ['Units'] } });
+ *   const data = await parser.parseFile('partner.csv', { profile: 'partner-x' });
+ *
+ *   // Large reports: consume mapped products one row at a time
+ *   const { products, metadata } = parser.streamFile('path/to/report.csv');
+ *   for await (const product of products) { ... }
  */
 
-const fs = require('fs').promises;
+const { pipeline } = require('stream');
 const Papa = require('papaparse');
 const XLSX = require('xlsx');
+const {
+  REPORT_TYPES,
+  DEFAULT_REPORT_TYPE,
+  TEXT_FIELDS,
+  scoreReportType,
+  toRecordKey,
+} = require('./report-types');
+const {
+  LOCALES,
+  DEFAULT_LOCALE,
+  parseLocaleNumber,
+  detectLocale,
+} = require('./locale-numbers');
+const {
+  hashHeaders,
+  mergeColumnMappings,
+  getProfile,
+  findProfileByHeaders,
+} = require('./mapping-profiles');
+const validator = require('./report-validator');
+const reportTotals = require('./report-totals');
+const reportFiles = require('./report-files');
+const identifiers = require('./identifiers');
+const { resolveReportPeriod } = require('./report-period');
 
 /**
  * Column name mappings (case-insensitive matching)
@@ -30,20 +62,66 @@ const COLUMN_MAPPINGS = {
   itemsShipped: ['items shipped', 'items_shipped', 'shipped items', 'qty shipped'],
   tag: ['tag', 'tracking id', 'tracking_id', 'associate tag'],
   productName: ['name', 'product name', 'title', 'product title'],
-  dateShipped: ['date shipped', 'date_shipped', 'ship date', 'shipped date']
+  dateShipped: ['date shipped', 'date_shipped', 'ship date', 'shipped date'],
+  returnedItems: ['returns', 'returned items', 'returned_items', 'items returned', 'qty returned'],
+  returnedRevenue: ['returned revenue', 'returned_revenue', 'refunds', 'refunded revenue', 'returned revenue($)', 'returned revenue ($)'],
+  returnedEarnings: ['returned earnings', 'returned_earnings', 'returned ad fees', 'ad fees returned', 'refunded ad fees'],
+  category: ['category', 'product category', 'item category'],
+  productGroup: ['product group', 'product_group', 'product line'],
+  seller: ['seller', 'sold by', 'seller type', 'merchant'],
+  deviceType: ['device type', 'device_type', 'device type group', 'device group', 'device'],
+  linkType: ['link type', 'link_type', 'linktype']
+};
+
+/**
+ * Text columns copied onto products as-is (snake_case keys), so
+ * performance can be segmented without PA-API data
+ */
+const DIMENSION_FIELDS = ['category', 'productGroup', 'seller', 'deviceType', 'linkType'];
+
+/**
+ * Rows sampled for number locale auto-detection
+ */
+const LOCALE_SAMPLE_ROWS = 200;
+
+/**
+ * Metric fields joined across workbook sheets, and their product keys
+ */
+const SHEET_METRICS = {
+  orderedItems: 'ordered_items',
+  shippedRevenue: 'shipped_revenue',
+  earnings: 'earnings',
+  clicks: 'clicks',
+  itemsShipped: 'items_shipped',
+};
+
+/**
+ * Return fields on products; in multi-sheet mode they come from the sheet
+ * that owns shipped revenue, since returns are booked against shipments
+ */
+const RETURN_FIELDS = ['returned_items', 'returned_revenue', 'returned_earnings'];
+
+/**
+ * Metrics each Fee-* sheet is authoritative for in multi-sheet mode
+ * (Fee-Orders: clicks and ordered items; Fee-Earnings: shipped revenue and ad fees)
+ */
+const SHEET_FIELD_PRIORITY = {
+  'Fee-Orders': ['orderedItems', 'clicks'],
+  'Fee-Earnings': ['shippedRevenue', 'earnings', 'itemsShipped'],
 };
 
 /**
  * Validates if a string is a valid ASIN format
+ *
+ * Accepts ASINs in any case, ISBN-10s with a correct check digit and
+ * 978-prefixed ISBN-13s (see identifiers.js).
+ *
  * @param {string} asin - The ASIN to validate
  * @returns {boolean} True if valid ASIN format
  */
 function isValidASIN(asin) {
   if (!asin || typeof asin !== 'string') return false;
-  
-  // ASIN format: 10 alphanumeric characters, starts with B or numeric
-  const asinPattern = /^[B0-9][A-Z0-9]{9}$/i;
-  return asinPattern.test(asin.trim());
+  return identifiers.isValidIdentifier(asin);
 }
 
 /**
@@ -64,44 +142,375 @@ function findColumn(headers, possibleNames) {
   return null;
 }
 
+/**
+ * Builds a field -> column name map from a header row
+ * @param {string[]} headers - Array of column headers
+ * @param {Object} mappings - Field -> possible column names (default: COLUMN_MAPPINGS)
+ * @returns {Object} Column name mappings for every detected field
+ */
+function buildColumnMap(headers, mappings = COLUMN_MAPPINGS) {
+  const columnMap = {};
+  for (const [field, possibleNames] of Object.entries(mappings)) {
+    const matchedColumn = findColumn(headers, possibleNames);
+    if (matchedColumn) {
+      columnMap[field] = matchedColumn;
+    }
+  }
+  return columnMap;
+}
+
+/**
+ * Throws if any required field is missing from the column map
+ * @param {Object} columnMap - Column name mappings
+ * @param {string[]} headers - Array of column headers
+ * @param {string[]} requiredFields - Fields that must be present
+ * @param {Object} mappings - Field -> possible column names (for the error message)
+ */
+function assertRequiredColumns(columnMap, headers, requiredFields, mappings = COLUMN_MAPPINGS) {
+  const missingFields = requiredFields.filter(field => !columnMap[field]);
+  
+  if (missingFields.length > 0) {
+    throw new Error(
+      `Missing required columns. Could not find: ${missingFields.join(', ')}\n` +
+      `Available columns: ${headers.join(', ')}\n` +
+      `Expected one of: ${missingFields.map(f => mappings[f].join(' or ')).join(', ')}`
+    );
+  }
+}
+
+/**
+ * Picks the mapping profile for a header row: named profile, or one saved for these headers
+ * @param {string[]} headers - Array of column headers
+ * @param {Object} options - Parsing options
+ * @param {string} options.profile - Use this saved profile (optional)
+ * @param {boolean} options.useProfiles - Match saved profiles by header hash (default: true)
+ * @param {string} options.profilesPath - Profiles file (optional)
+ * @returns {Object|null} Mapping profile or null
+ */
+function resolveMappingProfile(headers, options = {}) {
+  if (options.profile) {
+    return getProfile(options.profile, options.profilesPath);
+  }
+  if (options.useProfiles === false) {
+    return null;
+  }
+  return findProfileByHeaders(headers, options.profilesPath);
+}
+
+/**
+ * Finds the report type whose schema best fits a header row
+ * @param {string[]} headers - Array of column headers
+ * @param {string} forcedType - Only consider this report type (optional)
+ * @param {Object} customColumns - User column names, tried before the built-ins (optional)
+ * @returns {Object|null} Best match ({ reportType, schema, mappings, columnMap }) or null
+ */
+function identifyReportType(headers, forcedType, customColumns = {}) {
+  const typeIds = forcedType ? [forcedType] : Object.keys(REPORT_TYPES);
+  let best = null;
+  
+  for (const reportType of typeIds) {
+    const schema = REPORT_TYPES[reportType];
+    if (!schema) {
+      throw new Error(
+        `Unknown report type: ${reportType}. ` +
+        `Available: ${Object.keys(REPORT_TYPES).join(', ')}`
+      );
+    }
+    
+    const mappings = mergeColumnMappings({ ...COLUMN_MAPPINGS, ...schema.columns }, customColumns);
+    const columnMap = buildColumnMap(headers, mappings);
+    const { missing, excluded, score } = scoreReportType(schema, columnMap);
+    
+    if (missing.length === 0 && excluded.length === 0 && (!best || score > best.score)) {
+      best = { reportType, schema, mappings, columnMap, score };
+    }
+  }
+  
+  return best;
+}
+
+/**
+ * Fingerprints a header row and returns the matching report schema
+ *
+ * User column names (options.columns, e.g. config.csv.columns) and the
+ * mapping profile's columns are tried before the built-in COLUMN_MAPPINGS.
+ *
+ * @param {string[]} headers - Array of column headers
+ * @param {Object} options - Parsing options
+ * @param {string} options.reportType - Skip detection and use this report type (optional)
+ * @param {Object} options.columns - Field -> extra column name(s) (optional)
+ * @param {string} options.profile - Use this saved mapping profile (optional)
+ * @returns {Object} Match ({ reportType, schema, mappings, columnMap, profile, headerHash })
+ * @throws {Error} If no report type's required columns are present
+ */
+function detectReportType(headers, options = {}) {
+  const profile = resolveMappingProfile(headers, options);
+  const customColumns = mergeColumnMappings(options.columns, profile && profile.columns);
+  const forcedType = options.reportType || (profile && profile.reportType);
+  const match = identifyReportType(headers, forcedType, customColumns);
+  
+  if (!match) {
+    // Explain against the requested type, or the everyday per-ASIN report
+    const reportType = forcedType || DEFAULT_REPORT_TYPE;
+    const schema = REPORT_TYPES[reportType];
+    const mappings = mergeColumnMappings({ ...COLUMN_MAPPINGS, ...schema.columns }, customColumns);
+    const columnMap = buildColumnMap(headers, mappings);
+    assertRequiredColumns(columnMap, headers, schema.required, mappings);
+    
+    // Required columns are all there, so an excluded column ruled it out
+    const excluded = schema.excludes.filter(field => columnMap[field]);
+    throw new Error(`Report does not look like a ${schema.name} report (unexpected columns: ${excluded.join(', ')})`);
+  }
+  
+  if (profile) {
+    console.log(`Using mapping profile: ${profile.name}`);
+  }
+  console.log(`Detected report type: ${match.schema.name}`);
+  return {
+    ...match,
+    profile: profile ? profile.name : null,
+    headerHash: hashHeaders(headers),
+  };
+}
+
+/**
+ * Calculates report totals from mapped products
+ * @param {Object[]} products - Mapped products
+ * @returns {Object} Totals and average conversion rate
+ */
+function summarizeProducts(products) {
+  const totalOrderedItems = products.reduce((sum, p) => sum + (p.ordered_items || 0), 0);
+  const totalRevenue = products.reduce((sum, p) => sum + (p.shipped_revenue || 0), 0);
+  const totalEarnings = products.reduce((sum, p) => sum + (p.earnings || 0), 0);
+  const totalClicks = products.reduce((sum, p) => sum + (p.clicks || 0), 0);
+  const totalReturnedItems = products.reduce((sum, p) => sum + (p.returned_items || 0), 0);
+  const totalReturnedRevenue = products.reduce((sum, p) => sum + (p.returned_revenue || 0), 0);
+  const totalReturnedEarnings = products.reduce((sum, p) => sum + (p.returned_earnings || 0), 0);
+  
+  return {
+    totalOrderedItems,
+    totalRevenue,
+    totalEarnings,
+    totalClicks,
+    totalReturnedItems,
+    totalReturnedRevenue,
+    totalReturnedEarnings,
+    averageConversionRate: totalClicks > 0 ? totalOrderedItems / totalClicks : 0,
+  };
+}
+
+/**
+ * Parses a numeric cell value using the report's number locale
+ * @param {*} value - Raw cell value
+ * @param {string} field - Field being parsed (for validation issues)
+ * @param {Object} numberFormat - Number parsing context
+ * @param {string} numberFormat.locale - Locale id (default: 'en-US')
+ * @param {boolean} numberFormat.groupingUnknown - The locale is a guess; "1.234" and "1,234" are ambiguous
+ * @param {Function} numberFormat.onAmbiguous - Called with (field, value, reason) for unreadable cells
+ * @returns {number} Parsed number (0 if empty; ambiguous cells count as 0 and are reported)
+ */
+function parseNumber(value, field, numberFormat = {}) {
+  const result = parseLocaleNumber(value, numberFormat.locale, { groupingUnknown: numberFormat.groupingUnknown });
+  
+  if (result.ambiguous) {
+    if (numberFormat.onAmbiguous) {
+      numberFormat.onAmbiguous(field, value, result.reason);
+    }
+    return 0;
+  }
+  return result.value;
+}
+
+/**
+ * Creates a parser for the report's own totals (empty or unreadable cells are null)
+ * @param {string} locale - Number locale id
+ * @returns {Function} Parses a cell to a number or null
+ */
+function createTotalsReader(locale) {
+  return (value) => {
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+    return parseLocaleNumber(value, locale).value;
+  };
+}
+
+/**
+ * Reconciles a report's own totals (totals row and summary lines) with parsed totals
+ * @param {Object} totalsRow - Field -> total from the report's "Total" row
+ * @param {Object} summaryTotals - Field -> total from summary lines above the header
+ * @param {Object} parsed - Parse metadata with the parsed totals
+ * @param {Object} options - Parsing options (reconcileTolerance)
+ * @returns {Object|null} Reconciliation block, or null when the report has no totals
+ */
+function reconcileReport(totalsRow, summaryTotals, parsed, options = {}) {
+  const reconciliation = reportTotals.reconcileTotals(
+    reportTotals.combineReportedTotals(['total_row', totalsRow], ['summary', summaryTotals]),
+    parsed,
+    { tolerance: options.reconcileTolerance }
+  );
+  warnIfUnreconciled(reconciliation);
+  return reconciliation;
+}
+
+/**
+ * Warns when parsed totals disagree with the report's own totals
+ * @param {Object|null} reconciliation - Reconciliation block
+ * @param {string} sheet - Sheet name (optional)
+ */
+function warnIfUnreconciled(reconciliation, sheet) {
+  if (!reconciliation || reconciliation.matched) return;
+  
+  const differences = Object.entries(reconciliation.fields)
+    .filter(([, entry]) => !entry.match)
+    .map(([field, entry]) => `${field} ${entry.difference > 0 ? '+' : ''}${entry.difference}`);
+  console.warn(`⚠️  Warning: parsed totals${sheet ? ` for ${sheet}` : ''} don't match the report's totals (${differences.join(', ')})`);
+}
+
+/**
+ * Picks the number locale for a report: explicit option, or detected from sample rows
+ * @param {Object[]} rows - Raw row objects (only the first LOCALE_SAMPLE_ROWS are read)
+ * @param {Object} columnMap - Column name mappings
+ * @param {Object} options - Parsing options
+ * @param {string} options.locale - Locale id, or 'auto' (default: 'auto')
+ * @returns {{locale: string, detected: boolean, confident: boolean}} Locale to use;
+ *   confident is false when no sample showed which separators the report uses
+ */
+function resolveNumberLocale(rows, columnMap, options = {}) {
+  if (options.locale && options.locale !== 'auto') {
+    if (!LOCALES[options.locale]) {
+      throw new Error(
+        `Unknown locale: ${options.locale}. ` +
+        `Available: auto, ${Object.keys(LOCALES).join(', ')}`
+      );
+    }
+    return { locale: options.locale, detected: false, confident: true };
+  }
+  
+  const numericColumns = Object.entries(columnMap)
+    .filter(([field]) => field !== 'asin' && !TEXT_FIELDS.includes(field))
+    .map(([, column]) => column);
+  const samples = rows
+    .slice(0, LOCALE_SAMPLE_ROWS)
+    .flatMap(row => numericColumns.map(column => row[column]));
+  
+  const { locale, confident } = detectLocale(samples);
+  if (locale !== DEFAULT_LOCALE) {
+    console.log(`Detected number locale: ${locale}`);
+  }
+  return { locale, detected: true, confident };
+}
+
+/**
+ * Normalises a date cell to an ISO date (YYYY-MM-DD)
+ * @param {*} value - Raw cell value (ISO, US m/d/yyyy, or any Date-parsable text)
+ * @returns {string|null} ISO date or null if not a date
+ */
+function normalizeDate(value) {
+  if (!value) return null;
+  const str = String(value).trim();
+  const pad = n => String(n).padStart(2, '0');
+  
+  let match = str.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) {
+    return `${match[1]}-${pad(match[2])}-${pad(match[3])}`;
+  }
+  
+  // US exports (and SheetJS formatted cells) use month/day/year
+  match = str.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4}|\d{2})\b/);
+  if (match) {
+    const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+    return `${year}-${pad(match[1])}-${pad(match[2])}`;
+  }
+  
+  const parsed = new Date(str);
+  return isNaN(parsed) ? null : parsed.toISOString().split('T')[0];
+}
+
+/**
+ * Moves returns out of a product's sales metrics into return fields
+ *
+ * Earnings reports book a return either in its own columns ("Returns") or as
+ * a negative row: negative items shipped, negative revenue and a clawed-back
+ * (negative) ad fee. Either way the sales metrics keep only what was sold and
+ * returned_items / returned_revenue / returned_earnings hold the rest.
+ *
+ * @param {Object} product - Mapped product (modified in place)
+ * @param {Object} reported - Values from explicit return columns ({items, revenue, earnings})
+ */
+function separateReturns(product, reported) {
+  let returnedItems = Math.abs(reported.items);
+  let returnedRevenue = Math.abs(reported.revenue);
+  let returnedEarnings = Math.abs(reported.earnings);
+  
+  // Ordered and shipped items can be the same column, so don't count a negative twice
+  const negativeItems = Math.max(-product.ordered_items, -(product.items_shipped || 0), 0);
+  returnedItems += negativeItems;
+  if (product.ordered_items < 0) product.ordered_items = 0;
+  if (product.items_shipped < 0) product.items_shipped = 0;
+  
+  if (product.shipped_revenue < 0) {
+    returnedRevenue += -product.shipped_revenue;
+    product.shipped_revenue = 0;
+  }
+  
+  if (product.earnings < 0) {
+    returnedEarnings += -product.earnings;
+    product.earnings = 0;
+  }
+  
+  if (returnedItems > 0) product.returned_items = returnedItems;
+  if (returnedRevenue > 0) product.returned_revenue = returnedRevenue;
+  if (returnedEarnings > 0) product.returned_earnings = returnedEarnings;
+}
+
 /**
  * Maps CSV row to standardized format
  * @param {Object} row - Raw CSV row
  * @param {Object} columnMap - Column name mappings
+ * @param {Object} numberFormat - Number parsing context (see parseNumber)
+ * @param {Object} options - Row options
+ * @param {boolean} options.validateAsins - Require a valid ASIN, ISBN-10 or ISBN-13 (default: true)
  * @returns {Object|null} Standardized product data or null if invalid
  */
-function mapRowToProduct(row, columnMap) {
-  const asin = row[columnMap.asin]?.trim();
+function mapRowToProduct(row, columnMap, numberFormat = {}, { validateAsins = true } = {}) {
+  const rawAsin = row[columnMap.asin]?.trim();
+  const identifier = identifiers.normalizeIdentifier(rawAsin);
   
   // Skip if no ASIN or invalid ASIN
-  if (!isValidASIN(asin)) {
+  if (validateAsins ? !identifier : !rawAsin) {
     return null;
   }
   
-  // Helper to parse numeric value
-  const parseNumber = (value) => {
-    if (!value) return 0;
-    // Remove currency symbols, commas, spaces
-    const cleaned = value.toString().replace(/[$,\s]/g, '');
-    const parsed = parseFloat(cleaned);
-    return isNaN(parsed) ? 0 : parsed;
-  };
+  const number = field => parseNumber(row[columnMap[field]], field, numberFormat);
+  
+  // Upper-cased ASIN, or the ISBN-10 a book's ISBN-13 converts to
+  const asin = identifier ? identifier.id : rawAsin;
   
   const product = {
     asin: asin,
-    ordered_items: parseNumber(row[columnMap.orderedItems]),
-    shipped_revenue: parseNumber(row[columnMap.shippedRevenue]),
-    earnings: parseNumber(row[columnMap.earnings]),
-    clicks: parseNumber(row[columnMap.clicks]),
+    id_type: identifier ? identifier.type : 'unknown',
+    ordered_items: number('orderedItems'),
+    shipped_revenue: number('shippedRevenue'),
+    earnings: number('earnings'),
+    clicks: number('clicks'),
   };
   
   // Optional fields
+  if (identifier && identifier.type === 'isbn13') {
+    product.isbn13 = identifier.original.replace(/[\s-]/g, '');
+  }
+  
   if (columnMap.itemsShipped) {
-    product.items_shipped = parseNumber(row[columnMap.itemsShipped]);
+    product.items_shipped = number('itemsShipped');
   }
   
+  separateReturns(product, {
+    items: columnMap.returnedItems ? number('returnedItems') : 0,
+    revenue: columnMap.returnedRevenue ? number('returnedRevenue') : 0,
+    earnings: columnMap.returnedEarnings ? number('returnedEarnings') : 0,
+  });
+  
   if (columnMap.conversionRate) {
-    product.conversion_rate = parseNumber(row[columnMap.conversionRate]);
+    product.conversion_rate = number('conversionRate');
   } else if (product.clicks > 0 && product.ordered_items > 0) {
     // Calculate conversion rate if not provided
     product.conversion_rate = product.ordered_items / product.clicks;
@@ -111,201 +520,685 @@ function mapRowToProduct(row, columnMap) {
     product.tag = row[columnMap.tag]?.trim();
   }
   
+  if (columnMap.productName) {
+    const productName = row[columnMap.productName]?.trim();
+    if (productName) product.product_name = productName;
+  }
+  
+  if (columnMap.dateShipped) {
+    const dateShipped = normalizeDate(row[columnMap.dateShipped]);
+    if (dateShipped) product.date_shipped = dateShipped;
+  }
+  
+  for (const field of DIMENSION_FIELDS) {
+    if (!columnMap[field]) continue;
+    const value = String(row[columnMap[field]] ?? '').trim();
+    if (value) product[toRecordKey(field)] = value;
+  }
+  
   return product;
 }
 
 /**
- * Detects file format from extension
+ * Maps a summary report row (per tag, link type or bounty) to a record
+ * @param {Object} row - Raw row
+ * @param {Object} columnMap - Column name mappings
+ * @param {string[]} fields - Schema fields to copy
+ * @param {Object} numberFormat - Number parsing context (see parseNumber)
+ * @returns {Object|null} Record, or null if the row has no values
+ */
+function mapRowToRecord(row, columnMap, fields, numberFormat = {}) {
+  const record = {};
+  let hasValue = false;
+  
+  for (const field of fields) {
+    if (!columnMap[field]) continue;
+    
+    const value = row[columnMap[field]];
+    if (value !== undefined && String(value).trim() !== '') {
+      hasValue = true;
+    }
+    
+    record[toRecordKey(field)] = TEXT_FIELDS.includes(field)
+      ? (value === undefined ? '' : String(value).trim())
+      : parseNumber(value, field, numberFormat);
+  }
+  
+  return hasValue ? record : null;
+}
+
+/**
+ * Guesses file format from extension (parsing sniffs the content instead)
  * @param {string} filePath - Path to file
- * @returns {string} Format: 'csv', 'xlsx', or 'unknown'
+ * @returns {string} Format: 'csv' (also .tsv/.txt), 'xlsx', or 'unknown'
  */
 function detectFileFormat(filePath) {
-  const ext = filePath.toLowerCase().split('.').pop();
-  if (ext === 'csv') return 'csv';
+  const ext = filePath.toLowerCase().replace(/\.gz$/, '').split('.').pop();
+  if (['csv', 'tsv', 'txt'].includes(ext)) return 'csv';
   if (ext === 'xlsx' || ext === 'xls') return 'xlsx';
   return 'unknown';
 }
 
 /**
- * Converts XLSX to array of objects
- * @param {string} filePath - Path to XLSX file
+ * Reads a report file and loads it as a workbook
+ * @param {string} filePath - Path to XLSX/XLS file (optionally gzipped or zipped)
+ * @returns {Promise<{workbook: Object, info: Object}>} SheetJS workbook and sniffed file info
+ */
+async function loadWorkbook(filePath) {
+  const { buffer, info } = await reportFiles.readReportFile(filePath);
+  if (info.format !== 'xlsx') {
+    throw new Error(`Not an XLSX/XLS file: ${filePath}`);
+  }
+  return { workbook: XLSX.read(buffer, { type: 'buffer' }), info };
+}
+
+/**
+ * Picks the worksheet to parse when none is specified
+ * @param {Object} workbook - SheetJS workbook
+ * @param {string} sheetName - Requested sheet name (optional)
+ * @returns {string} Sheet name to use
+ */
+function resolveSheetName(workbook, sheetName) {
+  if (sheetName) return sheetName;
+  
+  // Priority: Fee-Earnings, Fee-Orders, then first sheet
+  if (workbook.SheetNames.includes('Fee-Earnings')) {
+    console.log('Auto-detected sheet: Fee-Earnings (has ASIN + revenue data)');
+    return 'Fee-Earnings';
+  }
+  if (workbook.SheetNames.includes('Fee-Orders')) {
+    console.log('Auto-detected sheet: Fee-Orders (has ASIN + order data)');
+    return 'Fee-Orders';
+  }
+  console.log(`Using first sheet: ${workbook.SheetNames[0]}`);
+  return workbook.SheetNames[0];
+}
+
+/**
+ * Finds the header row in a worksheet (Amazon prepends title rows)
+ * @param {Object} worksheet - SheetJS worksheet
+ * @param {Object} options - Parsing options (user columns and mapping profiles are honoured)
+ * @returns {number} Zero-based index of the header row
+ */
+function findHeaderRowIndex(worksheet, options = {}) {
+  // Only the first 10 rows are inspected, so don't convert the whole sheet
+  const range = XLSX.utils.decode_range(worksheet['!ref'] || 'A1');
+  range.e.r = Math.min(range.e.r, range.s.r + 9);
+  
+  const rawData = XLSX.utils.sheet_to_json(worksheet, {
+    header: 1,
+    defval: '',
+    raw: false,
+    range,
+  });
+  
+  // Look for a row that fingerprints as a known report, or contains "ASIN"
+  for (let i = 0; i < rawData.length; i++) {
+    const cells = rawData[i].map(cell => String(cell)).filter(cell => cell.trim() !== '');
+    const rowStr = cells.join('|').toLowerCase();
+    const isKnownReport = cells.length > 1 && isKnownHeaderRow(cells, options);
+    if (isKnownReport || (rowStr.includes('asin') && (rowStr.includes('revenue') || rowStr.includes('qty') || rowStr.includes('items') || rowStr.includes('clicks')))) {
+      console.log(`Found header row at index ${i}`);
+      return i;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Checks whether a row fingerprints as a known report (with user columns and profiles)
+ * @param {string[]} cells - Non-empty cells of the row
+ * @param {Object} options - Parsing options
+ * @returns {boolean} True if the row looks like a report header
+ */
+function isKnownHeaderRow(cells, options = {}) {
+  const profile = resolveMappingProfile(cells, options);
+  const customColumns = mergeColumnMappings(options.columns, profile && profile.columns);
+  return identifyReportType(cells, profile && profile.reportType, customColumns) !== null;
+}
+
+/**
+ * Reads the rows above a worksheet's header row (report title, summary lines)
+ * @param {Object} worksheet - SheetJS worksheet
+ * @param {number} headerRowIndex - Zero-based index of the header row
+ * @returns {Array[]} Raw rows as arrays of cells
+ */
+function readPreambleRows(worksheet, headerRowIndex) {
+  if (headerRowIndex === 0) return [];
+  
+  const range = XLSX.utils.decode_range(worksheet['!ref'] || 'A1');
+  range.e.r = range.s.r + headerRowIndex - 1;
+  
+  return XLSX.utils.sheet_to_json(worksheet, {
+    header: 1,
+    defval: '',
+    raw: false,
+    range,
+  });
+}
+
+/**
+ * Reads a worksheet's data rows and the summary lines above its header
+ * @param {Object} workbook - SheetJS workbook
+ * @param {Object} options - Parsing options
+ * @param {string} options.sheetName - Specific sheet to parse (optional)
+ * @returns {{sheetName: string, headerRowIndex: number, rows: Object[], preamble: Array[]}} Sheet contents
+ */
+function readXLSXSheet(workbook, options = {}) {
+  try {
+    const sheetName = resolveSheetName(workbook, options.sheetName);
+    const worksheet = workbook.Sheets[sheetName];
+    const headerRowIndex = findHeaderRowIndex(worksheet, options);
+    
+    // Parse starting from header row
+    const rows = XLSX.utils.sheet_to_json(worksheet, {
+      raw: false,
+      defval: '',
+      range: headerRowIndex, // Start from header row
+    });
+    
+    console.log(`Parsed ${rows.length} data rows from sheet: ${sheetName}`);
+    
+    return {
+      sheetName,
+      headerRowIndex,
+      rows,
+      preamble: readPreambleRows(worksheet, headerRowIndex),
+    };
+  } catch (error) {
+    throw new Error(`Failed to parse XLSX: ${error.message}`);
+  }
+}
+
+/**
+ * Converts XLSX to array of objects
+ * @param {string} filePath - Path to XLSX file
+ * @param {Object} options - Parsing options
+ * @param {string} options.sheetName - Specific sheet to parse (optional)
+ * @returns {Promise<Object[]>} Array of row objects
+ */
+async function parseXLSX(filePath, options = {}) {
+  const { workbook } = await loadWorkbook(filePath);
+  return readXLSXSheet(workbook, options).rows;
+}
+
+/**
+ * Parses every recognised Fee-* sheet in a workbook and joins them
+ *
+ * Associates workbooks split one report across sheets: Fee-Orders holds
+ * clicks and ordered items, Fee-Earnings holds shipped revenue and ad fees.
+ * Each metric is taken from exactly one sheet (see SHEET_FIELD_PRIORITY) and
+ * rows are merged by ASIN, and by tag when every sheet has a tag column.
+ *
+ * @param {string} filePath - Path to XLSX file
+ * @param {Object} options - Parsing options
+ * @returns {Promise<Object>} Parsed data with products array and metadata
+ */
+async function parseWorkbook(filePath, options = {}) {
+  const { workbook, info } = await loadWorkbook(filePath);
+  return joinWorkbookSheets(workbook, info, filePath, options);
+}
+
+/**
+ * Joins the Fee-* sheets of a loaded workbook (see parseWorkbook)
+ * @param {Object} workbook - SheetJS workbook
+ * @param {Object} fileInfo - Sniffed file info from report-files
+ * @param {string} filePath - Path to the file (for the report period)
+ * @param {Object} options - Parsing options
+ * @returns {Object} Parsed data with products array and metadata
+ */
+function joinWorkbookSheets(workbook, fileInfo, filePath, options = {}) {
+  // Collect Fee-* sheets that carry per-ASIN rows
+  const sheets = [];
+  for (const sheetName of workbook.SheetNames) {
+    if (!/^fee-/i.test(sheetName)) continue;
+    
+    const worksheet = workbook.Sheets[sheetName];
+    const headerRowIndex = findHeaderRowIndex(worksheet, options);
+    const rows = XLSX.utils.sheet_to_json(worksheet, {
+      raw: false,
+      defval: '',
+      range: headerRowIndex,
+    });
+    
+    const headers = rows.length > 0 ? Object.keys(rows[0]) : [];
+    const profile = resolveMappingProfile(headers, options);
+    const customColumns = mergeColumnMappings(options.columns, profile && profile.columns);
+    const columnMap = buildColumnMap(headers, mergeColumnMappings(COLUMN_MAPPINGS, customColumns));
+    
+    if (!columnMap.asin) {
+      console.log(`Skipping sheet ${sheetName}: no ASIN column`);
+      continue;
+    }
+    
+    console.log(`Parsed ${rows.length} data rows from sheet: ${sheetName}`);
+    const match = identifyReportType(headers, undefined, customColumns);
+    sheets.push({
+      name: sheetName,
+      reportType: match ? match.reportType : null,
+      profile: profile ? profile.name : null,
+      headerRowIndex,
+      headers,
+      rows,
+      preamble: readPreambleRows(worksheet, headerRowIndex),
+      columnMap,
+      mappings: match ? match.mappings : mergeColumnMappings(COLUMN_MAPPINGS, customColumns),
+    });
+  }
+  
+  if (sheets.length === 0) {
+    return {
+      success: false,
+      error: 'No Fee-* sheets with an ASIN column found in workbook',
+      products: [],
+      metadata: {},
+    };
+  }
+  
+  // Assign each metric to one sheet so nothing is counted twice:
+  // preferred sheet first, then whichever sheet has the column
+  const fieldSources = {};
+  for (const sheet of sheets) {
+    for (const field of SHEET_FIELD_PRIORITY[sheet.name] || []) {
+      if (sheet.columnMap[field]) fieldSources[field] = sheet.name;
+    }
+  }
+  for (const sheet of sheets) {
+    for (const field of Object.keys(SHEET_METRICS)) {
+      if (sheet.columnMap[field] && !fieldSources[field]) fieldSources[field] = sheet.name;
+    }
+  }
+  
+  // Returns follow the shipments they were booked against
+  const returnsSource = fieldSources.shippedRevenue;
+  
+  // The joined result must cover everything a single per-ASIN report would
+  const combinedMap = { asin: 'ASIN', ...fieldSources };
+  assertRequiredColumns(
+    combinedMap,
+    [...new Set(sheets.flatMap(s => s.headers))],
+    REPORT_TYPES[DEFAULT_REPORT_TYPE].required
+  );
+  
+  // Merge rows across sheets
+  const joinOnTag = sheets.every(sheet => sheet.columnMap.tag);
+  const merged = new Map();
+  const recordSheets = new Map();
+  const recordDates = new Map();
+  const sheetSummaries = [];
+  const validations = [];
+  const reportedTotals = {};
+  
+  for (const sheet of sheets) {
+    const ownedFields = Object.keys(fieldSources).filter(field => fieldSources[field] === sheet.name);
+    const numberLocale = resolveNumberLocale(sheet.rows, sheet.columnMap, options);
+    const validation = createValidation(sheet.columnMap, 'product', options, sheet.name);
+    const readTotal = createTotalsReader(numberLocale.locale);
+    const sheetProducts = [];
+    let totalsRow = null;
+    let totalsRows = 0;
+    let rowNumber = 0;
+    const numberFormat = {
+      locale: numberLocale.locale,
+      groupingUnknown: !numberLocale.confident,
+      onAmbiguous: (field, value, reason) => {
+        validator.recordNonNumeric(validation, rowNumber, field, value, reason);
+      },
+    };
+    
+    for (const [i, row] of sheet.rows.entries()) {
+      rowNumber = sheet.headerRowIndex + i + 2;
+      if (reportTotals.isTotalsRow(row)) {
+        totalsRow = reportTotals.readTotalsRow(row, sheet.columnMap, readTotal);
+        totalsRows++;
+        continue;
+      }
+      if (!validator.validateRow(validation, row, rowNumber)) continue;
+      const product = mapRowToProduct(row, sheet.columnMap, numberFormat, options);
+      if (!product) continue;
+      validator.validateProduct(validation, product, rowNumber);
+      sheetProducts.push(product);
+      
+      const key = joinOnTag ? `${product.asin}|${product.tag || ''}` : product.asin;
+      if (!merged.has(key)) {
+        merged.set(key, {
+          asin: product.asin,
+          id_type: product.id_type,
+          ...(product.isbn13 && { isbn13: product.isbn13 }),
+          ordered_items: 0,
+          shipped_revenue: 0,
+          earnings: 0,
+          clicks: 0,
+        });
+        recordSheets.set(key, new Set());
+        recordDates.set(key, new Set());
+      }
+      
+      const record = merged.get(key);
+      for (const field of ownedFields) {
+        const productKey = SHEET_METRICS[field];
+        record[productKey] = (record[productKey] || 0) + (product[productKey] || 0);
+      }
+      if (sheet.name === returnsSource) {
+        for (const returnKey of RETURN_FIELDS) {
+          if (product[returnKey]) record[returnKey] = (record[returnKey] || 0) + product[returnKey];
+        }
+      }
+      if (product.tag && !record.tag) {
+        record.tag = product.tag;
+      }
+      // A book can be an ISBN-10 in one sheet and an ISBN-13 in another: keep the ISBN-13
+      if (product.isbn13 && !record.isbn13) {
+        record.isbn13 = product.isbn13;
+        record.id_type = product.id_type;
+      }
+      if (product.product_name && !record.product_name) {
+        record.product_name = product.product_name;
+      }
+      for (const field of DIMENSION_FIELDS) {
+        const key = toRecordKey(field);
+        if (product[key] && !record[key]) record[key] = product[key];
+      }
+      if (product.date_shipped) {
+        recordDates.get(key).add(product.date_shipped);
+      }
+      recordSheets.get(key).add(sheet.name);
+    }
+    
+    // Each sheet's own totals are checked against that sheet's rows
+    const reported = reportTotals.combineReportedTotals(
+      ['total_row', totalsRow],
+      ['summary', reportTotals.readPreambleTotals(sheet.preamble, sheet.mappings, readTotal)]
+    );
+    const sheetReconciliation = reportTotals.reconcileTotals(
+      reported,
+      summarizeProducts(sheetProducts),
+      { tolerance: options.reconcileTolerance }
+    );
+    warnIfUnreconciled(sheetReconciliation, sheet.name);
+    
+    // The workbook's totals come from the sheet each metric is taken from
+    for (const [field, total] of Object.entries(reported)) {
+      if (fieldSources[field] === sheet.name) {
+        reportedTotals[field] = { ...total, sheet: sheet.name };
+      }
+    }
+    
+    sheetSummaries.push({
+      name: sheet.name,
+      reportType: sheet.reportType,
+      mappingProfile: sheet.profile,
+      headerHash: hashHeaders(sheet.headers),
+      locale: numberLocale.locale,
+      headerRow: sheet.headerRowIndex,
+      totalRows: sheet.rows.length - totalsRows,
+      validProducts: sheetProducts.length,
+      fields: ownedFields.map(field => SHEET_METRICS[field]),
+      columnMapping: sheet.columnMap,
+      reconciliation: sheetReconciliation,
+    });
+    validations.push(validator.finalizeValidation(validation));
+  }
+  
+  const products = Array.from(merged.entries()).map(([key, product]) => {
+    if (product.clicks > 0 && product.ordered_items > 0) {
+      product.conversion_rate = product.ordered_items / product.clicks;
+    }
+    // One record spans many shipped rows; keep every date for aggregation
+    const dates = [...recordDates.get(key)].sort();
+    if (dates.length > 0) {
+      product.ship_dates = dates;
+    }
+    return product;
+  });
+  
+  // Join provenance: how many records each sheet contributed alone
+  const onlyIn = Object.fromEntries(sheets.map(sheet => [sheet.name, 0]));
+  let matchedInAllSheets = 0;
+  for (const names of recordSheets.values()) {
+    if (names.size === sheets.length) {
+      matchedInAllSheets++;
+    } else if (names.size === 1) {
+      onlyIn[[...names][0]]++;
+    }
+  }
+  
+  const totalRows = sheetSummaries.reduce((sum, s) => sum + s.totalRows, 0);
+  const validRows = sheetSummaries.reduce((sum, s) => sum + s.validProducts, 0);
+  const totals = summarizeProducts(products);
+  
+  return applyValidationPolicy({
+    success: true,
+    products,
+    metadata: {
+      format: 'xlsx',
+      file: fileInfo,
+      multiSheet: true,
+      reportType: DEFAULT_REPORT_TYPE,
+      reportTypeName: REPORT_TYPES[DEFAULT_REPORT_TYPE].name,
+      reportPeriod: resolveReportPeriod(sheets.flatMap(sheet => sheet.preamble), options.fileName || filePath),
+      totalRows,
+      validProducts: products.length,
+      invalidRows: totalRows - validRows,
+      uniqueAsins: new Set(products.map(p => p.asin)).size,
+      ...totals,
+      sheets: sheetSummaries,
+      fieldSources: {
+        ...Object.fromEntries(
+          Object.entries(fieldSources).map(([field, sheet]) => [SHEET_METRICS[field], sheet])
+        ),
+        ...Object.fromEntries(RETURN_FIELDS.map(returnKey => [returnKey, returnsSource])),
+      },
+      join: {
+        key: joinOnTag ? 'asin+tag' : 'asin',
+        records: merged.size,
+        matchedInAllSheets,
+        onlyIn,
+      },
+      reconciliation: reportTotals.reconcileTotals(reportedTotals, totals, { tolerance: options.reconcileTolerance }),
+    },
+    validation: validator.mergeValidationReports(validations),
+  }, options);
+}
+
+/**
+ * Starts a validation pass for a report
+ * @param {Object} columnMap - Column name mappings
+ * @param {string} rowType - 'product' or 'summary'
+ * @param {Object} options - Parsing options (validateAsins, outlierThreshold, maxIssues, duplicateWindow)
+ * @param {string} sheet - Sheet name for multi-sheet workbooks (optional)
+ * @returns {Object} Validation state
+ */
+function createValidation(columnMap, rowType, options = {}, sheet) {
+  return validator.createValidationState({
+    columnMap,
+    rowType,
+    isValidASIN: options.validateAsins === false ? null : isValidASIN,
+    describeInvalidASIN: asin => identifiers.identify(asin).reason,
+    sheet,
+    outlierThreshold: options.outlierThreshold,
+    maxIssues: options.maxIssues,
+    duplicateWindow: options.duplicateWindow,
+  });
+}
+
+/**
+ * Fails a parse result whose rows were rejected when skipInvalidRows is off
+ * @param {Object} result - Parse result with a validation report
+ * @param {Object} options - Parsing options
+ * @param {boolean} options.skipInvalidRows - Skip rows that fail validation (default: true)
+ * @returns {Object} The result, or a failed result keeping metadata and validation
+ */
+function applyValidationPolicy(result, options = {}) {
+  if (options.skipInvalidRows !== false || result.validation.valid) {
+    return result;
+  }
+  
+  return {
+    success: false,
+    error: `${result.validation.rejectedRows} rows failed validation (skipInvalidRows is off)`,
+    products: [],
+    metadata: result.metadata,
+    validation: result.validation,
+  };
+}
+
+/**
+ * Validates and maps parsed rows to products (or records for summary reports)
+ * @param {Object[]} rows - Raw row objects
+ * @param {Object} match - Report type match from detectReportType()
  * @param {Object} options - Parsing options
- * @param {string} options.sheetName - Specific sheet to parse (optional)
- * @param {number} options.skipRows - Number of rows to skip before header (default: 0)
- * @returns {Promise<Object[]>} Array of row objects
+ * @param {boolean} options.validateAsins - Require the 10-character ASIN format
+ * @param {string} options.locale - Number locale id
+ * @param {boolean} options.localeConfident - False when the locale is a guess, so "1.234" and "1,234" are ambiguous (default: true)
+ * @param {number} options.headerRowIndex - Zero-based sheet row of the header, for row numbers (default: 0)
+ * @returns {{products: Object[], records: Object[], validation: Object, reportedTotals: Object|null, totalsRows: number}}
+ *   Mapped rows, validation report and the report's own "Total" row
  */
-async function parseXLSX(filePath, options = {}) {
-  try {
-    const buffer = await fs.readFile(filePath);
-    const workbook = XLSX.read(buffer, { type: 'buffer' });
+function mapRows(rows, match, options) {
+  const { schema, columnMap } = match;
+  const isProductReport = schema.rowType === 'product';
+  const validation = createValidation(columnMap, schema.rowType, options);
+  const readTotal = createTotalsReader(options.locale);
+  const firstRowNumber = (options.headerRowIndex || 0) + 2; // header row + 1-based
+  const mapped = [];
+  let reportedTotals = null;
+  let totalsRows = 0;
+  
+  let rowNumber = 0;
+  const numberFormat = {
+    locale: options.locale,
+    groupingUnknown: options.localeConfident === false,
+    onAmbiguous: (field, value, reason) => {
+      validator.recordNonNumeric(validation, rowNumber, field, value, reason);
+    },
+  };
+  
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i];
+    rowNumber = firstRowNumber + i;
     
-    // Determine which sheet to use
-    let sheetName = options.sheetName;
-    
-    // If no sheet specified, try to find one with ASIN data
-    if (!sheetName) {
-      // Priority: Fee-Earnings, Fee-Orders, then first sheet
-      if (workbook.SheetNames.includes('Fee-Earnings')) {
-        sheetName = 'Fee-Earnings';
-        console.log('Auto-detected sheet: Fee-Earnings (has ASIN + revenue data)');
-      } else if (workbook.SheetNames.includes('Fee-Orders')) {
-        sheetName = 'Fee-Orders';
-        console.log('Auto-detected sheet: Fee-Orders (has ASIN + order data)');
-      } else {
-        sheetName = workbook.SheetNames[0];
-        console.log(`Using first sheet: ${sheetName}`);
-      }
+    // The report's own totals are kept for reconciliation, not parsed as a product
+    if (reportTotals.isTotalsRow(row)) {
+      reportedTotals = reportTotals.readTotalsRow(row, columnMap, readTotal);
+      totalsRows++;
+      continue;
     }
     
-    const worksheet = workbook.Sheets[sheetName];
-    
-    // Get raw data to detect header row
-    const rawData = XLSX.utils.sheet_to_json(worksheet, { 
-      header: 1,
-      defval: '',
-      raw: false 
-    });
+    if (!validator.validateRow(validation, row, rowNumber)) continue;
     
-    // Find header row (look for row containing "ASIN")
-    let headerRowIndex = 0;
-    for (let i = 0; i < Math.min(10, rawData.length); i++) {
-      const row = rawData[i];
-      const rowStr = row.join('|').toLowerCase();
-      if (rowStr.includes('asin') && (rowStr.includes('revenue') || rowStr.includes('qty') || rowStr.includes('items'))) {
-        headerRowIndex = i;
-        console.log(`Found header row at index ${i}`);
-        break;
+    if (isProductReport) {
+      const product = mapRowToProduct(row, columnMap, numberFormat, options);
+      if (!product) continue;
+      validator.validateProduct(validation, product, rowNumber);
+      mapped.push(product);
+    } else {
+      const record = mapRowToRecord(row, columnMap, schema.fields, numberFormat);
+      if (record) {
+        mapped.push(record);
+      } else {
+        validator.recordEmptyRow(validation, rowNumber);
       }
     }
-    
-    // Parse starting from header row
-    const rows = XLSX.utils.sheet_to_json(worksheet, {
-      raw: false,
-      defval: '',
-      range: headerRowIndex, // Start from header row
-    });
-    
-    console.log(`Parsed ${rows.length} data rows from sheet: ${sheetName}`);
-    
-    return rows;
-  } catch (error) {
-    throw new Error(`Failed to parse XLSX: ${error.message}`);
+  }
+  
+  return {
+    products: isProductReport ? mapped : [],
+    records: isProductReport ? [] : mapped,
+    validation: validator.finalizeValidation(validation),
+    reportedTotals,
+    totalsRows,
+  };
+}
+
+/**
+ * Builds the result shared by the single-sheet parse paths
+ * @param {Object[]} rows - Raw row objects
+ * @param {Object} match - Report type match from detectReportType()
+ * @param {Object} mapped - Output of mapRows()
+ * @param {{locale: string, detected: boolean}} numberLocale - Output of resolveNumberLocale()
+ * @param {Object} options - Parsing options (skipInvalidRows, reconcileTolerance)
+ * @param {Object} extraMetadata - Metadata placed before the report metadata (e.g. format)
+ * @param {Object} summaryTotals - Field -> total from summary lines above the header (optional)
+ * @returns {Object} Parse result
+ */
+function buildParseResult(rows, match, mapped, numberLocale, options = {}, extraMetadata = {}, summaryTotals = {}) {
+  const metadata = {
+    ...extraMetadata,
+    ...buildReportMetadata(rows, match, mapped, numberLocale),
+  };
+  metadata.reconciliation = reconcileReport(mapped.reportedTotals, summaryTotals, metadata, options);
+  
+  return applyValidationPolicy({
+    success: true,
+    products: mapped.products,
+    ...(match.schema.rowType === 'summary' && { records: mapped.records }),
+    metadata,
+    validation: mapped.validation,
+  }, options);
+}
+
+/**
+ * Builds the metadata shared by every parse path
+ * @param {Object[]} rows - Raw row objects
+ * @param {Object} match - Report type match from detectReportType()
+ * @param {{products: Object[], records: Object[], totalsRows: number}} mapped - Output of mapRows()
+ * @param {{locale: string, detected: boolean}} numberLocale - Output of resolveNumberLocale()
+ * @returns {Object} Report metadata
+ */
+function buildReportMetadata(rows, match, { products, records, totalsRows = 0 }, numberLocale) {
+  const isProductReport = match.schema.rowType === 'product';
+  const valid = isProductReport ? products : records;
+  const dataRows = rows.length - totalsRows;
+  
+  return {
+    reportType: match.reportType,
+    reportTypeName: match.schema.name,
+    mappingProfile: match.profile,
+    headerHash: match.headerHash,
+    locale: numberLocale.locale,
+    localeDetected: numberLocale.detected,
+    totalRows: dataRows,
+    validProducts: products.length,
+    ...(!isProductReport && { validRecords: records.length }),
+    invalidRows: dataRows - valid.length,
+    uniqueAsins: new Set(products.map(p => p.asin)).size,
+    ...summarizeProducts(valid),
+    columnMapping: match.columnMap,
+  };
+}
+
+/**
+ * Warns when a product report has no clicks column (optional but useful)
+ * @param {Object} match - Report type match from detectReportType()
+ */
+function warnIfNoClicks(match) {
+  if (match.schema.rowType === 'product' && !match.columnMap.clicks) {
+    console.warn('⚠️  Warning: "Clicks" column not found. Conversion rates cannot be calculated.');
   }
 }
 
 /**
  * Parses Amazon Associates CSV file
- * @param {string} filePath - Path to CSV file
+ * @param {string} filePath - Path to CSV/TSV file (any encoding, optionally .gz or .zip)
  * @param {Object} options - Parsing options
- * @param {boolean} options.skipInvalidRows - Skip rows with invalid data (default: true)
+ * @param {boolean} options.skipInvalidRows - Skip rows that fail validation; false fails the parse instead (default: true)
  * @param {boolean} options.validateAsins - Validate ASIN format (default: true)
+ * @param {string} options.reportType - Skip detection and use this report type (optional)
+ * @param {string} options.locale - Number locale or 'auto' (default: 'auto')
+ * @param {Object} options.columns - Field -> extra column name(s), e.g. config.csv.columns (optional)
+ * @param {string} options.profile - Use this saved mapping profile (optional)
  * @returns {Promise<Object>} Parsed data with products array and metadata
  */
 async function parseCSV(filePath, options = {}) {
-  const {
-    skipInvalidRows = true,
-    validateAsins = true,
-  } = options;
-  
   try {
-    // Read file
-    const fileContent = await fs.readFile(filePath, 'utf-8');
-    
-    // Parse CSV
-    const parseResult = Papa.parse(fileContent, {
-      header: true,
-      skipEmptyLines: true,
-      dynamicTyping: false, // Keep as strings for custom parsing
-      transformHeader: (header) => header.trim(),
-    });
-    
-    if (parseResult.errors.length > 0) {
-      console.warn('CSV parsing warnings:', parseResult.errors);
-    }
-    
-    const headers = parseResult.meta.fields || [];
-    const rows = parseResult.data;
-    
-    // Build column map
-    const columnMap = {};
-    for (const [field, possibleNames] of Object.entries(COLUMN_MAPPINGS)) {
-      const matchedColumn = findColumn(headers, possibleNames);
-      if (matchedColumn) {
-        columnMap[field] = matchedColumn;
-      }
-    }
-    
-    // Validate required columns (clicks is optional for some reports)
-    const requiredFields = ['asin', 'orderedItems', 'shippedRevenue', 'earnings'];
-    const missingFields = requiredFields.filter(field => !columnMap[field]);
-    
-    if (missingFields.length > 0) {
-      throw new Error(
-        `Missing required columns. Could not find: ${missingFields.join(', ')}\n` +
-        `Available columns: ${headers.join(', ')}\n` +
-        `Expected one of: ${missingFields.map(f => COLUMN_MAPPINGS[f].join(' or ')).join(', ')}`
-      );
-    }
-    
-    // Warn if clicks is missing (optional but useful)
-    if (!columnMap.clicks) {
-      console.warn('⚠️  Warning: "Clicks" column not found. Conversion rates cannot be calculated.');
-    }
-    
-    // Parse rows
-    const products = [];
-    const errors = [];
-    
-    for (let i = 0; i < rows.length; i++) {
-      const row = rows[i];
-      
-      try {
-        const product = mapRowToProduct(row, columnMap);
-        
-        if (product) {
-          products.push(product);
-        } else if (!skipInvalidRows) {
-          errors.push({
-            row: i + 2, // +2 for header and 0-index
-            error: 'Invalid or missing ASIN',
-            data: row
-          });
-        }
-      } catch (error) {
-        if (!skipInvalidRows) {
-          errors.push({
-            row: i + 2,
-            error: error.message,
-            data: row
-          });
-        }
-      }
+    const { buffer, info } = await reportFiles.readReportFile(filePath);
+    if (info.format !== 'csv') {
+      throw new Error(`Not a delimited text report (detected: ${info.format}): ${filePath}`);
     }
     
-    // Calculate metadata
-    const totalOrderedItems = products.reduce((sum, p) => sum + p.ordered_items, 0);
-    const totalRevenue = products.reduce((sum, p) => sum + p.shipped_revenue, 0);
-    const totalEarnings = products.reduce((sum, p) => sum + p.earnings, 0);
-    const totalClicks = products.reduce((sum, p) => sum + p.clicks, 0);
-    
-    return {
-      success: true,
-      products,
-      metadata: {
-        totalRows: rows.length,
-        validProducts: products.length,
-        invalidRows: rows.length - products.length,
-        uniqueAsins: new Set(products.map(p => p.asin)).size,
-        totalOrderedItems,
-        totalRevenue,
-        totalEarnings,
-        totalClicks,
-        averageConversionRate: totalClicks > 0 ? totalOrderedItems / totalClicks : 0,
-        columnMapping: columnMap,
-      },
-      errors: errors.length > 0 ? errors : undefined,
-    };
-    
+    return parseDelimitedText(reportFiles.decodeText(buffer, info.encoding), info, options.fileName || filePath, options);
+  
   } catch (error) {
     return {
       success: false,
@@ -316,20 +1209,93 @@ async function parseCSV(filePath, options = {}) {
   }
 }
 
+/**
+ * Parses the text of a CSV/TSV report
+ * @param {string} text - Decoded report text
+ * @param {Object} fileInfo - Sniffed file info (delimiter, encoding, compression)
+ * @param {string} fileName - File name, for the report period (optional)
+ * @param {Object} options - Parsing options
+ * @returns {Object} Parsed data with products array, metadata and validation report
+ */
+function parseDelimitedText(text, fileInfo, fileName, options = {}) {
+  const parseResult = Papa.parse(text, {
+    header: true,
+    delimiter: fileInfo.delimiter,
+    skipEmptyLines: true,
+    dynamicTyping: false, // Keep as strings for custom parsing
+    transformHeader: (header) => header.trim(),
+  });
+  
+  if (parseResult.errors.length > 0) {
+    console.warn('CSV parsing warnings:', parseResult.errors);
+  }
+  
+  const headers = parseResult.meta.fields || [];
+  const rows = parseResult.data;
+  
+  const match = detectReportType(headers, options);
+  warnIfNoClicks(match);
+  
+  const numberLocale = resolveNumberLocale(rows, match.columnMap, options);
+  const mapped = mapRows(rows, match, { ...options, locale: numberLocale.locale, localeConfident: numberLocale.confident });
+  const reportPeriod = resolveReportPeriod([], fileName);
+  
+  return buildParseResult(rows, match, mapped, numberLocale, options, { format: 'csv', file: fileInfo, reportPeriod });
+}
+
 /**
  * Parses file in any supported format (CSV or XLSX)
- * @param {string} filePath - Path to file (CSV, XLSX, or XLS)
+ *
+ * The format is sniffed from the content, not the extension: gzip and zip
+ * archives are unpacked, text is decoded (UTF-8, UTF-16 or Latin-1) and
+ * comma, tab and semicolon delimiters are recognised. metadata.file records
+ * what was found.
+ *
+ * @param {string} filePath - Path to file (CSV, TSV, TXT, XLSX or XLS, optionally .gz or .zip)
  * @param {Object} options - Parsing options
- * @returns {Promise<Object>} Parsed data with products array and metadata
+ * @param {boolean} options.multiSheet - Join all Fee-* sheets of an XLSX workbook (default: false)
+ * @param {string} options.reportType - Skip detection and use this report type (optional)
+ * @param {string} options.locale - Number locale ('en-US', 'en-GB', 'de-DE', 'fr-FR', 'ja-JP') or 'auto' (default: 'auto')
+ * @param {Object} options.columns - Field -> extra column name(s), e.g. config.csv.columns (optional)
+ * @param {string} options.profile - Use this saved mapping profile; otherwise profiles are matched by header hash (optional)
+ * @param {boolean} options.skipInvalidRows - Skip rows that fail validation; false fails the parse instead (default: true)
+ * @param {boolean} options.validateAsins - Validate ASIN format (default: true)
+ * @param {number} options.reconcileTolerance - Allowed difference from the report's own totals (default: 0.01)
+ * @param {string} options.fileName - Original file name, for the report period when filePath is a temp upload (optional)
+ * @returns {Promise<Object>} Parsed data with products array, metadata (incl. reconciliation) and validation report
  */
 async function parseFile(filePath, options = {}) {
-  const format = detectFileFormat(filePath);
+  let source;
+  try {
+    source = await reportFiles.readReportFile(filePath);
+  } catch (error) {
+    return {
+      success: false,
+      error: `Failed to read ${filePath}: ${error.message}`,
+      products: [],
+      metadata: {},
+    };
+  }
+  const { buffer, info } = source;
+  const fileName = options.fileName || filePath;
   
-  if (format === 'csv') {
-    return parseCSV(filePath, options);
-  } else if (format === 'xlsx') {
-    // Parse XLSX to rows
-    const rows = await parseXLSX(filePath);
+  if (info.format === 'csv') {
+    try {
+      return parseDelimitedText(reportFiles.decodeText(buffer, info.encoding), info, fileName, options);
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        products: [],
+        metadata: {},
+      };
+    }
+  } else if (info.format === 'xlsx' && options.multiSheet) {
+    return joinWorkbookSheets(XLSX.read(buffer, { type: 'buffer' }), info, filePath, options);
+  } else if (info.format === 'xlsx') {
+    // Parse XLSX to rows, keeping the summary lines above the header
+    const workbook = XLSX.read(buffer, { type: 'buffer' });
+    const { rows, headerRowIndex, preamble } = readXLSXSheet(workbook, options);
     
     if (rows.length === 0) {
       return {
@@ -343,154 +1309,316 @@ async function parseFile(filePath, options = {}) {
     // Get headers from first row keys
     const headers = Object.keys(rows[0]);
     
-    // Build column map
-    const columnMap = {};
-    for (const [field, possibleNames] of Object.entries(COLUMN_MAPPINGS)) {
-      const matchedColumn = findColumn(headers, possibleNames);
-      if (matchedColumn) {
-        columnMap[field] = matchedColumn;
-      }
-    }
-    
-    // Validate required columns (clicks is optional for some reports)
-    const requiredFields = ['asin', 'orderedItems', 'shippedRevenue', 'earnings'];
-    const missingFields = requiredFields.filter(field => !columnMap[field]);
-    
-    if (missingFields.length > 0) {
-      throw new Error(
-        `Missing required columns. Could not find: ${missingFields.join(', ')}\n` +
-        `Available columns: ${headers.join(', ')}\n` +
-        `Expected one of: ${missingFields.map(f => COLUMN_MAPPINGS[f].join(' or ')).join(', ')}`
-      );
-    }
-    
-    // Warn if clicks is missing (optional but useful)
-    if (!columnMap.clicks) {
-      console.warn('⚠️  Warning: "Clicks" column not found. Conversion rates cannot be calculated.');
-    }
-    
-    // Parse rows
-    const products = [];
-    const errors = [];
+    const match = detectReportType(headers, options);
+    warnIfNoClicks(match);
     
-    for (let i = 0; i < rows.length; i++) {
-      const row = rows[i];
-      
-      try {
-        const product = mapRowToProduct(row, columnMap);
-        
-        if (product) {
-          products.push(product);
-        } else if (!options.skipInvalidRows) {
-          errors.push({
-            row: i + 2, // +2 for header and 0-index
-            error: 'Invalid or missing ASIN',
-            data: row
-          });
-        }
-      } catch (error) {
-        if (!options.skipInvalidRows) {
-          errors.push({
-            row: i + 2,
-            error: error.message,
-            data: row
-          });
-        }
-      }
-    }
-    
-    // Calculate metadata
-    const totalOrderedItems = products.reduce((sum, p) => sum + p.ordered_items, 0);
-    const totalRevenue = products.reduce((sum, p) => sum + p.shipped_revenue, 0);
-    const totalEarnings = products.reduce((sum, p) => sum + p.earnings, 0);
-    const totalClicks = products.reduce((sum, p) => sum + p.clicks, 0);
+    const numberLocale = resolveNumberLocale(rows, match.columnMap, options);
+    const mapped = mapRows(rows, match, { ...options, locale: numberLocale.locale, localeConfident: numberLocale.confident, headerRowIndex });
+    const summaryTotals = reportTotals.readPreambleTotals(
+      preamble,
+      match.mappings,
+      createTotalsReader(numberLocale.locale)
+    );
     
-    return {
-      success: true,
-      products,
-      metadata: {
-        format: 'xlsx',
-        totalRows: rows.length,
-        validProducts: products.length,
-        invalidRows: rows.length - products.length,
-        uniqueAsins: new Set(products.map(p => p.asin)).size,
-        totalOrderedItems,
-        totalRevenue,
-        totalEarnings,
-        totalClicks,
-        averageConversionRate: totalClicks > 0 ? totalOrderedItems / totalClicks : 0,
-        columnMapping: columnMap,
-      },
-      errors: errors.length > 0 ? errors : undefined,
-    };
+    const reportPeriod = resolveReportPeriod(preamble, fileName);
     
+    return buildParseResult(rows, match, mapped, numberLocale, options, { format: 'xlsx', file: info, reportPeriod }, summaryTotals);
+  
   } else {
-    throw new Error(`Unsupported file format. Please provide CSV or XLSX file. Got: ${filePath}`);
+    throw new Error(`Unsupported file format. Please provide a CSV, TSV or XLSX file (optionally .gz or .zip). Got: ${filePath}`);
   }
 }
 
 /**
  * Parses CSV from string content (for Pipedream/webhook use)
- * @param {string} csvContent - CSV content as string
+ * @param {string} csvContent - CSV content as string (comma, tab or semicolon delimited)
  * @param {Object} options - Parsing options
+ * @param {string} options.reportType - Skip detection and use this report type (optional)
+ * @param {string} options.locale - Number locale ('en-US', 'en-GB', 'de-DE', 'fr-FR', 'ja-JP') or 'auto' (default: 'auto')
+ * @param {Object} options.columns - Field -> extra column name(s) (optional)
+ * @param {string} options.profile - Use this saved mapping profile (optional)
+ * @param {boolean} options.skipInvalidRows - Skip rows that fail validation; false fails the parse instead (default: true)
+ * @param {string} options.fileName - Original file name, for the report period (optional)
  * @returns {Object} Parsed data
  */
 function parseCSVString(csvContent, options = {}) {
-  const parseResult = Papa.parse(csvContent, {
-    header: true,
+  const fileInfo = {
+    format: 'csv',
+    encoding: null,
+    bom: false,
+    delimiter: reportFiles.detectDelimiter(csvContent.slice(0, reportFiles.SNIFF_BYTES)),
+    compression: null,
+    entry: null,
+  };
+  return parseDelimitedText(csvContent, fileInfo, options.fileName, options);
+}
+
+/**
+ * Streams raw CSV rows without reading the whole file
+ *
+ * Rows are read as arrays and keyed by the header row here: PapaParse's
+ * stream mode re-runs its header handling after every backpressure pause,
+ * which renames repeated values ("10" -> "10_1") in ordinary data rows.
+ *
+ * @param {Readable} text - Decoded text stream from report-files
+ * @param {string[]} headers - Receives the trimmed header row as it is read
+ * @param {string} delimiter - Sniffed delimiter
+ * @returns {AsyncIterable<Object>} Raw row objects
+ */
+async function* streamCSVRows(text, headers, delimiter) {
+  // pipeline() so a failing text stream ends the loop below with its error
+  const rows = pipeline(text, Papa.parse(Papa.NODE_STREAM_INPUT, {
+    header: false,
+    delimiter,
     skipEmptyLines: true,
     dynamicTyping: false,
-    transformHeader: (header) => header.trim(),
-  });
-  
-  const headers = parseResult.meta.fields || [];
-  const rows = parseResult.data;
+  }), () => {});
   
-  // Build column map (same as parseCSV)
-  const columnMap = {};
-  for (const [field, possibleNames] of Object.entries(COLUMN_MAPPINGS)) {
-    const matchedColumn = findColumn(headers, possibleNames);
-    if (matchedColumn) {
-      columnMap[field] = matchedColumn;
+  for await (const values of rows) {
+    if (headers.length === 0) {
+      // Same naming as Papa.parse with header: true (duplicates get _1, _2, ...)
+      const counts = {};
+      values.forEach(value => {
+        const header = String(value).trim();
+        counts[header] = (counts[header] || 0) + 1;
+        headers.push(counts[header] > 1 ? `${header}_${counts[header] - 1}` : header);
+      });
+      continue;
     }
+    
+    const row = {};
+    headers.forEach((header, i) => {
+      row[header] = values[i];
+    });
+    yield row;
   }
+}
+
+/**
+ * Streams raw XLSX rows, starting at the detected header row
+ *
+ * SheetJS has to load the workbook in one go, but rows are still converted
+ * and handed out one at a time rather than materialised as an array.
+ *
+ * @param {Buffer} buffer - Decompressed XLSX/XLS file
+ * @param {string[]} headers - Receives the header row
+ * @param {Object} options - Parsing options
+ * @param {string} options.sheetName - Specific sheet to parse (optional)
+ * @param {Array[]} preamble - Receives the rows above the header row (optional)
+ * @param {Object} layout - Receives headerRowIndex, the zero-based sheet row of the header (optional)
+ * @returns {AsyncIterable<Object>} Raw row objects
+ */
+function streamXLSXRows(buffer, headers, options = {}, preamble = [], layout = {}) {
+  const workbook = XLSX.read(buffer, { type: 'buffer', dense: true });
+  const sheetName = resolveSheetName(workbook, options.sheetName);
+  const worksheet = workbook.Sheets[sheetName];
+  const headerRowIndex = findHeaderRowIndex(worksheet, options);
+  layout.headerRowIndex = headerRowIndex;
+  preamble.push(...readPreambleRows(worksheet, headerRowIndex));
   
-  // Validate required columns
-  const requiredFields = ['asin', 'orderedItems', 'shippedRevenue', 'earnings', 'clicks'];
-  const missingFields = requiredFields.filter(field => !columnMap[field]);
-  
-  if (missingFields.length > 0) {
-    throw new Error(
-      `Missing required columns. Could not find: ${missingFields.join(', ')}\n` +
-      `Available columns: ${headers.join(', ')}`
-    );
-  }
+  const [headerRow = []] = XLSX.utils.sheet_to_json(worksheet, {
+    header: 1,
+    defval: '',
+    raw: false,
+    range: headerRowIndex,
+  }).slice(0, 1);
+  headers.push(...headerRow.map(h => String(h).trim()));
   
-  // Parse rows
-  const products = rows
-    .map(row => mapRowToProduct(row, columnMap))
-    .filter(product => product !== null);
+  return XLSX.stream.to_json(worksheet, {
+    raw: false,
+    defval: '',
+    range: headerRowIndex,
+  });
+}
+
+/**
+ * Streams mapped products from a report one row at a time
+ *
+ * Products are yielded as rows are read, so memory stays flat regardless of
+ * report size for CSV/TSV (plain or gzipped). XLSX/XLS and zipped reports
+ * are still read into memory whole first; only their rows are handed out
+ * one at a time. The returned metadata object is filled in while the iterator
+ * is consumed and is complete once iteration finishes; validation is set then,
+ * in the same place as parseFile()'s.
+ *
+ * @param {string} filePath - Path to file (CSV, TSV, TXT, XLSX or XLS, optionally .gz or .zip)
+ * @param {Object} options - Parsing options
+ * @param {string} options.sheetName - Specific XLSX sheet to parse (optional)
+ * @param {string} options.reportType - Skip detection and use this report type (optional)
+ * @param {string} options.locale - Number locale or 'auto' (default: 'auto')
+ * @param {Object} options.columns - Field -> extra column name(s) (optional)
+ * @param {string} options.profile - Use this saved mapping profile (optional)
+ * @param {boolean} options.validateAsins - Validate ASIN format (default: true)
+ * @param {number} options.reconcileTolerance - Allowed difference from the report's own totals (default: 0.01)
+ * @param {string} options.fileName - Original file name, for the report period when filePath is a temp upload (optional)
+ * @returns {{products: AsyncGenerator<Object>, metadata: Object, validation: Object|null}} Product iterator,
+ *   running metadata and the validation report (null until the iterator has been consumed)
+ */
+function streamFile(filePath, options = {}) {
+  const metadata = {
+    format: null, // sniffed when iteration starts
+    file: null,
+    reportType: null,
+    reportTypeName: null,
+    reportPeriod: resolveReportPeriod([], options.fileName || filePath), // title lines win once read
+    mappingProfile: null,
+    headerHash: null,
+    locale: null,
+    localeDetected: false,
+    totalRows: 0,
+    validProducts: 0,
+    invalidRows: 0,
+    uniqueAsins: 0,
+    totalOrderedItems: 0,
+    totalRevenue: 0,
+    totalEarnings: 0,
+    totalClicks: 0,
+    totalReturnedItems: 0,
+    totalReturnedRevenue: 0,
+    totalReturnedEarnings: 0,
+    averageConversionRate: 0,
+    columnMapping: null,
+    reconciliation: null, // set once the iterator has been consumed
+  };
+  const result = { products: null, metadata, validation: null };
   
-  const totalOrderedItems = products.reduce((sum, p) => sum + p.ordered_items, 0);
-  const totalRevenue = products.reduce((sum, p) => sum + p.shipped_revenue, 0);
-  const totalEarnings = products.reduce((sum, p) => sum + p.earnings, 0);
-  const totalClicks = products.reduce((sum, p) => sum + p.clicks, 0);
+  async function* products() {
+    const source = await reportFiles.openReportStream(filePath);
+    if (source.info.format === 'unknown') {
+      throw new Error(`Unsupported file format. Please provide a CSV, TSV or XLSX file (optionally .gz or .zip). Got: ${filePath}`);
+    }
+    metadata.format = source.info.format;
+    metadata.file = source.info;
+    
+    const headers = [];
+    const preamble = [];
+    const layout = { headerRowIndex: 0 };
+    const rows = source.info.format === 'csv'
+      ? streamCSVRows(source.stream, headers, source.info.delimiter)
+      : streamXLSXRows(source.buffer, headers, options, preamble, layout);
+    const seenAsins = new Set();
+    let match = null;
+    let columnMap = null;
+    let numberFormat = null;
+    let validation = null;
+    let totalsRow = null;
+    let rowIndex = 0;
+    let rowNumber = 0;
+    
+    // Rows are held back until the number locale is known
+    const sampleRows = [];
+    
+    const setLocale = () => {
+      const numberLocale = resolveNumberLocale(sampleRows, columnMap, options);
+      metadata.locale = numberLocale.locale;
+      metadata.localeDetected = numberLocale.detected;
+      numberFormat = {
+        locale: numberLocale.locale,
+        groupingUnknown: !numberLocale.confident,
+        onAmbiguous: (field, value, reason) => {
+          validator.recordNonNumeric(validation, rowNumber, field, value, reason);
+        },
+      };
+    };
+    
+    function* emit(row) {
+      // Same numbering as mapRows(): header row + 1-based, totals rows included
+      rowNumber = layout.headerRowIndex + rowIndex++ + 2;
+      if (reportTotals.isTotalsRow(row)) {
+        totalsRow = reportTotals.readTotalsRow(row, columnMap, createTotalsReader(numberFormat.locale));
+        return;
+      }
+      
+      metadata.totalRows++;
+      const product = validator.validateRow(validation, row, rowNumber)
+        ? mapRowToProduct(row, columnMap, numberFormat, options)
+        : null;
+      
+      if (!product) {
+        metadata.invalidRows++;
+        if (options.skipInvalidRows === false) {
+          throw new Error(`Row ${rowNumber} failed validation (skipInvalidRows is off)`);
+        }
+        return;
+      }
+      validator.validateProduct(validation, product, rowNumber);
+      
+      seenAsins.add(product.asin);
+      metadata.validProducts++;
+      metadata.uniqueAsins = seenAsins.size;
+      metadata.totalOrderedItems += product.ordered_items;
+      metadata.totalRevenue += product.shipped_revenue;
+      metadata.totalEarnings += product.earnings;
+      metadata.totalClicks += product.clicks;
+      metadata.totalReturnedItems += product.returned_items || 0;
+      metadata.totalReturnedRevenue += product.returned_revenue || 0;
+      metadata.totalReturnedEarnings += product.returned_earnings || 0;
+      metadata.averageConversionRate = metadata.totalClicks > 0
+        ? metadata.totalOrderedItems / metadata.totalClicks
+        : 0;
+      
+      yield product;
+    }
+    
+    for await (const row of rows) {
+      // Header row is known once the first data row arrives
+      if (!columnMap) {
+        match = detectReportType(headers, options);
+        if (match.schema.rowType !== 'product') {
+          throw new Error(`${match.schema.name} reports have no per-ASIN rows to stream; use parseFile() instead`);
+        }
+        warnIfNoClicks(match);
+        
+        columnMap = match.columnMap;
+        metadata.reportType = match.reportType;
+        metadata.reportTypeName = match.schema.name;
+        metadata.mappingProfile = match.profile;
+        metadata.headerHash = match.headerHash;
+        metadata.columnMapping = columnMap;
+        metadata.reportPeriod = resolveReportPeriod(preamble, options.fileName || filePath);
+        validation = createValidation(columnMap, 'product', options);
+      }
+      
+      if (!numberFormat) {
+        sampleRows.push(row);
+        if (sampleRows.length < LOCALE_SAMPLE_ROWS) continue;
+        
+        setLocale();
+        for (const sampleRow of sampleRows.splice(0)) {
+          yield* emit(sampleRow);
+        }
+        continue;
+      }
+      
+      yield* emit(row);
+    }
+    
+    // Short files never fill the sample
+    if (columnMap && !numberFormat) {
+      setLocale();
+      for (const sampleRow of sampleRows.splice(0)) {
+        yield* emit(sampleRow);
+      }
+    }
+    
+    // Header-only files still need their columns checked
+    if (!columnMap && headers.length > 0) {
+      detectReportType(headers, options);
+    }
+    
+    if (validation) {
+      result.validation = validator.finalizeValidation(validation);
+      const summaryTotals = reportTotals.readPreambleTotals(
+        preamble,
+        match.mappings,
+        createTotalsReader(numberFormat.locale)
+      );
+      metadata.reconciliation = reconcileReport(totalsRow, summaryTotals, metadata, options);
+    }
+  }
   
-  return {
-    success: true,
-    products,
-    metadata: {
-      totalRows: rows.length,
-      validProducts: products.length,
-      invalidRows: rows.length - products.length,
-      uniqueAsins: new Set(products.map(p => p.asin)).size,
-      totalOrderedItems,
-      totalRevenue,
-      totalEarnings,
-      totalClicks,
-      averageConversionRate: totalClicks > 0 ? totalOrderedItems / totalClicks : 0,
-    },
-  };
+  result.products = products();
+  return result;
 }
 
 // Export functions
@@ -499,9 +1627,14 @@ module.exports = {
   parseCSV,       // Legacy: CSV only
   parseCSVString, // For Pipedream/webhook use
   parseXLSX,      // XLSX parsing
+  parseWorkbook,  // XLSX: join all Fee-* sheets
+  streamFile,     // Row-by-row parsing for large reports
   isValidASIN,
   detectFileFormat,
+  detectReportType,
+  summarizeProducts,
   COLUMN_MAPPINGS,
+  REPORT_TYPES,
 };
 
 // CLI usage
@@ -509,26 +1642,136 @@ if (require.main === module) {
   const args = process.argv.slice(2);
   
   if (args.length === 0) {
-    console.log('Usage: node aa-csv-parser.js <path-to-file>');
-    console.log('\nSupported formats: CSV, XLSX, XLS');
+    console.log('Usage: node aa-csv-parser.js <path-to-file> [options]');
+    console.log('\nSupported formats: CSV, TSV/TXT, XLSX, XLS (optionally .gz or .zip)');
+    console.log('\nOptions:');
+    console.log('  --multi-sheet    Join Fee-Orders and Fee-Earnings sheets of an XLSX workbook');
+    console.log('  --locale <id>    Number locale: auto (default), en-US, en-GB, de-DE, fr-FR, ja-JP');
+    console.log('  --map <field=Column>  Extra column name for a field (repeatable)');
+    console.log('  --profile <name>      Use a saved mapping profile');
+    console.log('  --save-profile <name> Save the mapping used for this file as a profile');
+    console.log('  --validate            Print the validation report only (exit code 1 on errors)');
     console.log('\nExamples:');
     console.log('  node aa-csv-parser.js sample-data/aa-report.csv');
     console.log('  node aa-csv-parser.js sample-data/aa-report.xlsx');
+    console.log('  node aa-csv-parser.js partner.csv --map orderedItems=Units --save-profile partner-x');
+    console.log('  node aa-csv-parser.js sample-data/aa-report.csv --validate');
     process.exit(1);
   }
   
+  /**
+   * Prints a validation report's counts and its first issues
+   * @param {Object} validation - Validation report
+   * @param {number} limit - Most issues to print
+   */
+  function printValidation(validation, limit) {
+    const { counts, byCode } = validation;
+    console.log(`\nValidation: ${counts.error} errors, ${counts.warning} warnings, ${counts.info} info (${validation.rejectedRows} rows rejected)`);
+    Object.entries(byCode).forEach(([code, count]) => {
+      console.log(`  ${code}: ${count}`);
+    });
+    
+    validation.issues.slice(0, limit).forEach(issue => {
+      const icon = { error: '❌', warning: '⚠️ ', info: 'ℹ️ ' }[issue.severity];
+      const where = [issue.sheet, `Row ${issue.row}`, issue.column].filter(Boolean).join(', ');
+      const value = issue.value !== undefined ? ` "${issue.value}"` : '';
+      console.log(`   ${icon} ${where}${value}: ${issue.message} [${issue.code}]`);
+    });
+    if (validation.issues.length > limit || validation.truncated) {
+      console.log(`   ...and ${validation.counts.error + validation.counts.warning + validation.counts.info - Math.min(limit, validation.issues.length)} more`);
+    }
+  }
+  
+  /**
+   * Prints how parsed totals compare with the report's own totals
+   * @param {Object|null} reconciliation - Reconciliation block from parse metadata
+   */
+  function printReconciliation(reconciliation) {
+    if (!reconciliation) return;
+    
+    console.log(`\nReconciliation (${reconciliation.sources.join(' + ')}): ${reconciliation.matched ? '✅ totals match' : '❌ totals differ'}`);
+    Object.entries(reconciliation.fields).forEach(([field, entry]) => {
+      const icon = entry.match ? '✅' : '❌';
+      const basis = entry.basis === 'net' ? ' (net of returns)' : '';
+      console.log(`   ${icon} ${field}: reported ${entry.reported} | parsed ${Number(entry.parsed.toFixed(2))}${basis} | difference ${entry.difference}`);
+    });
+  }
+  
   const filePath = args[0];
-  const format = detectFileFormat(filePath);
+  const multiSheet = args.includes('--multi-sheet');
+  const locale = args.includes('--locale') ? args[args.indexOf('--locale') + 1] : 'auto';
+  const profile = args.includes('--profile') ? args[args.indexOf('--profile') + 1] : undefined;
+  const saveProfileName = args.includes('--save-profile') ? args[args.indexOf('--save-profile') + 1] : undefined;
+  const validateOnly = args.includes('--validate');
   
-  console.log(`Detected format: ${format.toUpperCase()}`);
+  // Column mappings and row options from config.js (csv section), if present
+  let csvConfig = {};
+  try {
+    csvConfig = require('../config.js').csv || {};
+  } catch (error) {
+    // No config.js: built-in column mappings only
+  }
+  
+  const mappingProfiles = require('./mapping-profiles');
+  const cliColumns = {};
+  args.forEach((arg, i) => {
+    if (arg !== '--map') return;
+    const [field, ...column] = (args[i + 1] || '').split('=');
+    if (field && column.length > 0) {
+      cliColumns[field] = [...(cliColumns[field] || []), column.join('=')];
+    }
+  });
+  const columns = mappingProfiles.mergeColumnMappings(csvConfig.columns, cliColumns);
   
-  parseFile(filePath)
+  parseFile(filePath, { ...csvConfig, columns, multiSheet, locale, profile })
+    .then(result => {
+      if (result.success && saveProfileName) {
+        if (!result.metadata.headerHash) {
+          throw new Error('--save-profile is not supported with --multi-sheet');
+        }
+        const saved = mappingProfiles.saveProfile({
+          name: saveProfileName,
+          headerHash: result.metadata.headerHash,
+          columns: result.metadata.columnMapping,
+          reportType: result.metadata.reportType,
+        }, csvConfig.profilesPath);
+        console.log(`Saved mapping profile "${saved.name}" (headers ${saved.headerHash})`);
+      }
+      return result;
+    })
     .then(result => {
+      if (validateOnly && result.validation) {
+        console.log(`\nReport Type: ${result.metadata.reportTypeName} (${result.metadata.reportType})`);
+        console.log(`Rows: ${result.metadata.totalRows} | Valid: ${result.metadata.validProducts}`);
+        printValidation(result.validation, 50);
+        printReconciliation(result.metadata.reconciliation);
+        console.log(result.validation.valid ? '\n✅ No errors' : '\n❌ Report has errors');
+        process.exit(result.validation.valid ? 0 : 1);
+      }
+      
       if (result.success) {
         console.log('\n✅ File Parsed Successfully\n');
         console.log('Metadata:');
         if (result.metadata.format) {
-          console.log(`  Format: ${result.metadata.format.toUpperCase()}`);
+          const file = result.metadata.file || {};
+          const delimiters = { ',': 'comma', '\t': 'tab', ';': 'semicolon' };
+          const details = [
+            file.delimiter && `${delimiters[file.delimiter]}-delimited`,
+            file.encoding,
+            file.compression && `from ${file.compression}${file.entry ? ` (${file.entry})` : ''}`,
+          ].filter(Boolean);
+          console.log(`  Format: ${result.metadata.format.toUpperCase()}${details.length > 0 ? ` (${details.join(', ')})` : ''}`);
+        }
+        console.log(`  Report Type: ${result.metadata.reportTypeName} (${result.metadata.reportType})`);
+        if (result.metadata.reportPeriod) {
+          const period = result.metadata.reportPeriod;
+          console.log(`  Report Period: ${period.start} to ${period.end} (from ${period.source})`);
+        }
+        if (result.metadata.mappingProfile) {
+          console.log(`  Mapping Profile: ${result.metadata.mappingProfile}`);
+        }
+        if (result.metadata.locale) {
+          console.log(`  Number Locale: ${result.metadata.locale}${result.metadata.localeDetected ? ' (detected)' : ''}`);
         }
         console.log(`  Total Rows: ${result.metadata.totalRows}`);
         console.log(`  Valid Products: ${result.metadata.validProducts}`);
@@ -537,20 +1780,40 @@ if (require.main === module) {
         console.log(`  Total Revenue: $${result.metadata.totalRevenue.toFixed(2)}`);
         console.log(`  Total Earnings: $${result.metadata.totalEarnings.toFixed(2)}`);
         console.log(`  Total Clicks: ${result.metadata.totalClicks}`);
+        if (result.metadata.totalReturnedItems > 0 || result.metadata.totalReturnedRevenue > 0) {
+          console.log(`  Returns: ${result.metadata.totalReturnedItems} items | $${result.metadata.totalReturnedRevenue.toFixed(2)}`);
+        }
         console.log(`  Avg Conversion Rate: ${(result.metadata.averageConversionRate * 100).toFixed(2)}%`);
         
+        if (result.metadata.sheets) {
+          console.log('\nSheets:');
+          result.metadata.sheets.forEach(sheet => {
+            console.log(`  ${sheet.name}: ${sheet.validProducts} rows -> ${sheet.fields.join(', ') || 'no metrics'}`);
+          });
+          console.log(`  Joined on ${result.metadata.join.key}: ${result.metadata.join.matchedInAllSheets}/${result.metadata.join.records} records found in every sheet`);
+        }
+        
+        if (result.records) {
+          console.log(`\nSample Records (first 5 of ${result.records.length}):`);
+          result.records.slice(0, 5).forEach((record, i) => {
+            console.log(`  ${i + 1}. ${JSON.stringify(record)}`);
+          });
+        }
+        
         console.log('\nSample Products (first 5):');
         result.products.slice(0, 5).forEach((product, i) => {
           console.log(`\n  ${i + 1}. ASIN: ${product.asin}`);
           console.log(`     Orders: ${product.ordered_items} | Revenue: $${product.shipped_revenue.toFixed(2)} | Earnings: $${product.earnings.toFixed(2)}`);
         });
         
-        if (result.errors && result.errors.length > 0) {
-          console.log(`\n⚠️  ${result.errors.length} rows had errors (see details above)`);
-        }
+        printReconciliation(result.metadata.reconciliation);
+        printValidation(result.validation, 10);
       } else {
         console.error('\n❌ File Parsing Failed\n');
         console.error(`Error: ${result.error}`);
+        if (result.validation) {
+          printValidation(result.validation, 10);
+        }
         process.exit(1);
       }
     })
@@ -0,0 +1,235 @@
+/**
+ * Click Anomaly Detection
+ *
+ * Flags ASINs whose clicks don't turn into orders or earnings the way the
+ * rest of the report's do. Heavy clicks with no orders usually means a
+ * broken or out-of-stock link, or bot traffic, and such ASINs shouldn't be
+ * promoted until someone has looked at them.
+ *
+ * Each ASIN with at least minClicks is scored against the others (median
+ * and median absolute deviation, so the outliers don't mask themselves):
+ *
+ *   conversion_z: its conversion rate against the other ASINs' rates
+ *   shortfall_z:  its orders against its clicks at the pooled rate (all
+ *                 judged orders over all judged clicks), in binomial standard
+ *                 deviations (is the gap more than chance?)
+ *   epc_z:        its EPC against the other ASINs' EPC
+ *   clicks_z:     its log clicks against the report's (how heavy the traffic is)
+ *
+ * The pooled rate rather than the median: in long-tail reports most ASINs
+ * have no orders, which makes the median rate 0 and hides every shortfall.
+ *
+ * Reasons (scores at or below -zThreshold):
+ *   clicks_without_orders: no orders at all (shortfall_z, and conversion_z or
+ *                          heavy traffic: clicks_z at least HEAVY_CLICKS_Z)
+ *   low_conversion:        some orders, far too few for the clicks (conversion_z
+ *                          and shortfall_z)
+ *   low_epc:               earnings per click far below the other ASINs' (epc_z)
+ *
+ * Usage:
+ *   const anomalies = require('./anomaly-detection');
+ *   const result = anomalies.detectAnomalies(aggregated, { zThreshold: 3, minClicks: 20 });
+ *   // result.flagged[i]: { asin, clicks, ordered_items, expected_orders, scores, reasons }
+ *
+ *   aggregator.aggregateAndRank(products, { excludeAnomalies: true });
+ */
+
+/**
+ * z-score at or below which (negated) an ASIN is flagged
+ */
+const DEFAULT_Z_THRESHOLD = 3;
+
+/**
+ * Clicks an ASIN needs before it can be flagged
+ */
+const DEFAULT_MIN_CLICKS = 20;
+
+/**
+ * clicks_z from which an ASIN's traffic counts as heavy
+ */
+const HEAVY_CLICKS_Z = 1;
+
+/**
+ * Scales a median absolute deviation to a standard deviation for normal data
+ */
+const MAD_SCALE = 1.4826;
+
+/**
+ * Reasons an ASIN can be flagged for
+ */
+const ANOMALY_REASONS = ['clicks_without_orders', 'low_conversion', 'low_epc'];
+
+/**
+ * Validates detection options
+ * @param {Object} options - Detection options
+ * @param {number} options.zThreshold - Standard deviations below the report for a flag (default: 3)
+ * @param {number} options.minClicks - Clicks an ASIN needs to be judged (default: 20)
+ * @returns {{zThreshold: number, minClicks: number}} Resolved options
+ * @throws {Error} If the threshold isn't > 0 or minClicks isn't >= 1
+ */
+function resolveAnomalyOptions(options = {}) {
+  const { zThreshold = DEFAULT_Z_THRESHOLD, minClicks = DEFAULT_MIN_CLICKS } = options;
+  
+  if (typeof zThreshold !== 'number' || isNaN(zThreshold) || zThreshold <= 0) {
+    throw new Error(`Invalid anomaly z threshold: ${zThreshold}. Use a number > 0`);
+  }
+  if (typeof minClicks !== 'number' || isNaN(minClicks) || minClicks < 1) {
+    throw new Error(`Invalid anomaly minimum clicks: ${minClicks}. Use a number >= 1`);
+  }
+  
+  return { zThreshold, minClicks };
+}
+
+/**
+ * Finds the median of values
+ * @param {number[]} values - Values
+ * @returns {number} Median (0 without values)
+ */
+function median(values) {
+  if (values.length === 0) return 0;
+  
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Describes the centre and spread of values robustly
+ *
+ * Median and scaled median absolute deviation, so the outliers being looked
+ * for don't drag the centre or widen the spread that hides them. Falls back
+ * to the standard deviation when over half the values are identical.
+ *
+ * @param {number[]} values - Values
+ * @returns {{centre: number, spread: number}} Distribution (spread 0 when every value is the same)
+ */
+function describe(values) {
+  const centre = median(values);
+  const mad = median(values.map(value => Math.abs(value - centre))) * MAD_SCALE;
+  if (mad > 0 || values.length === 0) return { centre, spread: mad };
+  
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+  return { centre, spread: Math.sqrt(variance) };
+}
+
+/**
+ * Calculates a z-score
+ * @param {number} value - Value
+ * @param {{centre: number, spread: number}} distribution - Distribution
+ * @returns {number} z-score (0 when the distribution has no spread)
+ */
+function zScore(value, distribution) {
+  return distribution.spread > 0 ? Number(((value - distribution.centre) / distribution.spread).toFixed(4)) : 0;
+}
+
+/**
+ * Scores ASINs against the report and flags the ones whose clicks don't convert
+ * @param {Object[]} products - Aggregated products (the whole report)
+ * @param {Object} options - Detection options (see resolveAnomalyOptions)
+ * @returns {Object} Flagged ASINs, most anomalous first, and a summary
+ */
+function detectAnomalies(products, options = {}) {
+  const { zThreshold, minClicks } = resolveAnomalyOptions(options);
+  
+  const judged = products.filter(p => (p.clicks || 0) >= minClicks);
+  const rateOf = p => Math.min((p.ordered_items || 0) / p.clicks, 1);
+  const epcOf = p => (p.earnings || 0) / p.clicks;
+  const rateDistribution = describe(judged.map(rateOf));
+  const epcDistribution = describe(judged.map(epcOf));
+  const clicksDistribution = describe(products.map(p => Math.log1p(p.clicks || 0)));
+  const judgedClicks = judged.reduce((sum, p) => sum + p.clicks, 0);
+  const judgedOrders = judged.reduce((sum, p) => sum + (p.ordered_items || 0), 0);
+  const typicalRate = judgedClicks > 0 ? Math.min(judgedOrders / judgedClicks, 1) : 0;
+  
+  const flagged = [];
+  judged.forEach(product => {
+    const clicks = product.clicks;
+    const orders = product.ordered_items || 0;
+    const expected = clicks * typicalRate;
+    const deviation = Math.sqrt(expected * (1 - typicalRate));
+    const scores = {
+      conversion_z: zScore(rateOf(product), rateDistribution),
+      shortfall_z: deviation > 0 ? Number(((orders - expected) / deviation).toFixed(4)) : 0,
+      epc_z: zScore(epcOf(product), epcDistribution),
+      clicks_z: zScore(Math.log1p(clicks), clicksDistribution),
+    };
+    
+    const reasons = [];
+    // Where most ASINs have no orders, conversion_z can't go negative: heavy traffic stands in
+    const unusual = scores.conversion_z <= -zThreshold || scores.clicks_z >= HEAVY_CLICKS_Z;
+    if (orders === 0) {
+      if (scores.shortfall_z <= -zThreshold && unusual) reasons.push('clicks_without_orders');
+    } else if (scores.conversion_z <= -zThreshold && scores.shortfall_z <= -zThreshold) {
+      reasons.push('low_conversion');
+    }
+    if (scores.epc_z <= -zThreshold) reasons.push('low_epc');
+    if (reasons.length === 0) return;
+    
+    flagged.push({
+      asin: product.asin,
+      clicks,
+      ordered_items: orders,
+      earnings: product.earnings || 0,
+      expected_orders: Number(expected.toFixed(2)),
+      scores,
+      reasons,
+    });
+  });
+  
+  flagged.sort((a, b) =>
+    Math.min(a.scores.conversion_z, a.scores.epc_z) - Math.min(b.scores.conversion_z, b.scores.epc_z)
+    || String(a.asin).localeCompare(String(b.asin))
+  );
+  
+  return {
+    success: true,
+    flagged,
+    summary: {
+      zThreshold,
+      minClicks,
+      checkedAsins: judged.length,
+      flaggedAsins: flagged.length,
+      conversion_rate: {
+        median: Number(rateDistribution.centre.toFixed(4)),
+        spread: Number(rateDistribution.spread.toFixed(4)),
+        pooled: Number(typicalRate.toFixed(4)),
+      },
+      epc: { median: Number(epcDistribution.centre.toFixed(4)), spread: Number(epcDistribution.spread.toFixed(4)) },
+      byReason: Object.fromEntries(ANOMALY_REASONS.map(reason => [
+        reason,
+        flagged.filter(entry => entry.reasons.includes(reason)).length,
+      ])),
+    },
+  };
+}
+
+/**
+ * Sets anomaly_reasons on flagged products
+ * @param {Object[]} products - Aggregated products (modified in place)
+ * @param {Object} options - Detection options (see resolveAnomalyOptions)
+ * @returns {Object} Summary, with the flagged ASINs and their reasons
+ */
+function flagAnomalies(products, options = {}) {
+  const result = detectAnomalies(products, options);
+  const reasonsByAsin = new Map(result.flagged.map(entry => [entry.asin, entry.reasons]));
+  
+  products.forEach(product => {
+    if (reasonsByAsin.has(product.asin)) product.anomaly_reasons = reasonsByAsin.get(product.asin);
+    else delete product.anomaly_reasons;
+  });
+  
+  return {
+    ...result.summary,
+    flagged: result.flagged.map(entry => ({ asin: entry.asin, reasons: entry.reasons })),
+  };
+}
+
+module.exports = {
+  ANOMALY_REASONS,
+  DEFAULT_Z_THRESHOLD,
+  DEFAULT_MIN_CLICKS,
+  resolveAnomalyOptions,
+  detectAnomalies,
+  flagAnomalies,
+};
@@ -10,104 +10,379 @@
  *     rankBy: 'ordered_items',
  *     topN: 100
  *   });
+ *
+ *   // Push products with heavy returns down the ranking
+ *   aggregator.aggregateAndRank(products, { rankBy: 'earnings', returnPenalty: 1 });
+ *
+ *   // Weighted blend of several metrics (see composite-score.js)
+ *   aggregator.aggregateAndRank(products, { rankBy: 'composite', weights: { ordered_items: 2, epc: 1 } });
+ *
+ *   // Rates smoothed towards the overall rate, so 1 click / 1 order doesn't win
+ *   aggregator.aggregateAndRank(products, { rankBy: 'smoothed_conversion_rate', priorStrength: 100 });
+ *
+ *   // Biggest movers since the previous period (see trend-analysis.js)
+ *   aggregator.aggregateAndRank(products, { rankBy: 'trending', previous: aggregator.aggregateByAsin(lastWeek) });
+ *
+ *   // Weekly series per ASIN; rank what is selling now (see time-series.js)
+ *   aggregator.aggregateAndRank(products, { rankBy: 'recency_weighted', bucket: 'week' });
+ *
+ *   // House ranking logic (see ranking-strategies.js)
+ *   require('./ranking-strategies').loadStrategies('./house-strategies.js');
+ *   aggregator.aggregateAndRank(products, { rankBy: 'margin' });
+ *
+ *   // Several reports at once (see report-merger.js)
+ *   aggregator.aggregateAndRank(merged.products, { parseMetadata: merged.metadata });
  */
 
+const compositeScore = require('./composite-score');
+const smoothing = require('./metric-smoothing');
+const trendAnalysis = require('./trend-analysis');
+const timeSeries = require('./time-series');
+const clustering = require('./clustering');
+const paretoAnalysis = require('./pareto-analysis');
+const anomalyDetection = require('./anomaly-detection');
+const filterExpression = require('./filter-expression');
+const diversitySelection = require('./diversity-selection');
+const rankingStrategies = require('./ranking-strategies');
+
 /**
- * Ranking strategies
+ * Return fields summed per ASIN (set by the parser when a report has returns)
  */
-const RANKING_STRATEGIES = {
-  ordered_items: (a, b) => b.ordered_items - a.ordered_items,
-  shipped_revenue: (a, b) => b.shipped_revenue - a.shipped_revenue,
-  earnings: (a, b) => b.earnings - a.earnings,
-  conversion_rate: (a, b) => b.conversion_rate - a.conversion_rate,
-  revenue_per_click: (a, b) => b.revenue_per_click - a.revenue_per_click,
-};
+const RETURN_FIELDS = ['returned_items', 'returned_revenue', 'returned_earnings'];
 
 /**
- * Aggregates products by ASIN (combines duplicate ASINs)
- * @param {Object[]} products - Array of product objects
- * @returns {Object[]} Aggregated products
+ * Report columns broken down per value for each ASIN (set by the parser
+ * when a report has them), e.g. orders by device type
+ */
+const BREAKDOWN_FIELDS = ['category', 'product_group', 'seller', 'device_type', 'link_type'];
+
+/**
+ * Metrics summed per breakdown value
+ */
+const BREAKDOWN_METRICS = ['ordered_items', 'shipped_revenue', 'earnings', 'clicks'];
+
+/**
+ * Metrics summed per tracking ID (by_tag), enough to rank an ASIN on one
+ * tag's traffic alone (see tag-leaderboards.js)
+ */
+const TAG_METRICS = ['ordered_items', 'items_shipped', 'shipped_revenue', 'earnings', 'clicks', ...RETURN_FIELDS];
+
+/**
+ * Creates the running state for an aggregation pass
+ * @param {Object} options - Aggregation options (see aggregateByAsin)
+ * @returns {Object} Accumulator (aggregates and per-ASIN side data)
  */
-function aggregateByAsin(products) {
-  const asinMap = new Map();
+function createAccumulator(options = {}) {
+  return {
+    asinMap: new Map(),    // ASIN -> aggregated product
+    shipDates: new Map(),  // ASIN -> Set of ISO ship dates
+    breakdowns: new Map(), // ASIN -> field -> value -> metrics
+    tagMetrics: new Map(), // ASIN -> tag -> metrics
+    // ASIN -> bucket start -> metrics, when a time series was asked for
+    ...(options.bucket && { series: new Map(), seriesOptions: timeSeries.resolveSeriesOptions(options) }),
+  };
+}
+
+/**
+ * Merges one product row into the running aggregation
+ * @param {Object} acc - Accumulator from createAccumulator()
+ * @param {Object} product - Product row to merge
+ */
+function mergeProduct(acc, product) {
+  const { asinMap } = acc;
+  const asin = product.asin;
   
-  products.forEach(product => {
-    const asin = product.asin;
+  if (asinMap.has(asin)) {
+    // Aggregate existing ASIN
+    const existing = asinMap.get(asin);
+    existing.ordered_items += product.ordered_items;
+    existing.shipped_revenue += product.shipped_revenue;
+    existing.earnings += product.earnings;
+    existing.clicks += product.clicks;
     
-    if (asinMap.has(asin)) {
-      // Aggregate existing ASIN
-      const existing = asinMap.get(asin);
-      existing.ordered_items += product.ordered_items;
-      existing.shipped_revenue += product.shipped_revenue;
-      existing.earnings += product.earnings;
-      existing.clicks += product.clicks;
-      
-      if (product.items_shipped !== undefined) {
-        existing.items_shipped = (existing.items_shipped || 0) + product.items_shipped;
+    if (product.items_shipped !== undefined) {
+      existing.items_shipped = (existing.items_shipped || 0) + product.items_shipped;
+    }
+    
+    RETURN_FIELDS.forEach(field => {
+      if (product[field]) existing[field] = (existing[field] || 0) + product[field];
+    });
+    
+    // Track tags if multiple
+    if (product.tag && product.tag !== existing.tag) {
+      if (!existing.tags) {
+        existing.tags = [existing.tag];
+        delete existing.tag;
       }
-      
-      // Track tags if multiple
-      if (product.tag && product.tag !== existing.tag) {
-        if (!existing.tags) {
-          existing.tags = [existing.tag];
-          delete existing.tag;
-        }
-        if (!existing.tags.includes(product.tag)) {
-          existing.tags.push(product.tag);
-        }
+      if (!existing.tags.includes(product.tag)) {
+        existing.tags.push(product.tag);
       }
-    } else {
-      // New ASIN
-      asinMap.set(asin, { ...product });
     }
+    
+    // Keep the first product name seen in the report
+    if (!existing.product_name && product.product_name) {
+      existing.product_name = product.product_name;
+    }
+    
+    // Report files the ASIN was found in (merged multi-file input)
+    if (product.source_file) {
+      existing.source_files = existing.source_files || [];
+      if (!existing.source_files.includes(product.source_file)) {
+        existing.source_files.push(product.source_file);
+      }
+    }
+  } else {
+    // New ASIN
+    const { date_shipped, ship_dates, source_file, ...fields } = product;
+    if (source_file) fields.source_files = [source_file];
+    asinMap.set(asin, fields);
+    acc.shipDates.set(asin, new Set());
+  }
+  
+  // Rows carry one ship date, or several when pre-merged (multi-sheet workbooks)
+  const dates = acc.shipDates.get(asin);
+  if (product.date_shipped) dates.add(product.date_shipped);
+  if (product.ship_dates) product.ship_dates.forEach(date => dates.add(date));
+  
+  if (acc.series && product.date_shipped) {
+    timeSeries.addToSeries(acc.series, product, acc.seriesOptions.bucket);
+  }
+  
+  mergeBreakdowns(acc, product);
+  mergeTagMetrics(acc, product);
+}
+
+/**
+ * Adds a row's metrics to its ASIN's per-tag totals
+ * @param {Object} acc - Accumulator from createAccumulator()
+ * @param {Object} product - Product row
+ */
+function mergeTagMetrics(acc, product) {
+  if (!product.tag) return;
+  
+  if (!acc.tagMetrics.has(product.asin)) acc.tagMetrics.set(product.asin, {});
+  const tags = acc.tagMetrics.get(product.asin);
+  
+  const metrics = tags[product.tag] || (tags[product.tag] = { rows: 0 });
+  metrics.rows++;
+  TAG_METRICS.forEach(metric => {
+    if (product[metric] !== undefined) metrics[metric] = (metrics[metric] || 0) + product[metric];
+  });
+}
+
+/**
+ * Adds a row's metrics to its ASIN's per-value breakdowns
+ * @param {Object} acc - Accumulator from createAccumulator()
+ * @param {Object} product - Product row
+ */
+function mergeBreakdowns(acc, product) {
+  for (const field of BREAKDOWN_FIELDS) {
+    const value = product[field];
+    if (!value) continue;
+    
+    if (!acc.breakdowns.has(product.asin)) acc.breakdowns.set(product.asin, {});
+    const fields = acc.breakdowns.get(product.asin);
+    fields[field] = fields[field] || {};
+    
+    const metrics = fields[field][value] || (fields[field][value] = { rows: 0 });
+    metrics.rows++;
+    BREAKDOWN_METRICS.forEach(metric => {
+      metrics[metric] = (metrics[metric] || 0) + (product[metric] || 0);
+    });
+  }
+}
+
+/**
+ * Calculates the rates and return figures derived from a product's totals
+ * @param {Object} product - Product with summed metrics (modified in place)
+ * @returns {Object} The product
+ */
+function calculateDerivedMetrics(product) {
+  // Calculate conversion rate
+  product.conversion_rate = product.clicks > 0 
+    ? product.ordered_items / product.clicks 
+    : 0;
+  
+  // Calculate revenue per click
+  product.revenue_per_click = product.clicks > 0
+    ? product.shipped_revenue / product.clicks
+    : 0;
+  
+  // Calculate average order value
+  product.average_order_value = product.ordered_items > 0
+    ? product.shipped_revenue / product.ordered_items
+    : 0;
+  
+  // Calculate earnings per click (EPC)
+  product.epc = product.clicks > 0
+    ? product.earnings / product.clicks
+    : 0;
+  
+  // 95% Wilson interval for the conversion rate ([0, 1] without clicks)
+  const interval = smoothing.wilsonInterval(product.ordered_items, product.clicks);
+  product.conversion_ci_lower = interval.lower;
+  product.conversion_ci_upper = interval.upper;
+  
+  // Returns: earnings after clawed-back ad fees, and share of sold items returned
+  RETURN_FIELDS.forEach(field => {
+    product[field] = product[field] || 0;
   });
+  product.net_earnings = product.earnings - product.returned_earnings;
+  const soldItems = Math.max(product.items_shipped || product.ordered_items, product.returned_items);
+  product.return_rate = soldItems > 0
+    ? product.returned_items / soldItems
+    : 0;
   
-  // Convert map to array and calculate derived metrics
-  const aggregated = Array.from(asinMap.values()).map(product => {
-    // Calculate conversion rate
-    product.conversion_rate = product.clicks > 0 
-      ? product.ordered_items / product.clicks 
-      : 0;
+  return product;
+}
+
+/**
+ * Converts the accumulator to an array and calculates derived metrics
+ * @param {Object} acc - Accumulator from createAccumulator()
+ * @returns {Object[]} Aggregated products
+ */
+function finalizeAggregates(acc) {
+  const series = acc.series ? timeSeries.buildSeries(acc.series, acc.seriesOptions) : null;
+  
+  return Array.from(acc.asinMap.values()).map(product => {
+    calculateDerivedMetrics(product);
     
-    // Calculate revenue per click
-    product.revenue_per_click = product.clicks > 0
-      ? product.shipped_revenue / product.clicks
-      : 0;
+    // Ship date range (ISO dates sort lexically)
+    const dates = [...acc.shipDates.get(product.asin)].sort();
+    if (dates.length > 0) {
+      product.first_ship_date = dates[0];
+      product.last_ship_date = dates[dates.length - 1];
+      product.ship_days = dates.length;
+    }
     
-    // Calculate average order value
-    product.average_order_value = product.ordered_items > 0
-      ? product.shipped_revenue / product.ordered_items
-      : 0;
+    // Per-tag totals (rows without a tracking ID aren't in any)
+    const tagMetrics = acc.tagMetrics.get(product.asin);
+    if (tagMetrics) product.by_tag = tagMetrics;
     
-    // Calculate earnings per click (EPC)
-    product.epc = product.clicks > 0
-      ? product.earnings / product.clicks
-      : 0;
+    // Bucketed series; ASINs without dated rows score 0
+    if (series) {
+      const entry = series.get(product.asin);
+      product.series = entry ? entry.series : [];
+      product.recency_score = entry ? entry.recency_score : 0;
+    }
+    
+    // Per-value breakdowns; the field itself holds the value with the most orders
+    const breakdowns = acc.breakdowns.get(product.asin);
+    if (breakdowns) {
+      product.breakdowns = breakdowns;
+      for (const [field, values] of Object.entries(breakdowns)) {
+        product[field] = Object.keys(values).reduce((best, value) =>
+          (values[value].ordered_items > values[best].ordered_items ||
+            (values[value].ordered_items === values[best].ordered_items && values[value].clicks > values[best].clicks))
+            ? value
+            : best
+        );
+      }
+    }
     
     return product;
   });
-  
-  return aggregated;
+}
+
+/**
+ * Aggregates products by ASIN (combines duplicate ASINs)
+ * @param {Object[]} products - Array of product objects
+ * @param {Object} options - Aggregation options
+ * @param {string} options.bucket - Also build a series per 'day', 'week' or 'month' from ship dates (optional)
+ * @param {number} options.rollingWindow - Buckets per rolling average (see time-series.js)
+ * @param {number} options.halfLife - Buckets for a bucket's recency weight to halve (see time-series.js)
+ * @returns {Object[]} Aggregated products
+ */
+function aggregateByAsin(products, options = {}) {
+  const acc = createAccumulator(options);
+  products.forEach(product => mergeProduct(acc, product));
+  return finalizeAggregates(acc);
+}
+
+/**
+ * Aggregates products by ASIN as they arrive from an (async) iterable
+ *
+ * Only one entry per unique ASIN is held in memory, so this pairs with
+ * parser.streamFile() for reports too large to load as an array.
+ *
+ * @param {AsyncIterable<Object>|Iterable<Object>} products - Product rows
+ * @param {Object} options - Aggregation options (see aggregateByAsin)
+ * @returns {Promise<Object[]>} Aggregated products
+ */
+async function aggregateByAsinStream(products, options = {}) {
+  const acc = createAccumulator(options);
+  for await (const product of products) {
+    mergeProduct(acc, product);
+  }
+  return finalizeAggregates(acc);
 }
 
 /**
  * Ranks products by specified metric
+ *
+ * With a return penalty, each product's metric is scaled by
+ * (1 - returnPenalty * return_rate) before sorting, so a product that sells
+ * well but comes back half the time drops below steadier sellers. Negative
+ * metrics (trending fallers) are pushed further down by the same share of
+ * their size. The scaled value is stored as ranking_score.
+ *
+ * 'composite' first scores every product from options.weights (see
+ * composite-score.js), setting composite_score and score_breakdown. The
+ * smoothed_* strategies first set smoothed rates with options.priorStrength
+ * (see metric-smoothing.js). 'trending' sorts on momentum since
+ * options.previous (see trend-analysis.js). 'recency_weighted' sorts on the
+ * recency_score set by aggregating with a bucket (see time-series.js).
+ * Strategies registered at runtime (see ranking-strategies.js) rank the
+ * same way.
+ *
  * @param {Object[]} products - Array of products
  * @param {string} rankBy - Ranking metric
+ * @param {Object} options - Ranking options
+ * @param {number} options.returnPenalty - Weight of the return rate penalty, 0 to disable (default: 0)
+ * @param {Object} options.weights - Metric -> weight for rankBy 'composite' (default: composite-score DEFAULT_WEIGHTS)
+ * @param {number} options.priorStrength - Clicks' worth of prior for smoothed_* strategies (default: 100)
+ * @param {Object[]} options.previous - Previous period's aggregated products, for rankBy 'trending'
+ * @param {string} options.trendMetric - Metric momentum is measured on (default: 'ordered_items')
  * @returns {Object[]} Ranked products
  */
-function rankProducts(products, rankBy = 'ordered_items') {
-  const rankingFunction = RANKING_STRATEGIES[rankBy];
+function rankProducts(products, rankBy = 'ordered_items', options = {}) {
+  const { returnPenalty = 0 } = options;
+  const strategy = rankingStrategies.getStrategy(rankBy);
   
-  if (!rankingFunction) {
+  if (!strategy) {
     throw new Error(
       `Invalid ranking strategy: ${rankBy}. ` +
-      `Available: ${Object.keys(RANKING_STRATEGIES).join(', ')}`
+      `Available: ${Object.keys(rankingStrategies.RANKING_STRATEGIES).join(', ')}`
     );
   }
+  const rankingFunction = strategy.compare;
+  
+  if (typeof returnPenalty !== 'number' || isNaN(returnPenalty) || returnPenalty < 0) {
+    throw new Error(`Invalid return penalty: ${returnPenalty}. Use a number >= 0`);
+  }
+  
+  if (returnPenalty > 0 && !strategy.metric) {
+    throw new Error(`Strategy ${rankBy} has no metric for a return penalty to scale. Register it with a metric field`);
+  }
+  
+  if (strategy.prepare) {
+    strategy.prepare(products, options);
+  }
+  const metric = strategy.metric;
   
   // Sort products
-  const ranked = [...products].sort(rankingFunction);
+  let ranked;
+  if (returnPenalty > 0) {
+    products.forEach(product => {
+      const factor = Math.max(0, 1 - returnPenalty * (product.return_rate || 0));
+      const score = product[metric] || 0;
+      // Scale by magnitude so a penalty lowers negative scores too
+      product.ranking_score = score - Math.abs(score) * (1 - factor);
+    });
+    ranked = [...products].sort((a, b) => b.ranking_score - a.ranking_score || rankingFunction(a, b));
+  } else {
+    ranked = [...products].sort(rankingFunction);
+  }
   
   // Add rank position
   ranked.forEach((product, index) => {
@@ -117,13 +392,27 @@ function rankProducts(products, rankBy = 'ordered_items') {
   return ranked;
 }
 
+/**
+ * Finds the filter expression in filter criteria
+ * @param {string|Object} filters - Filter criteria
+ * @returns {string|Object|undefined} Expression string or tree
+ */
+function expressionOf(filters) {
+  if (typeof filters === 'string' || filterExpression.isExpression(filters)) return filters;
+  return filters?.expression;
+}
+
 /**
  * Filters products by criteria
  * @param {Object[]} products - Array of products
- * @param {Object} filters - Filter criteria
+ * @param {string|Object} filters - Filter criteria: min thresholds and ASIN lists, optionally with
+ *   an expression (see filter-expression.js), or just an expression as a string or JSON tree
+ * @param {Object} options - Filter options
+ * @param {boolean} options.beforeEnrichment - Keep products an expression can't rule out until enrichment fields are known
  * @returns {Object[]} Filtered products
+ * @throws {Error} If the expression is invalid
  */
-function filterProducts(products, filters = {}) {
+function filterProducts(products, filters = {}, options = {}) {
   let filtered = [...products];
   
   // Minimum ordered items
@@ -151,6 +440,11 @@ function filterProducts(products, filters = {}) {
     filtered = filtered.filter(p => p.clicks >= filters.minClicks);
   }
   
+  // Maximum return rate
+  if (filters.maxReturnRate !== undefined) {
+    filtered = filtered.filter(p => (p.return_rate || 0) <= filters.maxReturnRate);
+  }
+  
   // Exclude specific ASINs
   if (filters.excludeAsins && Array.isArray(filters.excludeAsins)) {
     const excludeSet = new Set(filters.excludeAsins);
@@ -163,73 +457,215 @@ function filterProducts(products, filters = {}) {
     filtered = filtered.filter(p => includeSet.has(p.asin));
   }
   
+  // Filter expression
+  const expression = expressionOf(filters);
+  if (expression) {
+    const matches = filterExpression.compileFilter(expression);
+    filtered = filtered.filter(p => matches(p, options));
+  }
+  
   return filtered;
 }
 
 /**
- * Aggregates and ranks products in one step
- * @param {Object[]} products - Raw product data
- * @param {Object} options - Configuration options
- * @param {string} options.rankBy - Ranking metric (default: 'ordered_items')
- * @param {number} options.topN - Number of top products to return (default: all)
- * @param {Object} options.filters - Filter criteria
+ * Counts aggregated and ranked ASINs per source file of a merged parse
+ * @param {Object[]} sources - Per-file entries from report-merger's metadata.sources
+ * @param {Object[]} aggregated - Aggregated products (with source_files)
+ * @param {Object[]} topProducts - Ranked products returned
+ * @returns {Object[]} Source entries with asins and rankedAsins counts
+ */
+function countSourceAsins(sources, aggregated, topProducts) {
+  const count = (products, file) => products.filter(p => (p.source_files || []).includes(file)).length;
+  
+  return sources.map(source => ({
+    ...source,
+    asins: count(aggregated, source.file),
+    rankedAsins: count(topProducts, source.file),
+  }));
+}
+
+/**
+ * Filters, ranks and summarises already-aggregated products
+ * @param {Object[]} aggregated - Aggregated products
+ * @param {Object} options - Configuration options (see aggregateAndRank)
  * @returns {Object} Ranked products and metadata
  */
-function aggregateAndRank(products, options = {}) {
+function rankAggregated(aggregated, options = {}) {
   const {
     rankBy = 'ordered_items',
     topN = null,
     filters = {},
+    returnPenalty = 0,
+    weights,
+    priorStrength,
+    previous,
+    trendMetric,
+    trendThreshold,
+    paretoMetric,
+    abcThresholds,
+    anomalies: flagAnomalies = false,
+    excludeAnomalies = false,
+    anomalyThreshold,
+    anomalyMinClicks,
+    beforeEnrichment = false,
+    diversity,
+    parseMetadata = {},
   } = options;
   
+  // Compare with the previous period before filtering, so ranks cover both whole periods
+  const trends = previous
+    ? trendAnalysis.applyTrends(aggregated, previous, { trendMetric, trendThreshold })
+    : null;
+  
+  // ABC classes describe the whole catalogue, not just what makes the top N
+  const pareto = paretoMetric
+    ? paretoAnalysis.classifyProducts(aggregated, { metric: paretoMetric, thresholds: abcThresholds })
+    : null;
+  
+  // Anomalies are judged against the whole report's clicks and orders
+  const anomalies = flagAnomalies || excludeAnomalies
+    ? anomalyDetection.flagAnomalies(aggregated, { zThreshold: anomalyThreshold, minClicks: anomalyMinClicks })
+    : null;
+  
+  // Filter products
+  const candidates = excludeAnomalies ? aggregated.filter(p => !p.anomaly_reasons) : aggregated;
+  const filtered = filterProducts(candidates, filters, { beforeEnrichment });
+  const expression = expressionOf(filters);
+  
+  // Rank products
+  const ranked = rankProducts(filtered, rankBy, { returnPenalty, weights, priorStrength, previous, trendMetric, trendThreshold });
+  
+  // Take top N if specified, at most so many per group with diversity caps
+  const selection = diversity ? diversitySelection.selectDiverse(ranked, topN, diversity) : null;
+  const topProducts = selection ? selection.products : (topN ? ranked.slice(0, topN) : ranked);
+  
+  // Calculate summary statistics
+  const totalOrderedItems = topProducts.reduce((sum, p) => sum + p.ordered_items, 0);
+  const totalRevenue = topProducts.reduce((sum, p) => sum + p.shipped_revenue, 0);
+  const totalEarnings = topProducts.reduce((sum, p) => sum + p.earnings, 0);
+  const totalClicks = topProducts.reduce((sum, p) => sum + p.clicks, 0);
+  const totalReturnedItems = topProducts.reduce((sum, p) => sum + p.returned_items, 0);
+  const totalReturnedRevenue = topProducts.reduce((sum, p) => sum + p.returned_revenue, 0);
+  const totalNetEarnings = topProducts.reduce((sum, p) => sum + p.net_earnings, 0);
+  const totalSoldItems = topProducts.reduce((sum, p) => sum + Math.max(p.items_shipped || p.ordered_items, p.returned_items), 0);
+  
+  const avgOrderedItems = topProducts.length > 0 ? totalOrderedItems / topProducts.length : 0;
+  const avgRevenue = topProducts.length > 0 ? totalRevenue / topProducts.length : 0;
+  const avgEarnings = topProducts.length > 0 ? totalEarnings / topProducts.length : 0;
+  const avgConversionRate = totalClicks > 0 ? totalOrderedItems / totalClicks : 0;
+  
+  return {
+    success: true,
+    products: topProducts,
+    metadata: {
+      totalProducts: aggregated.length,
+      filteredProducts: filtered.length,
+      returnedProducts: topProducts.length,
+      rankingMetric: rankBy,
+      ...(expression && { filter: filterExpression.formatFilter(filterExpression.parseFilter(expression)) }),
+      ...(rankBy === 'composite' && { weights: compositeScore.resolveWeights(weights) }),
+      ...(rankBy.startsWith('smoothed_') && {
+        prior: { strength: smoothing.resolvePriorStrength(priorStrength), ...smoothing.calculatePriors(filtered) },
+      }),
+      returnPenalty,
+      topN: topN || 'all',
+      reportPeriod: parseMetadata.reportPeriod || null,
+      ...(trends && { trends }),
+      ...(pareto && { pareto }),
+      ...(selection && { diversity: { ...selection.summary, skippedProducts: selection.skipped } }),
+      ...(anomalies && { anomalies: { ...anomalies, excluded: excludeAnomalies } }),
+      ...(options.bucket && {
+        timeSeries: { ...timeSeries.resolveSeriesOptions(options), ...timeSeries.seriesRange(aggregated) },
+      }),
+      ...(parseMetadata.sources && {
+        duplicateRows: parseMetadata.duplicateRows,
+        sources: countSourceAsins(parseMetadata.sources, aggregated, topProducts),
+      }),
+      summary: {
+        totalOrderedItems,
+        totalRevenue,
+        totalEarnings,
+        totalClicks,
+        totalReturnedItems,
+        totalReturnedRevenue,
+        totalNetEarnings,
+        returnRate: totalSoldItems > 0 ? totalReturnedItems / totalSoldItems : 0,
+        avgOrderedItems,
+        avgRevenue,
+        avgEarnings,
+        avgConversionRate,
+        avgRevenuePerClick: totalClicks > 0 ? totalRevenue / totalClicks : 0,
+        avgEPC: totalClicks > 0 ? totalEarnings / totalClicks : 0,
+      },
+    },
+  };
+}
+
+/**
+ * Defaults the bucket to days when ranking by recency without one
+ * @param {Object} options - aggregateAndRank options
+ * @returns {Object} Options with the bucket to aggregate by
+ */
+function resolveBucket(options) {
+  const { rankBy, bucket } = options;
+  return !bucket && rankBy === 'recency_weighted' ? { ...options, bucket: 'day' } : options;
+}
+
+/**
+ * Aggregates and ranks products in one step
+ * @param {Object[]} products - Raw product data
+ * @param {Object} options - Configuration options
+ * @param {string} options.rankBy - Ranking metric (default: 'ordered_items')
+ * @param {number} options.topN - Number of top products to return (default: all)
+ * @param {string|Object} options.filters - Filter criteria or expression (see filterProducts)
+ * @param {boolean} options.beforeEnrichment - Keep products a filter expression can't judge until enrichment (default: false)
+ * @param {number} options.returnPenalty - Penalise high-return products when ranking (default: 0)
+ * @param {Object} options.weights - Metric -> weight when rankBy is 'composite' (optional)
+ * @param {number} options.priorStrength - Prior strength in clicks for smoothed_* strategies (default: 100)
+ * @param {Object[]} options.previous - Previous period's aggregated products; sets trend fields and metadata.trends (required for rankBy 'trending')
+ * @param {string} options.trendMetric - Metric trends are ranked and classified on (default: 'ordered_items')
+ * @param {number} options.trendThreshold - Relative change that counts as rising or falling (default: 0.1)
+ * @param {string} options.paretoMetric - Set ABC classes on the products and metadata.pareto for this metric (optional, see pareto-analysis.js)
+ * @param {Object} options.abcThresholds - Cumulative shares ending classes A and B (default: { A: 0.8, B: 0.95 })
+ * @param {boolean} options.anomalies - Set anomaly_reasons on ASINs whose clicks don't convert and metadata.anomalies (optional, see anomaly-detection.js)
+ * @param {boolean} options.excludeAnomalies - Flag anomalies and leave them out of the ranking (default: false)
+ * @param {number} options.anomalyThreshold - Standard deviations below the report for a flag (default: 3)
+ * @param {number} options.anomalyMinClicks - Clicks an ASIN needs to be flagged (default: 20)
+ * @param {Object} options.diversity - Max products per cluster, tag, brand or title group in the top N, e.g. { brand: 2 } (optional, see diversity-selection.js)
+ * @param {string} options.bucket - Build a 'day', 'week' or 'month' series per ASIN (default: 'day' for rankBy 'recency_weighted', else none)
+ * @param {number} options.rollingWindow - Buckets per rolling average (default: 7 / 4 / 3 by bucket)
+ * @param {number} options.halfLife - Buckets for a bucket's recency weight to halve (default: 7 / 2 / 1 by bucket)
+ * @param {Object} options.parseMetadata - Parser metadata; its reportPeriod (and a merged parse's per-file sources) is carried into the result (optional)
+ * @returns {Object} Ranked products and metadata
+ */
+function aggregateAndRank(products, options = {}) {
   try {
-    // Step 1: Aggregate by ASIN
-    const aggregated = aggregateByAsin(products);
-    
-    // Step 2: Filter products
-    const filtered = filterProducts(aggregated, filters);
-    
-    // Step 3: Rank products
-    const ranked = rankProducts(filtered, rankBy);
-    
-    // Step 4: Take top N if specified
-    const topProducts = topN ? ranked.slice(0, topN) : ranked;
-    
-    // Calculate summary statistics
-    const totalOrderedItems = topProducts.reduce((sum, p) => sum + p.ordered_items, 0);
-    const totalRevenue = topProducts.reduce((sum, p) => sum + p.shipped_revenue, 0);
-    const totalEarnings = topProducts.reduce((sum, p) => sum + p.earnings, 0);
-    const totalClicks = topProducts.reduce((sum, p) => sum + p.clicks, 0);
-    
-    const avgOrderedItems = topProducts.length > 0 ? totalOrderedItems / topProducts.length : 0;
-    const avgRevenue = topProducts.length > 0 ? totalRevenue / topProducts.length : 0;
-    const avgEarnings = topProducts.length > 0 ? totalEarnings / topProducts.length : 0;
-    const avgConversionRate = totalClicks > 0 ? totalOrderedItems / totalClicks : 0;
-    
+    const seriesOptions = resolveBucket(options);
+    return rankAggregated(aggregateByAsin(products, seriesOptions), seriesOptions);
+  } catch (error) {
     return {
-      success: true,
-      products: topProducts,
-      metadata: {
-        totalProducts: aggregated.length,
-        filteredProducts: filtered.length,
-        returnedProducts: topProducts.length,
-        rankingMetric: rankBy,
-        topN: topN || 'all',
-        summary: {
-          totalOrderedItems,
-          totalRevenue,
-          totalEarnings,
-          totalClicks,
-          avgOrderedItems,
-          avgRevenue,
-          avgEarnings,
-          avgConversionRate,
-          avgRevenuePerClick: totalClicks > 0 ? totalRevenue / totalClicks : 0,
-          avgEPC: totalClicks > 0 ? totalEarnings / totalClicks : 0,
-        },
-      },
+      success: false,
+      error: error.message,
+      products: [],
+      metadata: {},
     };
-    
+  }
+}
+
+/**
+ * Streaming variant of aggregateAndRank for row iterators
+ *
+ * options.parseMetadata may be streamFile()'s metadata object: it is only
+ * read once every row has been consumed, when it is complete.
+ *
+ * @param {AsyncIterable<Object>|Iterable<Object>} products - Raw product rows
+ * @param {Object} options - Configuration options (see aggregateAndRank)
+ * @returns {Promise<Object>} Ranked products and metadata
+ */
+async function aggregateAndRankStream(products, options = {}) {
+  try {
+    const seriesOptions = resolveBucket(options);
+    return rankAggregated(await aggregateByAsinStream(products, seriesOptions), seriesOptions);
   } catch (error) {
     return {
       success: false,
@@ -241,33 +677,23 @@ function aggregateAndRank(products, options = {}) {
 }
 
 /**
- * Groups products into clusters (for future category detection)
+ * Groups products into clusters (see clustering.js; to label the products
+ * themselves, use clustering.assignClusters)
  * @param {Object[]} products - Array of products
- * @param {string} clusterBy - Clustering strategy
- * @returns {Object} Clustered products
+ * @param {string} clusterBy - Clustering strategy: price_range, price_quantile, performance or category
+ * @param {Object} options - Strategy options (bands, k)
+ * @returns {Object} Cluster name -> products
  */
-function clusterProducts(products, clusterBy = 'price_range') {
+function clusterProducts(products, clusterBy = 'price_range', options = {}) {
   const clusters = {};
+  const { labels } = clustering.labelProducts(products, clusterBy, options);
   
-  if (clusterBy === 'price_range') {
-    const ranges = [
-      { name: 'budget', min: 0, max: 25 },
-      { name: 'mid', min: 25, max: 100 },
-      { name: 'premium', min: 100, max: 500 },
-      { name: 'luxury', min: 500, max: Infinity },
-    ];
-    
-    products.forEach(product => {
-      const aov = product.average_order_value;
-      const range = ranges.find(r => aov >= r.min && aov < r.max);
-      const clusterName = range ? range.name : 'unknown';
-      
-      if (!clusters[clusterName]) {
-        clusters[clusterName] = [];
-      }
-      clusters[clusterName].push(product);
-    });
-  }
+  products.forEach((product, i) => {
+    if (!clusters[labels[i]]) {
+      clusters[labels[i]] = [];
+    }
+    clusters[labels[i]].push(product);
+  });
   
   return clusters;
 }
@@ -300,66 +726,277 @@ function calculatePercentiles(products, metric = 'ordered_items') {
 // Export functions
 module.exports = {
   aggregateByAsin,
+  aggregateByAsinStream,
+  calculateDerivedMetrics,
   rankProducts,
   filterProducts,
+  rankAggregated,
   aggregateAndRank,
+  aggregateAndRankStream,
+  resolveBucket,
   clusterProducts,
   calculatePercentiles,
-  RANKING_STRATEGIES,
+  RANKING_STRATEGIES: rankingStrategies.RANKING_STRATEGIES,
+  BREAKDOWN_FIELDS,
+  TAG_METRICS,
 };
 
 // CLI usage
 if (require.main === module) {
+  const path = require('path');
   const parser = require('./aa-csv-parser');
   const args = process.argv.slice(2);
   
   if (args.length === 0) {
-    console.log('Usage: node asin-aggregator.js <path-to-file> [options]');
-    console.log('\nSupported formats: CSV, XLSX, XLS');
+    console.log('Usage: node asin-aggregator.js <path-to-file> [more files...] [options]');
+    console.log('\nSupported formats: CSV, TSV/TXT, XLSX, XLS (optionally .gz or .zip)');
     console.log('\nOptions:');
-    console.log('  --rank-by <metric>    Ranking metric (default: ordered_items)');
+    console.log('  --rank-by <metric>    Ranking metric, or composite (default: ordered_items)');
+    console.log('  --strategies <file>   Module of custom ranking strategies (see ranking-strategies.js)');
+    console.log('  --weights <list>      Composite weights, e.g. ordered_items=2,earnings=1,epc=1');
+    console.log('  --prior-strength <n>  Clicks of prior for smoothed_* rankings (default: 100)');
     console.log('  --top-n <number>      Number of top products (default: 100)');
     console.log('  --min-orders <number> Minimum ordered items filter');
+    console.log('  --diversity <caps>    Max per group in the top N, e.g. tag=5,title=1 (title needs product names)');
+    console.log('  --filter <expr>       Filter expression, e.g. "orders >= 10 AND aov BETWEEN 20 AND 100" (or JSON)');
+    console.log('  --return-penalty <n>  Scale ranking metric by (1 - n * return rate)');
+    console.log('  --stream              Parse row-by-row (for very large reports)');
+    console.log('  --locale <id>         Number locale (default: auto)');
+    console.log('  --dedupe <mode>       Duplicate rows across files: overlap (default), all, none');
+    console.log('  --compare <file>      Previous period report: adds trends, enables --rank-by trending');
+    console.log('  --bucket <size>       Series per ASIN by day, week or month (ship dates)');
+    console.log('  --half-life <n>       Buckets for recency_weighted weight to halve (default: 7 / 2 / 1)');
+    console.log('  --by-tag              Leaderboard per property (config.feed.properties) or tracking ID');
+    console.log('  --pareto <metric>     ABC classes and concentration by earnings, shipped_revenue, ...');
+    console.log('  --anomalies           Flag ASINs whose clicks don\'t convert (z-scores vs the report)');
+    console.log('  --exclude-anomalies   Flag anomalies and leave them out of the ranking');
     console.log('\nExamples:');
     console.log('  node asin-aggregator.js sample-data/aa-report.csv --rank-by revenue --top-n 50');
     console.log('  node asin-aggregator.js sample-data/aa-report.xlsx --top-n 100');
+    console.log('  node asin-aggregator.js oct-tag-a.csv oct-tag-b.csv nov.xlsx --top-n 50');
+    console.log('  node asin-aggregator.js week-42.csv --compare week-41.csv --rank-by trending');
+    console.log('  node asin-aggregator.js earnings.csv --rank-by recency_weighted --bucket week');
+    console.log('  node asin-aggregator.js report.csv --filter "epc > 0.2 AND NOT tag IN (news-20, other-20)"');
+    console.log('  node asin-aggregator.js report.csv --strategies ./house-strategies.js --rank-by margin');
     process.exit(1);
   }
   
-  const filePath = args[0];
+  // Every argument before the first option is a report file
+  const firstOption = args.findIndex(arg => arg.startsWith('--'));
+  const filePaths = firstOption === -1 ? args : args.slice(0, firstOption);
+  const filePath = filePaths[0];
   const rankBy = args.includes('--rank-by') ? args[args.indexOf('--rank-by') + 1] : 'ordered_items';
   const topN = args.includes('--top-n') ? parseInt(args[args.indexOf('--top-n') + 1]) : 100;
   const minOrders = args.includes('--min-orders') ? parseInt(args[args.indexOf('--min-orders') + 1]) : 0;
+  const returnPenalty = args.includes('--return-penalty') ? parseFloat(args[args.indexOf('--return-penalty') + 1]) : 0;
+  
+  const stream = args.includes('--stream');
+  const locale = args.includes('--locale') ? args[args.indexOf('--locale') + 1] : 'auto';
+  const dedupe = args.includes('--dedupe') ? args[args.indexOf('--dedupe') + 1] : 'overlap';
+  const weights = args.includes('--weights') ? compositeScore.parseWeights(args[args.indexOf('--weights') + 1]) : undefined;
+  const priorStrength = args.includes('--prior-strength') ? parseFloat(args[args.indexOf('--prior-strength') + 1]) : undefined;
+  const comparePath = args.includes('--compare') ? args[args.indexOf('--compare') + 1] : null;
+  const bucket = args.includes('--bucket') ? args[args.indexOf('--bucket') + 1] : undefined;
+  const halfLife = args.includes('--half-life') ? parseFloat(args[args.indexOf('--half-life') + 1]) : undefined;
+  const byTag = args.includes('--by-tag');
+  const paretoMetric = args.includes('--pareto') ? args[args.indexOf('--pareto') + 1] : undefined;
+  const anomalies = args.includes('--anomalies');
+  const excludeAnomalies = args.includes('--exclude-anomalies');
+  const expression = args.includes('--filter') ? args[args.indexOf('--filter') + 1] : undefined;
+  const diversity = args.includes('--diversity') ? diversitySelection.parseDiversity(args[args.indexOf('--diversity') + 1]) : undefined;
+  const strategiesPath = args.includes('--strategies') ? args[args.indexOf('--strategies') + 1] : null;
+  const filters = {
+    ...(minOrders > 0 && { minOrderedItems: minOrders }),
+    ...(expression && { expression }),
+  };
+  
+  // Column mappings and row options from config.js (csv section), if present,
+  // and tag -> property groups for --by-tag and custom ranking strategies (feed section)
+  let csvConfig = {};
+  let properties;
+  let strategyModules = [];
+  try {
+    const config = require('../config.js');
+    csvConfig = config.csv || {};
+    properties = config.feed?.properties;
+    strategyModules = config.feed?.strategyModules || [];
+  } catch (error) {
+    // No config.js: built-in column mappings only
+  }
+  try {
+    strategyModules.forEach(modulePath => rankingStrategies.loadStrategies(modulePath, { baseDir: path.join(__dirname, '..') }));
+    if (strategiesPath) rankingStrategies.loadStrategies(strategiesPath, { replace: true });
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+  }
+  const parseOptions = { ...csvConfig, locale };
+  
+  const multiFile = filePaths.length > 1;
+  if (multiFile && stream) {
+    console.warn('⚠️  --stream is ignored when merging several files');
+  }
   
-  parser.parseFile(filePath)
-    .then(parseResult => {
+  const parse = () => (multiFile
+    ? require('./report-merger').parseFiles(filePaths, { ...parseOptions, dedupe })
+    : parser.parseFile(filePath, parseOptions));
+  
+  // Previous period to compare against, aggregated on its own
+  const loadPrevious = () => (comparePath
+    ? parser.parseFile(comparePath, parseOptions).then(previousResult => {
+      if (!previousResult.success) {
+        console.error('❌ Failed to parse previous period:', previousResult.error);
+        process.exit(1);
+      }
+      return aggregateByAsin(previousResult.products);
+    })
+    : Promise.resolve(undefined));
+  
+  const run = loadPrevious().then(previous => {
+    const rankOptions = { rankBy, topN, filters, returnPenalty, weights, priorStrength, previous, bucket, halfLife, paretoMetric, anomalies, excludeAnomalies, diversity };
+    if (byTag) {
+      return parse().then(parseResult => {
+        if (!parseResult.success) {
+          console.error('❌ Failed to parse CSV:', parseResult.error);
+          process.exit(1);
+        }
+        
+        return require('./tag-leaderboards').buildLeaderboards(aggregateByAsin(parseResult.products), { ...rankOptions, properties });
+      });
+    }
+    if (stream && !multiFile) {
+      const streamed = parser.streamFile(filePath, parseOptions);
+      return aggregateAndRankStream(streamed.products, { ...rankOptions, parseMetadata: streamed.metadata });
+    }
+    
+    return parse().then(parseResult => {
       if (!parseResult.success) {
         console.error('❌ Failed to parse CSV:', parseResult.error);
         process.exit(1);
       }
       
-      const filters = minOrders > 0 ? { minOrderedItems: minOrders } : {};
-      const result = aggregateAndRank(parseResult.products, { rankBy, topN, filters });
-      
-      if (result.success) {
+      return aggregateAndRank(parseResult.products, { ...rankOptions, parseMetadata: parseResult.metadata });
+    });
+  });
+  
+  const printLeaderboards = result => {
+    if (!result.success) {
+      console.error('❌ Leaderboards failed:', result.error);
+      process.exit(1);
+    }
+    
+    console.log(`\n✅ ${result.metadata.properties} Leaderboards (by ${rankBy})`);
+    for (const leaderboard of Object.values(result.leaderboards)) {
+      console.log(`\n${leaderboard.name} [${leaderboard.tags.join(', ')}]: ${leaderboard.metadata.totalProducts} ASINs`);
+      leaderboard.products.slice(0, 10).forEach(product => {
+        console.log(`  ${product.rank}. ${product.asin} | Orders: ${product.ordered_items} | Earnings: $${product.earnings.toFixed(2)} | Clicks: ${product.clicks}`);
+      });
+    }
+    if (result.metadata.unassignedTags.length > 0) {
+      console.log(`\n⚠️  Tags in no property: ${result.metadata.unassignedTags.join(', ')}`);
+    }
+  };
+  
+  run
+    .then(result => {
+      if (byTag) {
+        printLeaderboards(result);
+      } else if (result.success) {
         console.log('\n✅ Products Aggregated and Ranked\n');
         console.log('Metadata:');
         console.log(`  Total Unique ASINs: ${result.metadata.totalProducts}`);
         console.log(`  After Filters: ${result.metadata.filteredProducts}`);
         console.log(`  Returned (Top ${topN}): ${result.metadata.returnedProducts}`);
         console.log(`  Ranking By: ${result.metadata.rankingMetric}`);
+        if (result.metadata.filter) {
+          console.log(`  Filter: ${result.metadata.filter}`);
+        }
+        if (result.metadata.weights) {
+          const shares = Object.entries(result.metadata.weights).map(([metric, share]) => `${metric} ${(share * 100).toFixed(0)}%`);
+          console.log(`  Weights: ${shares.join(', ')}`);
+        }
+        if (result.metadata.prior) {
+          const { prior } = result.metadata;
+          console.log(`  Prior: ${prior.strength} clicks at ${(prior.conversion_rate * 100).toFixed(2)}% CR, $${prior.epc.toFixed(4)} EPC`);
+        }
+        if (result.metadata.timeSeries) {
+          const series = result.metadata.timeSeries;
+          console.log(`  Series: by ${series.bucket}, ${series.first || '-'} to ${series.last || '-'} (rolling ${series.rollingWindow}, half-life ${series.halfLife})`);
+        }
+        if (result.metadata.reportPeriod) {
+          console.log(`  Report Period: ${result.metadata.reportPeriod.start} to ${result.metadata.reportPeriod.end}`);
+        }
+        if (result.metadata.sources) {
+          console.log(`\nSources (${result.metadata.duplicateRows} duplicate rows dropped):`);
+          result.metadata.sources.forEach(source => {
+            if (!source.success) {
+              console.log(`  ${source.file}: failed (${source.error})`);
+              return;
+            }
+            console.log(`  ${source.file}: ${source.rows} rows, ${source.duplicateRows} duplicates, ${source.asins} ASINs (${source.rankedAsins} ranked)`);
+          });
+        }
+        if (result.metadata.trends) {
+          const { counts, metric } = result.metadata.trends;
+          console.log(`\nTrends vs previous period (by ${metric}):`);
+          console.log(`  ${Object.entries(counts).map(([trend, count]) => `${trend} ${count}`).join(' | ')}`);
+        }
+        if (result.metadata.pareto) {
+          const { metric, asinsFor80Pct, asinShareFor80Pct, gini, classes, opportunities } = result.metadata.pareto;
+          console.log(`\nPareto (by ${metric}):`);
+          console.log(`  ${asinsFor80Pct} ASINs (${(asinShareFor80Pct * 100).toFixed(1)}%) make up 80% | Gini ${gini}`);
+          console.log(`  ${Object.entries(classes).map(([name, entry]) => `${name} ${entry.asins} ASINs, ${(entry.share * 100).toFixed(1)}%`).join(' | ')}`);
+          if (opportunities.length > 0) {
+            console.log(`  Long tail with clicks: ${opportunities.map(entry => `${entry.asin} (${entry.clicks})`).join(', ')}`);
+          }
+        }
+        if (result.metadata.diversity) {
+          const { skippedProducts, backfilled } = result.metadata.diversity;
+          console.log(`\nDiversity (${skippedProducts.length} skipped, ${backfilled} backfilled):`);
+          skippedProducts.slice(0, 10).forEach(entry => {
+            console.log(`  #${entry.rank} ${entry.asin}: ${entry.reason}`);
+          });
+        }
+        if (result.metadata.anomalies) {
+          const { flagged, checkedAsins, zThreshold, excluded } = result.metadata.anomalies;
+          console.log(`\nAnomalies (${flagged.length} of ${checkedAsins} ASINs at z <= -${zThreshold}${excluded ? ', excluded' : ''}):`);
+          flagged.slice(0, 10).forEach(entry => {
+            console.log(`  ${entry.asin}: ${entry.reasons.join(', ')}`);
+          });
+        }
         
         console.log('\nSummary:');
         const summary = result.metadata.summary;
         console.log(`  Total Revenue: $${summary.totalRevenue.toFixed(2)}`);
         console.log(`  Total Earnings: $${summary.totalEarnings.toFixed(2)}`);
         console.log(`  Total Orders: ${summary.totalOrderedItems}`);
+        if (summary.totalReturnedItems > 0) {
+          console.log(`  Returns: ${summary.totalReturnedItems} items (${(summary.returnRate * 100).toFixed(2)}%) | Net Earnings: $${summary.totalNetEarnings.toFixed(2)}`);
+        }
         console.log(`  Avg Conversion Rate: ${(summary.avgConversionRate * 100).toFixed(2)}%`);
         
         console.log(`\nTop 10 Products (by ${rankBy}):`);
         result.products.slice(0, 10).forEach(product => {
           console.log(`\n  ${product.rank}. ${product.asin}`);
-          console.log(`     Orders: ${product.ordered_items} | Revenue: $${product.shipped_revenue.toFixed(2)} | CR: ${(product.conversion_rate * 100).toFixed(2)}%`);
+          console.log(`     Orders: ${product.ordered_items} | Revenue: $${product.shipped_revenue.toFixed(2)} | CR: ${(product.conversion_rate * 100).toFixed(2)}% (95% CI ${(product.conversion_ci_lower * 100).toFixed(2)}-${(product.conversion_ci_upper * 100).toFixed(2)}%)`);
+          if (product.smoothed_conversion_rate !== undefined) {
+            console.log(`     Smoothed CR: ${(product.smoothed_conversion_rate * 100).toFixed(2)}% | Smoothed EPC: $${product.smoothed_epc.toFixed(4)}`);
+          }
+          if (product.score_breakdown) {
+            const points = Object.entries(product.score_breakdown).map(([metric, part]) => `${metric} ${part.points}`);
+            console.log(`     Score: ${product.composite_score} (${points.join(' + ')})`);
+          }
+          if (product.series?.length) {
+            const latest = product.series[product.series.length - 1];
+            console.log(`     Recency: ${product.recency_score} | ${latest.period}: ${latest.ordered_items} orders (rolling avg ${latest.rolling_ordered_items})`);
+          }
+          if (product.trend) {
+            const rankMove = product.rank_change === null ? 'unranked before' : `${product.rank_change >= 0 ? '+' : ''}${product.rank_change} places`;
+            console.log(`     Trend: ${product.trend} (momentum ${product.trend_momentum}) | Orders ${product.orders_change >= 0 ? '+' : ''}${product.orders_change} | ${rankMove}`);
+          }
+          if (product.returned_items > 0) {
+            console.log(`     Returns: ${product.returned_items} (${(product.return_rate * 100).toFixed(1)}%) | Net Earnings: $${product.net_earnings.toFixed(2)}`);
+          }
         });
       } else {
         console.error('❌ Aggregation failed:', result.error);
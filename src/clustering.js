@@ -0,0 +1,344 @@
+/**
+ * Product Clustering
+ *
+ * Labels products with a cluster (product.cluster, which feeds carry) using
+ * one of several strategies:
+ *
+ *   price_range:    fixed bands of average order value (budget, mid, premium, luxury)
+ *   price_quantile: equal-sized price bands among the products (price_q1 = cheapest)
+ *   performance:    k-means tiers on EPC, conversion rate and order volume (tier_1 = best)
+ *   category:       browse node or product group from PA-API, else the report's category
+ *
+ * Strategies label the products they are given, so quantiles and tiers are
+ * relative to that set (e.g. a feed's top N).
+ *
+ * Usage:
+ *   const clustering = require('./clustering');
+ *   const result = clustering.assignClusters(products, 'performance', { k: 3 });
+ *   // products[i].cluster: 'tier_1'; result.clusters.tier_1: { products, ordered_items, ... }
+ */
+
+/**
+ * Price bands for the price_range strategy (average order value)
+ */
+const PRICE_RANGES = [
+  { name: 'budget', min: 0, max: 25 },
+  { name: 'mid', min: 25, max: 100 },
+  { name: 'premium', min: 100, max: 500 },
+  { name: 'luxury', min: 500, max: Infinity },
+];
+
+/**
+ * Label for products a strategy has no data for
+ */
+const UNKNOWN_CLUSTER = 'unknown';
+
+/**
+ * Features the performance strategy clusters on (order volume is log-scaled
+ * so a few best sellers don't get a tier of their own)
+ */
+const PERFORMANCE_FEATURES = [
+  { name: 'epc', value: product => product.epc || 0 },
+  { name: 'conversion_rate', value: product => product.conversion_rate || 0 },
+  { name: 'ordered_items', value: product => Math.log1p(product.ordered_items || 0) },
+];
+
+/**
+ * Maximum k-means iterations
+ */
+const MAX_ITERATIONS = 100;
+
+/**
+ * Finds a product's price: the PA-API offer price, else its average order value
+ * @param {Object} product - Product
+ * @returns {number|null} Price, or null if unknown
+ */
+function productPrice(product) {
+  if (typeof product.price === 'number' && product.price > 0) return product.price;
+  return product.average_order_value > 0 ? product.average_order_value : null;
+}
+
+/**
+ * Turns a display name into a cluster label
+ * @param {string} name - Category name
+ * @returns {string} Lower-case label ("Home & Kitchen" -> "home-kitchen")
+ */
+function slugify(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || UNKNOWN_CLUSTER;
+}
+
+/**
+ * Labels products by fixed average order value bands
+ * @param {Object[]} products - Products
+ * @returns {{labels: string[], details: Object}} Label per product
+ */
+function clusterByPriceRange(products) {
+  const labels = products.map(product => {
+    const aov = product.average_order_value;
+    const range = PRICE_RANGES.find(r => aov >= r.min && aov < r.max);
+    return range ? range.name : UNKNOWN_CLUSTER;
+  });
+  
+  return { labels, details: { ranges: PRICE_RANGES } };
+}
+
+/**
+ * Labels products by equal-sized price bands
+ * @param {Object[]} products - Products
+ * @param {Object} options - Strategy options
+ * @param {number} options.bands - Number of bands (default: 4)
+ * @returns {{labels: string[], details: Object}} Label per product and each band's price range
+ */
+function clusterByPriceQuantile(products, options = {}) {
+  const { bands = 4 } = options;
+  if (!Number.isInteger(bands) || bands < 1) {
+    throw new Error(`Invalid number of price bands: ${bands}. Use a whole number >= 1`);
+  }
+  
+  const prices = products.map(productPrice);
+  const sorted = prices.filter(price => price !== null).sort((a, b) => a - b);
+  
+  // Upper price of each band but the last; equal prices share a band
+  const cuts = Array.from({ length: bands - 1 }, (_, i) => sorted[Math.ceil(((i + 1) * sorted.length) / bands) - 1]);
+  const labels = prices.map(price => {
+    if (price === null) return UNKNOWN_CLUSTER;
+    const band = cuts.findIndex(cut => price <= cut);
+    return `price_q${band === -1 ? bands : band + 1}`;
+  });
+  
+  const ranges = {};
+  prices.forEach((price, i) => {
+    if (price === null) return;
+    const range = ranges[labels[i]] || (ranges[labels[i]] = { min: price, max: price });
+    range.min = Math.min(range.min, price);
+    range.max = Math.max(range.max, price);
+  });
+  
+  return { labels, details: { bands, ranges } };
+}
+
+/**
+ * Standardises feature columns to mean 0, standard deviation 1
+ * @param {number[][]} rows - Feature rows
+ * @returns {number[][]} Standardised rows
+ */
+function standardize(rows) {
+  const columns = rows[0].length;
+  const stats = Array.from({ length: columns }, (_, c) => {
+    const values = rows.map(row => row[c]);
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const sd = Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+    return { mean, sd: sd || 1 };
+  });
+  return rows.map(row => row.map((value, c) => (value - stats[c].mean) / stats[c].sd));
+}
+
+/**
+ * Squared distance between two points
+ * @param {number[]} a - Point
+ * @param {number[]} b - Point
+ * @returns {number} Squared Euclidean distance
+ */
+function distance(a, b) {
+  return a.reduce((sum, value, i) => sum + (value - b[i]) ** 2, 0);
+}
+
+/**
+ * Runs k-means from deterministic starting centroids
+ *
+ * Points are ordered by the sum of their features and the starting centroids
+ * picked evenly along that order, so the same products always give the same
+ * clusters.
+ *
+ * @param {number[][]} points - Standardised feature rows
+ * @param {number} k - Number of clusters
+ * @returns {number[]} Cluster index per point
+ */
+function kMeans(points, k) {
+  const order = points.map((point, i) => i).sort((a, b) =>
+    points[a].reduce((sum, value) => sum + value, 0) - points[b].reduce((sum, value) => sum + value, 0)
+  );
+  let centroids = Array.from({ length: k }, (_, c) => points[order[Math.floor(((c + 0.5) * points.length) / k)]]);
+  let assignment = [];
+  
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    const next = points.map(point => {
+      let best = 0;
+      centroids.forEach((centroid, c) => {
+        if (distance(point, centroid) < distance(point, centroids[best])) best = c;
+      });
+      return best;
+    });
+    
+    const converged = next.every((cluster, i) => cluster === assignment[i]);
+    assignment = next;
+    if (converged) break;
+    
+    centroids = centroids.map((centroid, c) => {
+      const members = points.filter((point, i) => assignment[i] === c);
+      if (members.length === 0) return centroid;
+      return centroid.map((value, d) => members.reduce((sum, point) => sum + point[d], 0) / members.length);
+    });
+  }
+  
+  return assignment;
+}
+
+/**
+ * Labels products with performance tiers from k-means
+ * @param {Object[]} products - Products
+ * @param {Object} options - Strategy options
+ * @param {number} options.k - Number of tiers (default: 3, fewer if there are fewer products)
+ * @returns {{labels: string[], details: Object}} Label per product and each tier's average features
+ */
+function clusterByPerformance(products, options = {}) {
+  const { k = 3 } = options;
+  if (!Number.isInteger(k) || k < 1) {
+    throw new Error(`Invalid number of performance tiers: ${k}. Use a whole number >= 1`);
+  }
+  if (products.length === 0) return { labels: [], details: { k, tiers: {} } };
+  
+  const tiers = Math.min(k, products.length);
+  const features = products.map(product => PERFORMANCE_FEATURES.map(feature => feature.value(product)));
+  const points = standardize(features);
+  const assignment = kMeans(points, tiers);
+  
+  // Tier 1 is the cluster whose members score highest on all features together
+  const scores = Array.from({ length: tiers }, (_, c) => {
+    const members = points.filter((point, i) => assignment[i] === c);
+    return members.length === 0
+      ? -Infinity
+      : members.reduce((sum, point) => sum + point.reduce((total, value) => total + value, 0), 0) / members.length;
+  });
+  const rank = new Map(scores.map((score, c) => [c, score]).sort((a, b) => b[1] - a[1]).map(([c], i) => [c, i + 1]));
+  const labels = assignment.map(c => `tier_${rank.get(c)}`);
+  
+  const centroids = {};
+  products.forEach((product, i) => {
+    const entry = centroids[labels[i]] || (centroids[labels[i]] = { count: 0, epc: 0, conversion_rate: 0, ordered_items: 0 });
+    entry.count++;
+    entry.epc += product.epc || 0;
+    entry.conversion_rate += product.conversion_rate || 0;
+    entry.ordered_items += product.ordered_items || 0;
+  });
+  Object.values(centroids).forEach(entry => {
+    ['epc', 'conversion_rate', 'ordered_items'].forEach(metric => {
+      entry[metric] = Number((entry[metric] / entry.count).toFixed(4));
+    });
+    delete entry.count;
+  });
+  
+  return { labels, details: { k: tiers, tiers: centroids } };
+}
+
+/**
+ * Labels products by category: PA-API browse node, then product group, then the report's category
+ * @param {Object[]} products - Products (enriched for browse nodes)
+ * @returns {{labels: string[], details: Object}} Label per product and where each came from
+ */
+function clusterByCategory(products) {
+  const sources = { browse_node: 0, product_group: 0, category: 0, none: 0 };
+  const labels = products.map(product => {
+    for (const field of ['browse_node', 'product_group', 'category']) {
+      if (product[field]) {
+        sources[field]++;
+        return slugify(product[field]);
+      }
+    }
+    sources.none++;
+    return UNKNOWN_CLUSTER;
+  });
+  
+  return { labels, details: { sources } };
+}
+
+/**
+ * Clustering strategies: (products, options) -> { labels, details }
+ */
+const CLUSTER_STRATEGIES = {
+  price_range: clusterByPriceRange,
+  price_quantile: clusterByPriceQuantile,
+  performance: clusterByPerformance,
+  category: clusterByCategory,
+};
+
+/**
+ * Works out each product's cluster without changing the products
+ * @param {Object[]} products - Products
+ * @param {string} strategy - Clustering strategy (see CLUSTER_STRATEGIES)
+ * @param {Object} options - Strategy options (bands, k)
+ * @returns {{labels: string[], details: Object}} Label per product, in input order
+ * @throws {Error} If the strategy is unknown
+ */
+function labelProducts(products, strategy = 'price_range', options = {}) {
+  const cluster = CLUSTER_STRATEGIES[strategy];
+  if (!cluster) {
+    throw new Error(`Invalid clustering strategy: ${strategy}. Available: ${Object.keys(CLUSTER_STRATEGIES).join(', ')}`);
+  }
+  return cluster(products, options);
+}
+
+/**
+ * Totals and averages per cluster
+ * @param {Object[]} products - Products with a cluster
+ * @returns {Object} Cluster -> { products, ordered_items, shipped_revenue, earnings, clicks, conversion_rate, epc, average_price }
+ */
+function summarizeClusters(products) {
+  const summary = {};
+  
+  products.forEach(product => {
+    if (!product.cluster) return;
+    const entry = summary[product.cluster] || (summary[product.cluster] = {
+      products: 0,
+      ordered_items: 0,
+      shipped_revenue: 0,
+      earnings: 0,
+      clicks: 0,
+      priced: 0,
+      price_total: 0,
+    });
+    entry.products++;
+    entry.ordered_items += product.ordered_items || 0;
+    entry.shipped_revenue += product.shipped_revenue || 0;
+    entry.earnings += product.earnings || 0;
+    entry.clicks += product.clicks || 0;
+    if (product.price) {
+      entry.priced++;
+      entry.price_total += product.price;
+    }
+  });
+  
+  return Object.fromEntries(Object.entries(summary).map(([cluster, entry]) => {
+    const { priced, price_total, ...totals } = entry;
+    return [cluster, {
+      ...totals,
+      conversion_rate: totals.clicks > 0 ? totals.ordered_items / totals.clicks : 0,
+      epc: totals.clicks > 0 ? totals.earnings / totals.clicks : 0,
+      average_price: priced > 0 ? price_total / priced : null,
+    }];
+  }));
+}
+
+/**
+ * Sets product.cluster on each product
+ * @param {Object[]} products - Products (modified in place)
+ * @param {string} strategy - Clustering strategy (see CLUSTER_STRATEGIES)
+ * @param {Object} options - Strategy options (bands, k)
+ * @returns {{strategy: string, details: Object, clusters: Object}} Strategy details and per-cluster summaries
+ */
+function assignClusters(products, strategy = 'price_range', options = {}) {
+  const { labels, details } = labelProducts(products, strategy, options);
+  products.forEach((product, i) => {
+    product.cluster = labels[i];
+  });
+  
+  return { strategy, details, clusters: summarizeClusters(products) };
+}
+
+module.exports = {
+  CLUSTER_STRATEGIES,
+  PRICE_RANGES,
+  labelProducts,
+  assignClusters,
+  summarizeClusters,
+};
@@ -0,0 +1,149 @@
+/**
+ * Composite Ranking Score
+ *
+ * Blends several metrics into one score from user-supplied weights, for
+ * rankBy: 'composite'. Each metric is normalised to its percentile among the
+ * products being ranked, so a heavy-tailed metric (one ASIN with thousands
+ * of orders) doesn't drown out the others, and the weighted percentiles are
+ * scaled to a 0-100 score.
+ *
+ * Every product keeps a score_breakdown so editors can see why it ranked
+ * where it did.
+ *
+ * Usage:
+ *   const composite = require('./composite-score');
+ *   composite.scoreComposite(products, { ordered_items: 2, earnings: 1 });
+ *   // products[i].composite_score: 0-100
+ *   // products[i].score_breakdown.ordered_items: { value, percentile, weight, points }
+ */
+
+/**
+ * Metrics a composite score can weight (discount_percentage is only set
+ * once products have been enriched with PA-API offers)
+ */
+const COMPOSITE_METRICS = ['ordered_items', 'earnings', 'epc', 'conversion_rate', 'discount_percentage'];
+
+/**
+ * Weights used when none are given
+ */
+const DEFAULT_WEIGHTS = {
+  ordered_items: 0.4,
+  earnings: 0.3,
+  epc: 0.15,
+  conversion_rate: 0.15,
+  discount_percentage: 0,
+};
+
+/**
+ * Validates weights and scales them to sum to 1
+ * @param {Object} weights - Metric -> weight (>= 0); missing metrics weigh 0 (default: DEFAULT_WEIGHTS)
+ * @returns {Object} Metric -> share of the score, for metrics with a weight above 0
+ * @throws {Error} If a metric is unknown, a weight is negative or all weights are 0
+ */
+function resolveWeights(weights = DEFAULT_WEIGHTS) {
+  const entries = Object.entries(weights || DEFAULT_WEIGHTS);
+  
+  for (const [metric, weight] of entries) {
+    if (!COMPOSITE_METRICS.includes(metric)) {
+      throw new Error(`Invalid composite metric: ${metric}. Available: ${COMPOSITE_METRICS.join(', ')}`);
+    }
+    if (typeof weight !== 'number' || isNaN(weight) || weight < 0) {
+      throw new Error(`Invalid weight for ${metric}: ${weight}. Use a number >= 0`);
+    }
+  }
+  
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  if (total === 0) {
+    throw new Error('Composite weights must not all be 0');
+  }
+  
+  return Object.fromEntries(
+    entries
+      .filter(([, weight]) => weight > 0)
+      .map(([metric, weight]) => [metric, weight / total])
+  );
+}
+
+/**
+ * Parses weights written as "ordered_items=2,earnings=1" (CLI flags, form fields)
+ * @param {string} text - Comma-separated metric=weight pairs, or a JSON object
+ * @returns {Object} Metric -> weight
+ */
+function parseWeights(text) {
+  const trimmed = String(text).trim();
+  if (trimmed.startsWith('{')) {
+    return JSON.parse(trimmed);
+  }
+  
+  return Object.fromEntries(
+    trimmed.split(',').filter(Boolean).map(pair => {
+      const [metric, weight] = pair.split('=').map(part => part.trim());
+      return [metric, Number(weight)];
+    })
+  );
+}
+
+/**
+ * Calculates each product's percentile for a metric (ties share the average)
+ * @param {Object[]} products - Products being ranked
+ * @param {string} metric - Metric name (missing values count as 0)
+ * @returns {number[]} Percentile (0-1) per product, in input order
+ */
+function percentiles(products, metric) {
+  if (products.length === 1) return [1];
+  
+  const values = products.map(product => product[metric] || 0);
+  const sorted = [...values].sort((a, b) => a - b);
+  const below = new Map();
+  const equal = new Map();
+  sorted.forEach((value, i) => {
+    if (!below.has(value)) below.set(value, i);
+    equal.set(value, (equal.get(value) || 0) + 1);
+  });
+  
+  return values.map(value =>
+    (below.get(value) + (equal.get(value) - 1) / 2) / (products.length - 1)
+  );
+}
+
+/**
+ * Sets composite_score and score_breakdown on each product
+ * @param {Object[]} products - Products being ranked (modified in place)
+ * @param {Object} weights - Metric -> weight (see resolveWeights)
+ * @returns {Object} The resolved weights (shares summing to 1)
+ */
+function scoreComposite(products, weights) {
+  const shares = resolveWeights(weights);
+  const metrics = Object.keys(shares);
+  const ranks = Object.fromEntries(metrics.map(metric => [metric, percentiles(products, metric)]));
+  
+  products.forEach((product, i) => {
+    const breakdown = {};
+    let score = 0;
+    
+    for (const metric of metrics) {
+      const percentile = ranks[metric][i];
+      const points = shares[metric] * percentile * 100;
+      breakdown[metric] = {
+        value: product[metric] ?? null,
+        percentile: Number(percentile.toFixed(4)),
+        weight: Number(shares[metric].toFixed(4)),
+        points: Number(points.toFixed(2)),
+      };
+      score += points;
+    }
+    
+    product.composite_score = Number(score.toFixed(2));
+    product.score_breakdown = breakdown;
+  });
+  
+  return shares;
+}
+
+module.exports = {
+  COMPOSITE_METRICS,
+  DEFAULT_WEIGHTS,
+  resolveWeights,
+  parseWeights,
+  scoreComposite,
+};
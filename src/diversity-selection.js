@@ -0,0 +1,235 @@
+/**
+ * Diversity-Constrained Top N
+ *
+ * Taking the first N ranked products can fill a feed with eight phone
+ * cases. Selection walks down the ranking instead and skips a product
+ * once its group already has its cap, backfilling from lower ranks:
+ *
+ *   cluster: product.cluster (clustering.js)
+ *   tag:     the tracking ID that sent the ASIN most orders
+ *   brand:   PA-API brand (enriched products only)
+ *   title:   near-identical titles (word overlap of at least titleSimilarity),
+ *            from PA-API or the report's product name
+ *
+ * Products without a group's value (e.g. no brand before enrichment)
+ * aren't held back by that group.
+ *
+ * Usage:
+ *   const diversity = require('./diversity-selection');
+ *   const result = diversity.selectDiverse(ranked, 50, { brand: 2, title: 1, cluster: 10 });
+ *   // result.products: up to 50, ranked 1..n; result.skipped: [{ asin, rank, group, value, limit }]
+ *
+ *   aggregator.aggregateAndRank(products, { topN: 50, diversity: { tag: 10 } });
+ */
+
+/**
+ * Placeholder title (what pa-api-client sets when PA-API has no title)
+ */
+const UNKNOWN_TITLE = 'Unknown Product';
+
+/**
+ * Word overlap (Jaccard) at which two titles count as the same product line
+ */
+const DEFAULT_TITLE_SIMILARITY = 0.6;
+
+/**
+ * Words that say nothing about what a product is
+ */
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'for', 'with', 'of', 'in', 'on', 'to', 'by', 'or', 'pack', 'set']);
+
+/**
+ * Groups a cap can apply to, and how to read each product's group
+ */
+const DIVERSITY_GROUPS = {
+  cluster: product => product.cluster || null,
+  tag: product => mainTag(product),
+  brand: product => (product.brand ? String(product.brand).trim().toLowerCase() : null),
+  title: product => productTitle(product),
+};
+
+/**
+ * Finds the tracking ID that sent an ASIN the most orders
+ * @param {Object} product - Aggregated product (tag, tags, by_tag)
+ * @returns {string|null} Tag
+ */
+function mainTag(product) {
+  if (product.tag) return product.tag;
+  const entries = Object.entries(product.by_tag || {});
+  if (entries.length > 0) {
+    entries.sort(([tagA, a], [tagB, b]) => (b.ordered_items || 0) - (a.ordered_items || 0) || tagA.localeCompare(tagB));
+    return entries[0][0];
+  }
+  return product.tags?.[0] || null;
+}
+
+/**
+ * Picks a product's title: PA-API, else the report's product name
+ * @param {Object} product - Product
+ * @returns {string|null} Title
+ */
+function productTitle(product) {
+  if (product.title && product.title !== UNKNOWN_TITLE) return product.title;
+  return product.product_name || null;
+}
+
+/**
+ * Splits a title into the words that identify the product
+ * @param {string} title - Title
+ * @returns {Set<string>} Lowercase words
+ */
+function titleWords(title) {
+  return new Set(
+    title.toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length > 1 && !STOP_WORDS.has(word))
+  );
+}
+
+/**
+ * Calculates the word overlap of two titles
+ * @param {Set<string>} a - Title words
+ * @param {Set<string>} b - Title words
+ * @returns {number} Jaccard similarity (0-1)
+ */
+function titleSimilarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(word => {
+    if (b.has(word)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Validates diversity options
+ * @param {Object} options - Group -> max products (cluster, tag, brand, title), and titleSimilarity
+ * @returns {{caps: Object, titleSimilarity: number}} Resolved caps (only the groups given)
+ * @throws {Error} On unknown groups, caps that aren't whole numbers >= 1 or a similarity outside (0, 1]
+ */
+function resolveDiversityOptions(options = {}) {
+  const { titleSimilarity: similarity = DEFAULT_TITLE_SIMILARITY, ...caps } = options;
+  
+  for (const [group, cap] of Object.entries(caps)) {
+    if (!DIVERSITY_GROUPS[group]) {
+      throw new Error(`Invalid diversity group: ${group}. Available: ${Object.keys(DIVERSITY_GROUPS).join(', ')}`);
+    }
+    if (!Number.isInteger(cap) || cap < 1) {
+      throw new Error(`Invalid cap for ${group}: ${cap}. Use a whole number >= 1`);
+    }
+  }
+  if (typeof similarity !== 'number' || !(similarity > 0 && similarity <= 1)) {
+    throw new Error(`Invalid title similarity: ${similarity}. Use a number in (0, 1]`);
+  }
+  
+  return { caps, titleSimilarity: similarity };
+}
+
+/**
+ * Parses caps written as "brand=2,title=1" (CLI flags, form fields)
+ * @param {string} text - Comma-separated group=cap pairs, or a JSON object
+ * @returns {Object} Group -> cap
+ */
+function parseDiversity(text) {
+  const trimmed = String(text).trim();
+  if (trimmed.startsWith('{')) {
+    return JSON.parse(trimmed);
+  }
+  
+  return Object.fromEntries(
+    trimmed.split(',').filter(Boolean).map(pair => {
+      const [group, cap] = pair.split('=').map(part => part.trim());
+      return [group, Number(cap)];
+    })
+  );
+}
+
+/**
+ * Tells whether diversity options need enriched products to mean anything
+ * @param {Object} options - Diversity options
+ * @returns {boolean} True when capping brand, cluster (set during or after enrichment) or title
+ */
+function needsEnrichment(options = {}) {
+  return Boolean(options.brand || options.cluster || options.title);
+}
+
+/**
+ * Takes the top N ranked products, at most so many per group
+ * @param {Object[]} ranked - Products, best first
+ * @param {number|null} topN - Products to select (null: every product that fits the caps)
+ * @param {Object} options - Diversity options (see resolveDiversityOptions)
+ * @returns {Object} Selected products (ranked 1..n, original_rank kept), skipped products and a summary
+ */
+function selectDiverse(ranked, topN, options = {}) {
+  const { caps, titleSimilarity: threshold } = resolveDiversityOptions(options);
+  const groups = Object.keys(caps);
+  const counts = Object.fromEntries(groups.map(group => [group, new Map()]));
+  const titleGroups = [];
+  const selected = [];
+  const skipped = [];
+  
+  // A title joins the group of the first selected title it is similar enough to
+  const titleKey = title => {
+    const words = titleWords(title);
+    const match = titleGroups.find(entry => titleSimilarity(words, entry.words) >= threshold);
+    return match || { key: title, words };
+  };
+  
+  for (const product of ranked) {
+    if (topN && selected.length >= topN) break;
+    
+    const keys = {};
+    let blocked = null;
+    for (const group of groups) {
+      const value = DIVERSITY_GROUPS[group](product);
+      if (value === null || value === undefined) continue;
+      
+      const entry = group === 'title' ? titleKey(value) : { key: value };
+      keys[group] = entry;
+      if ((counts[group].get(entry.key) || 0) >= caps[group]) {
+        blocked = { group, value: entry.key, limit: caps[group] };
+        break;
+      }
+    }
+    
+    if (blocked) {
+      skipped.push({
+        asin: product.asin,
+        rank: product.rank,
+        ...blocked,
+        reason: `${blocked.group} ${blocked.value} already has ${blocked.limit}`,
+      });
+      continue;
+    }
+    
+    for (const [group, entry] of Object.entries(keys)) {
+      counts[group].set(entry.key, (counts[group].get(entry.key) || 0) + 1);
+      if (group === 'title' && !titleGroups.includes(entry)) titleGroups.push(entry);
+    }
+    selected.push(product);
+  }
+  
+  const products = selected.map((product, index) => ({
+    ...product,
+    rank: index + 1,
+    ...(product.rank !== undefined && { original_rank: product.rank }),
+  }));
+  
+  return {
+    products,
+    skipped,
+    summary: {
+      caps,
+      ...(caps.title && { titleSimilarity: threshold }),
+      skipped: skipped.length,
+      backfilled: products.filter((product, index) => product.original_rank !== undefined && product.original_rank !== index + 1).length,
+      byGroup: Object.fromEntries(groups.map(group => [group, skipped.filter(entry => entry.group === group).length])),
+    },
+  };
+}
+
+module.exports = {
+  DIVERSITY_GROUPS,
+  DEFAULT_TITLE_SIMILARITY,
+  resolveDiversityOptions,
+  parseDiversity,
+  needsEnrichment,
+  selectDiverse,
+};
@@ -7,10 +7,29 @@
  * Usage:
  *   const feedGen = require('./feed-generator');
  *   await feedGen.generateFeed(products, config);
+ *   await feedGen.generatePropertyFeeds(leaderboards, config); // one feed per property
  */
 
 const fs = require('fs').promises;
 const path = require('path');
+const clustering = require('./clustering');
+
+/**
+ * Placeholder title (also what pa-api-client sets when PA-API has no title)
+ */
+const UNKNOWN_TITLE = 'Unknown Product';
+
+/**
+ * Picks the best available title: PA-API, then the report's product name
+ * @param {Object} product - Enriched product data
+ * @returns {string} Product title
+ */
+function resolveTitle(product) {
+  if (product.title && product.title !== UNKNOWN_TITLE) {
+    return product.title;
+  }
+  return product.product_name || UNKNOWN_TITLE;
+}
 
 /**
  * Formats product for feed output
@@ -21,7 +40,7 @@ const path = require('path');
 function formatProduct(product, associateTag) {
   return {
     asin: product.asin,
-    title: product.title || 'Unknown Product',
+    title: resolveTitle(product),
     price: product.price,
     currency: product.currency || 'USD',
     image_url: product.image_url,
@@ -40,10 +59,44 @@ function formatProduct(product, associateTag) {
     ...(product.revenue_per_click !== undefined && { revenue_per_click: product.revenue_per_click }),
     ...(product.epc !== undefined && { epc: product.epc }),
     ...(product.average_order_value !== undefined && { average_order_value: product.average_order_value }),
+    ...(product.returned_items && {
+      returned_items: product.returned_items,
+      returned_revenue: product.returned_revenue,
+      return_rate: product.return_rate,
+    }),
+    ...(product.net_earnings !== undefined && { net_earnings: product.net_earnings }),
+    ...(product.recency_score !== undefined && { recency_score: product.recency_score }),
+    ...(product.strategy_score !== undefined && { strategy_score: product.strategy_score }),
+    ...(product.brand && { brand: product.brand }),
     ...(product.cluster && { cluster: product.cluster }),
+    ...(product.anomaly_reasons && { anomaly_reasons: product.anomaly_reasons }),
+    ...(product.abc_class && {
+      abc_class: product.abc_class,
+      pareto_share: product.pareto_share,
+      pareto_cumulative_share: product.pareto_cumulative_share,
+    }),
     ...(product.availability && { availability: product.availability }),
+    ...(product.enriched === false && { enriched: false }),
     ...(product.tags && { tags: product.tags }),
     ...(product.tag && { tag: product.tag }),
+    // Period-over-period trend (when ranked against a previous report)
+    ...(product.trend && {
+      trend: product.trend,
+      trend_momentum: product.trend_momentum,
+      previous_rank: product.previous_rank,
+      rank_change: product.rank_change,
+      orders_change: product.orders_change,
+      orders_change_pct: product.orders_change_pct,
+      earnings_change: product.earnings_change,
+      earnings_change_pct: product.earnings_change_pct,
+      clicks_change: product.clicks_change,
+      clicks_change_pct: product.clicks_change_pct,
+    }),
+    ...(product.first_ship_date && {
+      first_ship_date: product.first_ship_date,
+      last_ship_date: product.last_ship_date,
+      ship_days: product.ship_days,
+    }),
     // Sale information
     ...(product.is_on_sale && {
       is_on_sale: product.is_on_sale,
@@ -54,10 +107,34 @@ function formatProduct(product, associateTag) {
   };
 }
 
+/**
+ * Finds the period of the report a feed was built from
+ *
+ * The parser's metadata.reportPeriod is carried through the aggregator's
+ * metadata and into enrichProducts() as aggregatorMetadata.
+ *
+ * @param {Object} options - Generation options
+ * @param {Object} options.reportPeriod - Report period ({ start, end }) (optional)
+ * @param {Object} options.enrichmentMetadata - Enrichment or aggregator metadata (optional)
+ * @returns {Object|null} Report period or null
+ */
+function findReportPeriod(options = {}) {
+  const { reportPeriod, enrichmentMetadata } = options;
+  return reportPeriod
+    || enrichmentMetadata?.aggregatorMetadata?.reportPeriod
+    || enrichmentMetadata?.reportPeriod
+    || null;
+}
+
 /**
  * Generates metadata file
  * @param {Object[]} products - Product array
  * @param {Object} options - Generation options
+ * @param {string} options.reportDate - Report date (default: end of the report period, else today)
+ * @param {Object} options.reportPeriod - Report period from the parser (optional, see findReportPeriod)
+ * @param {string} options.property - Property the feed was ranked for (optional, see tag-leaderboards.js)
+ * @param {string[]} options.trackingIds - Tags whose traffic the property's ranking used (optional)
+ * @param {Object} options.pareto - Catalogue ABC summary (default: the aggregator's metadata.pareto, see pareto-analysis.js)
  * @returns {Object} Metadata
  */
 function generateMetadata(products, options = {}) {
@@ -68,7 +145,11 @@ function generateMetadata(products, options = {}) {
     credentialName,
     associateTag,
     enrichmentMetadata,
+    property,
+    trackingIds,
   } = options;
+  const reportPeriod = findReportPeriod(options);
+  const pareto = options.pareto || enrichmentMetadata?.aggregatorMetadata?.pareto || null;
   
   const totalRevenue = products.reduce((sum, p) => sum + (p.shipped_revenue || 0), 0);
   const totalEarnings = products.reduce((sum, p) => sum + (p.earnings || 0), 0);
@@ -81,13 +162,17 @@ function generateMetadata(products, options = {}) {
   
   // Sale statistics
   const saleProducts = products.filter(p => p.is_on_sale);
+  const trendProducts = products.filter(p => p.trend);
+  const clusteredProducts = products.filter(p => p.cluster);
+  const classifiedProducts = products.filter(p => p.abc_class);
   const avgDiscountPercentage = saleProducts.length > 0
     ? saleProducts.reduce((sum, p) => sum + (p.discount_percentage || 0), 0) / saleProducts.length
     : 0;
   
   return {
     generated_at: new Date().toISOString(),
-    report_date: reportDate || new Date().toISOString().split('T')[0],
+    report_date: reportDate || reportPeriod?.end || new Date().toISOString().split('T')[0],
+    report_period: reportPeriod ? { start: reportPeriod.start, end: reportPeriod.end } : null,
     version: '1.0',
     
     // Feed info
@@ -96,10 +181,11 @@ function generateMetadata(products, options = {}) {
     publisher: publisherName || 'unknown',
     credential: credentialName || 'primary',
     associate_tag: associateTag,
+    ...(property && { property, tracking_ids: trackingIds || [] }),
     
     // Enrichment stats
     enrichment_success_rate: enrichmentMetadata?.successRate || null,
-    enriched_count: enrichmentMetadata?.enrichedCount || products.length,
+    enriched_count: enrichmentMetadata?.enrichedCount ?? products.filter(p => p.enriched !== false).length,
     failed_count: enrichmentMetadata?.failedCount || 0,
     
     // Performance summary
@@ -118,6 +204,30 @@ function generateMetadata(products, options = {}) {
       sale_percentage: products.length > 0 ? (saleProducts.length / products.length) * 100 : 0,
       average_discount_percentage: avgDiscountPercentage,
     },
+    
+    // Per-cluster totals (products labelled by clustering.js)
+    ...(clusteredProducts.length > 0 && {
+      clusters: clustering.summarizeClusters(clusteredProducts),
+    }),
+    
+    // ABC classes: the catalogue's concentration, and the classes this feed's products fall in
+    ...((pareto || classifiedProducts.length > 0) && {
+      pareto: {
+        ...pareto,
+        feed_classes: ['A', 'B', 'C'].reduce((counts, name) => {
+          counts[name] = classifiedProducts.filter(p => p.abc_class === name).length;
+          return counts;
+        }, {}),
+      },
+    }),
+    
+    // Trend counts (products ranked against a previous period)
+    ...(trendProducts.length > 0 && {
+      trends: trendProducts.reduce((counts, p) => {
+        counts[p.trend] = (counts[p.trend] || 0) + 1;
+        return counts;
+      }, {}),
+    }),
   };
 }
 
@@ -144,6 +254,10 @@ function filterSalesOnly(products) {
 
 /**
  * Generates feed files
+ *
+ * Feeds are filed under the report date: options.reportDate, else the end
+ * of the parsed report's period, else today.
+ *
  * @param {Object[]} products - Enriched products
  * @param {Object} options - Generation options
  * @returns {Promise<Object>} Generation result
@@ -157,6 +271,9 @@ async function generateFeed(products, options = {}) {
     reportDate,
     rankingMetric,
     enrichmentMetadata,
+    property,
+    trackingIds,
+    pareto,
     generateMetadata: includeMetadata = true,
     salesOnly = false, // Filter to only include products on sale
   } = options;
@@ -170,8 +287,10 @@ async function generateFeed(products, options = {}) {
   
   try {
     // Format date for directory name
-    const dateStr = reportDate 
-      ? reportDate.replace(/-/g, '')
+    const reportPeriod = findReportPeriod(options);
+    const feedDate = reportDate || reportPeriod?.end;
+    const dateStr = feedDate 
+      ? feedDate.replace(/-/g, '')
       : new Date().toISOString().split('T')[0].replace(/-/g, '');
     
     // Build output directory path
@@ -194,12 +313,16 @@ async function generateFeed(products, options = {}) {
     let metadataPath = null;
     if (includeMetadata) {
       const metadata = generateMetadata(formattedProducts, {
-        reportDate: reportDate || dateStr,
+        reportDate: feedDate || dateStr,
+        reportPeriod,
         rankingMetric,
         publisherName,
         credentialName,
         associateTag,
         enrichmentMetadata,
+        property,
+        trackingIds,
+        pareto,
       });
       
       metadataPath = path.join(feedDir, 'top-products-meta.json');
@@ -233,6 +356,38 @@ async function generateFeed(products, options = {}) {
   }
 }
 
+/**
+ * Generates one feed per property from tag leaderboards
+ *
+ * Each property's feed is filed under its own publisher directory
+ * ({outputPath}/{property}/{credential}/{date}/ unless the property sets a
+ * publisherName) and links with the property's associate tag.
+ *
+ * @param {Object} leaderboards - Property name -> leaderboard with enriched products (see tag-leaderboards.js)
+ * @param {Object} options - Generation options (see generateFeed), shared by every property
+ * @returns {Promise<Object>} Generation result per property
+ */
+async function generatePropertyFeeds(leaderboards, options = {}) {
+  const results = {};
+  
+  for (const [name, leaderboard] of Object.entries(leaderboards)) {
+    results[name] = await generateFeed(leaderboard.products, {
+      ...options,
+      publisherName: leaderboard.publisherName || name,
+      associateTag: leaderboard.associateTag || options.associateTag,
+      rankingMetric: leaderboard.metadata?.rankingMetric || options.rankingMetric,
+      property: name,
+      trackingIds: leaderboard.tags,
+      pareto: leaderboard.metadata?.pareto || options.pareto,
+    });
+  }
+  
+  return {
+    success: Object.values(results).every(result => result.success),
+    feeds: results,
+  };
+}
+
 /**
  * Generates feed from string (for Pipedream/serverless use)
  * Returns JSON strings instead of writing files
@@ -244,10 +399,14 @@ function generateFeedStrings(products, options = {}) {
   const {
     associateTag,
     reportDate,
+    reportPeriod,
     rankingMetric,
     publisherName,
     credentialName,
     enrichmentMetadata,
+    property,
+    trackingIds,
+    pareto,
     salesOnly = false,
   } = options;
   
@@ -263,11 +422,15 @@ function generateFeedStrings(products, options = {}) {
   // Generate metadata
   const metadata = generateMetadata(formattedProducts, {
     reportDate,
+    reportPeriod,
     rankingMetric,
     publisherName,
     credentialName,
     associateTag,
     enrichmentMetadata,
+    property,
+    trackingIds,
+    pareto,
   });
   
   return {
@@ -358,6 +521,7 @@ async function listFeeds(outputPath = '/feeds', publisherName = 'mula', credenti
 // Export functions
 module.exports = {
   generateFeed,
+  generatePropertyFeeds,
   generateFeedStrings,
   formatProduct,
   generateMetadata,
@@ -0,0 +1,507 @@
+/**
+ * Filter Expressions
+ *
+ * A small language for choosing which products get ranked, beyond
+ * filterProducts()' minimum thresholds:
+ *
+ *   orders >= 10 AND epc > 0.2
+ *   aov BETWEEN 20 AND 100 OR revenue < 500
+ *   (tag IN (sitea-20, news-20) OR cluster = premium) AND NOT trend = falling
+ *   title ~ /air fryer/i AND discount >= 20
+ *
+ * Comparisons: = != > >= < <= (strings compare case-insensitively),
+ * BETWEEN lo AND hi (inclusive), IN (a, b, ...) and NOT IN, ~ and !~
+ * (regex, /.../flags or a quoted pattern). Combine with AND, OR, NOT (or
+ * &&, ||, !) and parentheses; AND binds tighter than OR. Values are numbers, true/false,
+ * quoted strings or bare words (news-20, B07PGL2ZSL).
+ *
+ * Fields are any product field, plus the aliases in FIELD_ALIASES. `tag`
+ * matches an ASIN's tag, merged tags or any tracking ID in by_tag. Fields
+ * that hold lists (tags, anomaly_reasons) match when any entry does.
+ *
+ * The same expression as JSON (what parseFilter returns):
+ *
+ *   { and: [{ field: 'ordered_items', op: '>=', value: 10 }, { not: { field: 'trend', op: '=', value: 'falling' } }] }
+ *   { or: [...] }, { field: 'average_order_value', op: 'between', value: [20, 100] }
+ *   { field: 'title', op: '~', value: { pattern: 'air fryer', flags: 'i' } }
+ *
+ * Title, price, discount, browse node, availability and cluster only exist
+ * once products are enriched. Before then, filter with { beforeEnrichment:
+ * true } to treat them as unknown: a product is only dropped if the rest of
+ * the expression rules it out whatever they turn out to be, and the whole
+ * expression is checked again on the enriched products.
+ *
+ * Usage:
+ *   const filterExpression = require('./filter-expression');
+ *   const matches = filterExpression.compileFilter('orders >= 10 AND epc > 0.2');
+ *   products.filter(product => matches(product));
+ *
+ *   aggregator.aggregateAndRank(products, { filters: 'aov BETWEEN 20 AND 100' });
+ */
+
+/**
+ * Short names for product fields
+ */
+const FIELD_ALIASES = {
+  orders: 'ordered_items',
+  revenue: 'shipped_revenue',
+  aov: 'average_order_value',
+  cr: 'conversion_rate',
+  conversion: 'conversion_rate',
+  discount: 'discount_percentage',
+  abc: 'abc_class',
+  anomaly: 'anomaly_reasons',
+  returns: 'returned_items',
+};
+
+/**
+ * Fields set by PA-API enrichment or after it (clusters are assigned to enriched products)
+ */
+const ENRICHMENT_FIELDS = [
+  'title',
+  'price',
+  'currency',
+  'image_url',
+  'link',
+  'availability',
+  'browse_node',
+  'product_group',
+  'brand',
+  'is_on_sale',
+  'original_price',
+  'discount_amount',
+  'discount_percentage',
+  'cluster',
+];
+
+/**
+ * Comparison operators
+ */
+const OPERATORS = ['=', '!=', '>', '>=', '<', '<=', 'between', 'in', '~', '!~'];
+
+/**
+ * Word operators and keywords
+ */
+const KEYWORDS = ['and', 'or', 'not', 'between', 'in', 'true', 'false'];
+
+/**
+ * Builds a filter error
+ * @param {string} message - What went wrong
+ * @param {number} position - Character position in the expression (optional)
+ * @returns {Error} Error
+ */
+function filterError(message, position) {
+  return new Error(`Invalid filter: ${message}${position === undefined ? '' : ` at position ${position}`}`);
+}
+
+/**
+ * Splits an expression into tokens
+ * @param {string} text - Filter expression
+ * @returns {Object[]} Tokens: { type, value, position }
+ * @throws {Error} On unterminated strings or regexes and unexpected characters
+ */
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  
+  while (i < text.length) {
+    const char = text[i];
+    const position = i;
+    
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+    
+    if (char === '(' || char === ')' || char === ',') {
+      tokens.push({ type: char, position });
+      i++;
+      continue;
+    }
+    
+    // Regex literal, only where a ~ or !~ expects a pattern
+    const previous = tokens[tokens.length - 1];
+    if (char === '/' && previous?.type === 'op' && (previous.value === '~' || previous.value === '!~')) {
+      let end = i + 1;
+      while (end < text.length && text[end] !== '/') {
+        end += text[end] === '\\' ? 2 : 1;
+      }
+      if (end >= text.length) throw filterError('unterminated regex', position);
+      const flags = /^[a-z]*/.exec(text.slice(end + 1))[0];
+      tokens.push({ type: 'regex', value: { pattern: text.slice(i + 1, end), flags }, position });
+      i = end + 1 + flags.length;
+      continue;
+    }
+    
+    if (char === '"' || char === "'") {
+      let value = '';
+      let end = i + 1;
+      while (end < text.length && text[end] !== char) {
+        if (text[end] === '\\' && end + 1 < text.length) end++;
+        value += text[end];
+        end++;
+      }
+      if (end >= text.length) throw filterError('unterminated string', position);
+      tokens.push({ type: 'value', value, position });
+      i = end + 1;
+      continue;
+    }
+    
+    const symbol = /^(>=|<=|!=|==|!~|&&|\|\||[=<>~!])/.exec(text.slice(i));
+    if (symbol) {
+      const value = symbol[0];
+      if (value === '&&') tokens.push({ type: 'and', position });
+      else if (value === '||') tokens.push({ type: 'or', position });
+      else if (value === '!') tokens.push({ type: 'not', position });
+      else tokens.push({ type: 'op', value: value === '==' ? '=' : value, position });
+      i += value.length;
+      continue;
+    }
+    
+    const number = /^-?\d+(\.\d+)?(?![\w.-])/.exec(text.slice(i));
+    if (number) {
+      tokens.push({ type: 'value', value: Number(number[0]), position });
+      i += number[0].length;
+      continue;
+    }
+    
+    const word = /^[\w.-]+/.exec(text.slice(i));
+    if (word) {
+      const lower = word[0].toLowerCase();
+      if (lower === 'true' || lower === 'false') {
+        tokens.push({ type: 'value', value: lower === 'true', position });
+      } else if (KEYWORDS.includes(lower)) {
+        tokens.push({ type: lower, position });
+      } else {
+        tokens.push({ type: 'word', value: word[0], position });
+      }
+      i += word[0].length;
+      continue;
+    }
+    
+    throw filterError(`unexpected '${char}'`, position);
+  }
+  
+  tokens.push({ type: 'end', position: text.length });
+  return tokens;
+}
+
+/**
+ * Parses a filter expression string into its JSON form
+ * @param {string} text - Filter expression
+ * @returns {Object} Expression tree (see module docs)
+ * @throws {Error} On syntax errors
+ */
+function parseExpression(text) {
+  const tokens = tokenize(text);
+  let index = 0;
+  
+  const peek = () => tokens[index];
+  const next = () => tokens[index++];
+  const expect = type => {
+    const token = next();
+    if (token.type !== type) throw filterError(`expected ${type === 'end' ? 'end of filter' : `'${type}'`}`, token.position);
+    return token;
+  };
+  
+  const parseValue = () => {
+    const token = next();
+    if (token.type === 'value' || token.type === 'word') return token.value;
+    throw filterError('expected a value', token.position);
+  };
+  
+  const parseList = () => {
+    expect('(');
+    const values = [parseValue()];
+    while (peek().type === ',') {
+      next();
+      values.push(parseValue());
+    }
+    expect(')');
+    return values;
+  };
+  
+  const parseComparison = () => {
+    const fieldToken = next();
+    if (fieldToken.type !== 'word') throw filterError('expected a field name', fieldToken.position);
+    const field = fieldToken.value;
+    const token = next();
+    
+    if (token.type === 'between') {
+      const low = parseValue();
+      expect('and');
+      return { field, op: 'between', value: [low, parseValue()] };
+    }
+    if (token.type === 'in') {
+      return { field, op: 'in', value: parseList() };
+    }
+    if (token.type === 'not' && peek().type === 'in') {
+      next();
+      return { not: { field, op: 'in', value: parseList() } };
+    }
+    if (token.type !== 'op') throw filterError(`expected an operator after ${field}`, token.position);
+    
+    if (token.value === '~' || token.value === '!~') {
+      const pattern = next();
+      if (pattern.type === 'regex') return { field, op: token.value, value: pattern.value };
+      if (pattern.type === 'value' || pattern.type === 'word') return { field, op: token.value, value: String(pattern.value) };
+      throw filterError('expected a /regex/ or quoted pattern', pattern.position);
+    }
+    return { field, op: token.value, value: parseValue() };
+  };
+  
+  const parseUnary = () => {
+    if (peek().type === 'not') {
+      next();
+      return { not: parseUnary() };
+    }
+    if (peek().type === '(') {
+      next();
+      const node = parseOr();
+      expect(')');
+      return node;
+    }
+    return parseComparison();
+  };
+  
+  const parseAnd = () => {
+    const nodes = [parseUnary()];
+    while (peek().type === 'and') {
+      next();
+      nodes.push(parseUnary());
+    }
+    return nodes.length === 1 ? nodes[0] : { and: nodes };
+  };
+  
+  const parseOr = () => {
+    const nodes = [parseAnd()];
+    while (peek().type === 'or') {
+      next();
+      nodes.push(parseAnd());
+    }
+    return nodes.length === 1 ? nodes[0] : { or: nodes };
+  };
+  
+  if (peek().type === 'end') throw filterError('empty expression');
+  const tree = parseOr();
+  expect('end');
+  return tree;
+}
+
+/**
+ * Validates an expression tree and resolves field aliases and regexes
+ * @param {Object} node - Expression tree node
+ * @returns {Object} Normalised node (regex values become { pattern, flags } with a hidden compiled regex)
+ * @throws {Error} On unknown node shapes, operators or bad regexes
+ */
+function normalizeNode(node) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    throw filterError(`expected an object, got ${JSON.stringify(node)}`);
+  }
+  
+  if (node.and || node.or) {
+    const key = node.and ? 'and' : 'or';
+    if (!Array.isArray(node[key]) || node[key].length === 0) {
+      throw filterError(`'${key}' needs a non-empty array`);
+    }
+    return { [key]: node[key].map(normalizeNode) };
+  }
+  if (node.not) return { not: normalizeNode(node.not) };
+  
+  const { field, value } = node;
+  const op = String(node.op || '').toLowerCase();
+  if (typeof field !== 'string' || field === '') throw filterError(`comparison needs a field: ${JSON.stringify(node)}`);
+  if (!OPERATORS.includes(op)) throw filterError(`unknown operator ${node.op}. Available: ${OPERATORS.join(' ')}`);
+  
+  const normalized = { field: FIELD_ALIASES[field] || field, op, value };
+  if (op === 'between' && (!Array.isArray(value) || value.length !== 2)) {
+    throw filterError(`between needs [low, high] for ${field}`);
+  }
+  if (op === 'in' && !Array.isArray(value)) {
+    throw filterError(`in needs an array of values for ${field}`);
+  }
+  if (op === '~' || op === '!~') {
+    const { pattern, flags: given = '' } = typeof value === 'string' ? { pattern: value } : value || {};
+    if (typeof pattern !== 'string') throw filterError(`${op} needs a pattern for ${field}`);
+    // One regex tests every product: g and y would carry lastIndex from one to the next
+    const flags = String(given).replace(/[gy]/g, '');
+    try {
+      normalized.value = Object.defineProperty({ pattern, flags }, 'regex', { value: new RegExp(pattern, flags) });
+    } catch (error) {
+      throw filterError(`bad regex /${pattern}/${flags}: ${error.message}`);
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Parses a filter given as a string or in its JSON form
+ * @param {string|Object} filter - Expression string, JSON string or expression tree
+ * @returns {Object} Validated expression tree
+ * @throws {Error} On syntax errors or invalid trees
+ */
+function parseFilter(filter) {
+  if (typeof filter === 'string') {
+    const text = filter.trim();
+    return normalizeNode(text.startsWith('{') ? JSON.parse(text) : parseExpression(text));
+  }
+  return normalizeNode(filter);
+}
+
+/**
+ * Tells whether a filters object is an expression tree rather than filterProducts() thresholds
+ * @param {Object} filters - Filters
+ * @returns {boolean} True for { and }, { or }, { not } or { field, op, value }
+ */
+function isExpression(filters) {
+  return Boolean(filters && typeof filters === 'object'
+    && (filters.and || filters.or || filters.not || (filters.field && filters.op)));
+}
+
+/**
+ * Lists the product fields an expression reads
+ * @param {Object} tree - Validated expression tree
+ * @returns {string[]} Field names
+ */
+function referencedFields(tree) {
+  if (tree.and || tree.or) return [...new Set((tree.and || tree.or).flatMap(referencedFields))];
+  if (tree.not) return referencedFields(tree.not);
+  return [tree.field];
+}
+
+/**
+ * Tells whether an expression reads fields that only exist after enrichment
+ * @param {Object} tree - Validated expression tree
+ * @returns {boolean} True if it has to be checked again on enriched products
+ */
+function usesEnrichmentFields(tree) {
+  return referencedFields(tree).some(field => ENRICHMENT_FIELDS.includes(field));
+}
+
+/**
+ * Reads a field from a product
+ * @param {Object} product - Product
+ * @param {string} field - Field name (aliases resolved)
+ * @returns {*} Value, an array for tag, or undefined
+ */
+function readField(product, field) {
+  if (field === 'tag') {
+    const tags = [product.tag, ...(product.tags || []), ...Object.keys(product.by_tag || {})].filter(Boolean);
+    return tags.length > 0 ? [...new Set(tags)] : undefined;
+  }
+  return product[field];
+}
+
+/**
+ * Compares one value with a comparison's operand
+ * @param {*} actual - Product value
+ * @param {string} op - Operator
+ * @param {*} expected - Operand (array for between and in, { regex } for ~ and !~)
+ * @returns {boolean} Whether the comparison holds
+ */
+function compareValue(actual, op, expected) {
+  const numeric = typeof actual === 'number';
+  const coerce = value => (numeric ? Number(value) : String(value).toLowerCase());
+  const left = numeric ? actual : String(actual).toLowerCase();
+  
+  switch (op) {
+    case '=': return left === coerce(expected);
+    case '!=': return left !== coerce(expected);
+    case '>': return left > coerce(expected);
+    case '>=': return left >= coerce(expected);
+    case '<': return left < coerce(expected);
+    case '<=': return left <= coerce(expected);
+    case 'between': return left >= coerce(expected[0]) && left <= coerce(expected[1]);
+    case 'in': return expected.some(value => left === coerce(value));
+    case '~': return expected.regex.test(String(actual));
+    case '!~': return !expected.regex.test(String(actual));
+    default: return false;
+  }
+}
+
+/**
+ * Evaluates an expression tree for a product, with unknown as a third outcome
+ * @param {Object} tree - Validated expression tree
+ * @param {Object} product - Product
+ * @param {boolean} beforeEnrichment - Treat missing enrichment fields as unknown
+ * @returns {boolean|null} Result; null when it depends on fields not known yet
+ */
+function evaluate(tree, product, beforeEnrichment) {
+  if (tree.and) {
+    const results = tree.and.map(node => evaluate(node, product, beforeEnrichment));
+    if (results.includes(false)) return false;
+    return results.includes(null) ? null : true;
+  }
+  if (tree.or) {
+    const results = tree.or.map(node => evaluate(node, product, beforeEnrichment));
+    if (results.includes(true)) return true;
+    return results.includes(null) ? null : false;
+  }
+  if (tree.not) {
+    const result = evaluate(tree.not, product, beforeEnrichment);
+    return result === null ? null : !result;
+  }
+  
+  const actual = readField(product, tree.field);
+  if (actual === undefined || actual === null) {
+    if (beforeEnrichment && ENRICHMENT_FIELDS.includes(tree.field)) return null;
+    // A missing field matches nothing, so only negative comparisons hold
+    return tree.op === '!=' || tree.op === '!~';
+  }
+  
+  if (Array.isArray(actual)) {
+    const negative = tree.op === '!=' || tree.op === '!~';
+    const positiveOp = { '!=': '=', '!~': '~' }[tree.op] || tree.op;
+    const any = actual.some(value => compareValue(value, positiveOp, tree.value));
+    return negative ? !any : any;
+  }
+  return compareValue(actual, tree.op, tree.value);
+}
+
+/**
+ * Compiles a filter into a predicate
+ * @param {string|Object} filter - Expression string, JSON string or expression tree
+ * @returns {Function} (product, { beforeEnrichment }) => boolean; before enrichment, unknown counts as a match
+ * @throws {Error} On syntax errors or invalid trees
+ */
+function compileFilter(filter) {
+  const tree = parseFilter(filter);
+  return (product, options = {}) => evaluate(tree, product, Boolean(options.beforeEnrichment)) !== false;
+}
+
+/**
+ * Formats an expression tree as an expression string
+ * @param {Object} tree - Validated expression tree
+ * @returns {string} Expression
+ */
+function formatFilter(tree) {
+  const formatValue = value => (typeof value === 'string' && !/^[\w.-]+$/.test(value) ? JSON.stringify(value) : String(value));
+  
+  if (tree.and || tree.or) {
+    const key = tree.and ? 'and' : 'or';
+    return tree[key].map(node => (node.and || node.or ? `(${formatFilter(node)})` : formatFilter(node))).join(` ${key.toUpperCase()} `);
+  }
+  if (tree.not) {
+    const inner = formatFilter(tree.not);
+    return `NOT ${tree.not.and || tree.not.or ? `(${inner})` : inner}`;
+  }
+  
+  switch (tree.op) {
+    case 'between': return `${tree.field} BETWEEN ${formatValue(tree.value[0])} AND ${formatValue(tree.value[1])}`;
+    case 'in': return `${tree.field} IN (${tree.value.map(formatValue).join(', ')})`;
+    case '~':
+    case '!~': return `${tree.field} ${tree.op} /${tree.value.pattern}/${tree.value.flags}`;
+    default: return `${tree.field} ${tree.op} ${formatValue(tree.value)}`;
+  }
+}
+
+module.exports = {
+  FIELD_ALIASES,
+  ENRICHMENT_FIELDS,
+  OPERATORS,
+  parseFilter,
+  isExpression,
+  usesEnrichmentFields,
+  compileFilter,
+  formatFilter,
+};
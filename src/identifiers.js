@@ -0,0 +1,161 @@
+/**
+ * Product Identifiers
+ *
+ * Normalises the identifiers found in a report's ASIN column. Most are
+ * ASINs ("B07PGL2ZSL"), but book rows carry ISBNs: the ASIN of a book is its
+ * ISBN-10, and some book-heavy reports list the ISBN-13 instead. ISBN-13s
+ * with the 978 prefix are converted to their ISBN-10 so they join up with
+ * the rest of the report and can be looked up on PA-API.
+ *
+ * Usage:
+ *   const identifiers = require('./identifiers');
+ *   identifiers.normalizeIdentifier('978-0-306-40615-7');
+ *   // { id: '0306406152', type: 'isbn13', original: '978-0-306-40615-7' }
+ *   identifiers.normalizeIdentifier('b07pgl2zsl');
+ *   // { id: 'B07PGL2ZSL', type: 'asin', original: 'b07pgl2zsl' }
+ */
+
+/**
+ * Identifier types set as a product's id_type
+ *   asin:   Amazon-assigned ASIN (starts with B)
+ *   isbn10: ISBN-10, which is the book's ASIN
+ *   isbn13: ISBN-13 converted to its ISBN-10
+ */
+const ID_TYPES = ['asin', 'isbn10', 'isbn13'];
+
+const ASIN_PATTERN = /^B[0-9A-Z]{9}$/;
+const ISBN10_PATTERN = /^\d{9}[\dX]$/;
+const ISBN13_PATTERN = /^97[89]\d{10}$/;
+
+/**
+ * Calculates the ISBN-10 check digit for its first nine digits
+ * @param {string} digits - First nine digits
+ * @returns {string} Check digit ('0'-'9' or 'X')
+ */
+function isbn10CheckDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < 9; i++) {
+    sum += (10 - i) * Number(digits[i]);
+  }
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? 'X' : String(check);
+}
+
+/**
+ * Calculates the ISBN-13 check digit for its first twelve digits
+ * @param {string} digits - First twelve digits
+ * @returns {string} Check digit
+ */
+function isbn13CheckDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < 12; i++) {
+    sum += Number(digits[i]) * (i % 2 === 0 ? 1 : 3);
+  }
+  return String((10 - (sum % 10)) % 10);
+}
+
+/**
+ * Checks an ISBN-10 and its check digit
+ * @param {string} value - Upper-cased ISBN-10 without separators
+ * @returns {boolean} True if valid
+ */
+function isValidISBN10(value) {
+  return ISBN10_PATTERN.test(value) && isbn10CheckDigit(value) === value[9];
+}
+
+/**
+ * Checks an ISBN-13 (978 or 979 prefix) and its check digit
+ * @param {string} value - ISBN-13 without separators
+ * @returns {boolean} True if valid
+ */
+function isValidISBN13(value) {
+  return ISBN13_PATTERN.test(value) && isbn13CheckDigit(value) === value[12];
+}
+
+/**
+ * Converts a 978-prefixed ISBN-13 to its ISBN-10
+ * @param {string} isbn13 - Valid ISBN-13 without separators
+ * @returns {string|null} ISBN-10, or null for 979 ISBNs (which have none)
+ */
+function isbn13ToIsbn10(isbn13) {
+  if (!isbn13.startsWith('978')) return null;
+  const digits = isbn13.slice(3, 12);
+  return digits + isbn10CheckDigit(digits);
+}
+
+/**
+ * Strips what reports and spreadsheets add around an identifier
+ * @param {*} value - Raw cell value
+ * @returns {string} Upper-cased identifier without spaces or hyphens
+ */
+function cleanIdentifier(value) {
+  if (value === undefined || value === null) return '';
+  return String(value).trim().replace(/[\s-]/g, '').toUpperCase();
+}
+
+/**
+ * Works out what an identifier is
+ * @param {*} value - Raw identifier
+ * @returns {{id: string|null, type: string|null, original: string, reason: string|null}} Normalised
+ *   id and its type, or a reason it isn't a usable identifier
+ */
+function identify(value) {
+  const original = value === undefined || value === null ? '' : String(value).trim();
+  const clean = cleanIdentifier(value);
+  const invalid = reason => ({ id: null, type: null, original, reason });
+  
+  if (!clean) return invalid('Identifier is empty');
+  
+  if (ASIN_PATTERN.test(clean)) {
+    return { id: clean, type: 'asin', original, reason: null };
+  }
+  
+  // Spreadsheets drop the leading zero of ISBN-10s stored as numbers
+  const isbn10 = /^\d{8}[\dX]$/.test(clean) ? `0${clean}` : clean;
+  if (ISBN10_PATTERN.test(isbn10)) {
+    return isValidISBN10(isbn10)
+      ? { id: isbn10, type: 'isbn10', original, reason: null }
+      : invalid(`ISBN-10 check digit should be ${isbn10CheckDigit(isbn10)}`);
+  }
+  
+  if (ISBN13_PATTERN.test(clean)) {
+    if (!isValidISBN13(clean)) {
+      return invalid(`ISBN-13 check digit should be ${isbn13CheckDigit(clean)}`);
+    }
+    const converted = isbn13ToIsbn10(clean);
+    return converted
+      ? { id: converted, type: 'isbn13', original, reason: null }
+      : invalid('ISBN-13 with the 979 prefix has no ISBN-10 (ASIN) equivalent');
+  }
+  
+  return invalid('Not a 10-character ASIN, ISBN-10 or ISBN-13');
+}
+
+/**
+ * Normalises an identifier to the ASIN it refers to
+ * @param {*} value - Raw identifier
+ * @returns {{id: string, type: string, original: string}|null} Normalised identifier, or null if invalid
+ */
+function normalizeIdentifier(value) {
+  const { reason, ...result } = identify(value);
+  return reason ? null : result;
+}
+
+/**
+ * Checks whether a value is a usable ASIN, ISBN-10 or convertible ISBN-13
+ * @param {*} value - Raw identifier
+ * @returns {boolean} True if valid
+ */
+function isValidIdentifier(value) {
+  return identify(value).reason === null;
+}
+
+module.exports = {
+  ID_TYPES,
+  identify,
+  normalizeIdentifier,
+  isValidIdentifier,
+  isValidISBN10,
+  isValidISBN13,
+  isbn13ToIsbn10,
+};
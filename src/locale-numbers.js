@@ -0,0 +1,173 @@
+/**
+ * Locale-Aware Number Parsing
+ *
+ * Parses numeric cells from Amazon Associates exports for different
+ * marketplaces: currency symbols (£, €, ¥), decimal commas (1.234,56),
+ * space-grouped thousands (1 234,56) and parenthesised negatives (returns).
+ *
+ * Usage:
+ *   const numbers = require('./locale-numbers');
+ *   const locale = numbers.detectLocale(['€1.234,56', '12,00']).locale; // 'de-DE'
+ *   numbers.parseLocaleNumber('(1.234,56)', locale); // { value: -1234.56, ambiguous: false }
+ *   numbers.parseLocaleNumber('1.234', 'en-US', { groupingUnknown: true }); // { value: null, ambiguous: true, ... }
+ */
+
+/**
+ * Number formats by marketplace locale
+ */
+const LOCALES = {
+  'en-US': { decimal: '.', group: ',', currency: '$' },
+  'en-GB': { decimal: '.', group: ',', currency: '£' },
+  'de-DE': { decimal: ',', group: '.', currency: '€' },
+  'fr-FR': { decimal: ',', group: ' ', currency: '€' },
+  'ja-JP': { decimal: '.', group: ',', currency: '¥' },
+};
+
+const DEFAULT_LOCALE = 'en-US';
+
+/**
+ * Currency symbols and codes stripped before parsing
+ */
+const CURRENCY_PATTERN = /[$£€¥￥]|\b(?:USD|GBP|EUR|JPY|CAD|AUD)\b/gi;
+
+/**
+ * Values that read as grouped thousands in one locale and a decimal in
+ * another ("1.234", "1,234")
+ */
+const GROUPED_OR_DECIMAL = /^\d{1,3}(?:[.,]\d{3})+$/;
+
+/**
+ * Escapes a separator for use in a regular expression
+ * @param {string} char - Separator character
+ * @returns {string} Escaped character
+ */
+function escapeRegExp(char) {
+  return char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parses a numeric cell using a locale's separators
+ * @param {*} value - Raw cell value
+ * @param {string} locale - Locale id from LOCALES (default: 'en-US')
+ * @param {Object} options - Parsing options
+ * @param {boolean} options.groupingUnknown - The locale is a guess, so "1.234" and
+ *   "1,234" are reported as ambiguous rather than read with its separators (default: false)
+ * @returns {{value: number|null, ambiguous: boolean, reason?: string}} Parsed value;
+ *   value is null when the cell can't be read unambiguously
+ */
+function parseLocaleNumber(value, locale = DEFAULT_LOCALE, options = {}) {
+  if (typeof value === 'number') {
+    return { value, ambiguous: false };
+  }
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return { value: 0, ambiguous: false };
+  }
+  
+  const format = LOCALES[locale] || LOCALES[DEFAULT_LOCALE];
+  let str = String(value).trim();
+  let negative = false;
+  
+  // Accounting-style negatives: (12.34)
+  const parenthesised = str.match(/^\((.*)\)$/);
+  if (parenthesised) {
+    negative = true;
+    str = parenthesised[1];
+  }
+  
+  str = str.replace(CURRENCY_PATTERN, '').replace(/%/g, '').replace(/\s/g, '');
+  
+  if (/^[-−]/.test(str)) {
+    negative = !negative;
+    str = str.slice(1);
+  }
+  
+  if (options.groupingUnknown && GROUPED_OR_DECIMAL.test(str)) {
+    return {
+      value: null,
+      ambiguous: true,
+      reason: 'Could be grouped thousands or a decimal; set the number locale',
+    };
+  }
+  
+  // Spaces were stripped above, so space-grouped locales have no group char left
+  const group = format.group.trim() ? escapeRegExp(format.group) : '';
+  const decimal = escapeRegExp(format.decimal);
+  const grouped = group ? `\\d{1,3}(?:${group}\\d{3})+` : '(?!)';
+  const pattern = new RegExp(`^(?:${grouped}|\\d+)(?:${decimal}\\d+)?$|^${decimal}\\d+$`);
+  
+  if (!pattern.test(str)) {
+    return {
+      value: null,
+      ambiguous: true,
+      reason: `Not a valid ${locale} number`,
+    };
+  }
+  
+  const normalized = (group ? str.replace(new RegExp(group, 'g'), '') : str)
+    .replace(format.decimal, '.');
+  const parsed = parseFloat(normalized);
+  
+  return { value: negative ? -parsed : parsed, ambiguous: false };
+}
+
+/**
+ * Detects the number locale from a sample of raw cell values
+ *
+ * Currency symbols pick the marketplace; separator patterns decide between
+ * decimal point and decimal comma. Values such as "1,234" fit both styles
+ * and are ignored. With no separator evidence the locale is a guess
+ * (confident: false), by currency or the default (en-US).
+ *
+ * @param {*[]} samples - Raw cell values
+ * @returns {{locale: string, confident: boolean, evidence: Object}} Detected locale,
+ *   whether separators confirmed it, and vote counts
+ */
+function detectLocale(samples) {
+  const evidence = {
+    decimalPoint: 0,
+    decimalComma: 0,
+    spaceGrouped: 0,
+    pound: 0,
+    euro: 0,
+    yen: 0,
+  };
+  
+  for (const sample of samples) {
+    if (sample === undefined || sample === null) continue;
+    const str = String(sample).trim();
+    if (!str) continue;
+    
+    if (str.includes('£')) evidence.pound++;
+    if (str.includes('€')) evidence.euro++;
+    if (/[¥￥]/.test(str)) evidence.yen++;
+    
+    const digits = str.replace(CURRENCY_PATTERN, '').replace(/[()%\-−]/g, '').trim();
+    
+    if (/\d\s\d{3}(?:,\d+)?$/.test(digits)) evidence.spaceGrouped++;
+    if (/\d\.\d{3},\d+$/.test(digits) || /^\d+,\d{1,2}$/.test(digits)) {
+      evidence.decimalComma++;
+    } else if (/\d,\d{3}\.\d+$/.test(digits) || /^\d+\.\d{1,2}$/.test(digits)) {
+      evidence.decimalPoint++;
+    }
+  }
+  
+  let locale = DEFAULT_LOCALE;
+  if (evidence.decimalComma > evidence.decimalPoint || (evidence.spaceGrouped > 0 && evidence.decimalPoint === 0)) {
+    locale = evidence.spaceGrouped > 0 ? 'fr-FR' : 'de-DE';
+  } else if (evidence.pound > 0) {
+    locale = 'en-GB';
+  } else if (evidence.yen > 0) {
+    locale = 'ja-JP';
+  }
+  
+  const confident = evidence.decimalPoint + evidence.decimalComma + evidence.spaceGrouped > 0;
+  
+  return { locale, confident, evidence };
+}
+
+module.exports = {
+  LOCALES,
+  DEFAULT_LOCALE,
+  parseLocaleNumber,
+  detectLocale,
+};
@@ -0,0 +1,192 @@
+/**
+ * Column Mapping Profiles
+ *
+ * Saves named column mappings for custom report exports and finds them
+ * again by a hash of the header row, so a partner's export only has to be
+ * mapped once. Profiles live in a JSON file (default: mapping-profiles.json
+ * in the project root, or config.csv.profilesPath).
+ *
+ * Usage:
+ *   const profiles = require('./mapping-profiles');
+ *   profiles.saveProfile({ name: 'partner-x', headers, columns: { orderedItems: 'Units' } });
+ *   const profile = profiles.findProfileByHeaders(headers); // matched by header hash
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_PROFILES_PATH = path.join(__dirname, '..', 'mapping-profiles.json');
+
+/**
+ * Hashes a header row (case, whitespace and column order are ignored)
+ * @param {string[]} headers - Array of column headers
+ * @returns {string} 16-character hex hash
+ */
+function hashHeaders(headers) {
+  const normalized = headers
+    .map(header => String(header).toLowerCase().trim())
+    .filter(header => header !== '')
+    .sort();
+  
+  return crypto
+    .createHash('sha256')
+    .update(normalized.join('\n'))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Normalises user column mappings to field -> possible column names
+ * @param {Object} columns - Field -> column name or array of column names
+ * @returns {Object} Field -> array of column names
+ */
+function normalizeColumns(columns) {
+  const normalized = {};
+  for (const [field, names] of Object.entries(columns || {})) {
+    const list = (Array.isArray(names) ? names : [names])
+      .filter(name => typeof name === 'string' && name.trim() !== '');
+    if (list.length > 0) {
+      normalized[field] = list;
+    }
+  }
+  return normalized;
+}
+
+/**
+ * Merges column mappings; names from later sources are tried first
+ * @param {...Object} sources - Field -> column name(s) maps, lowest priority first
+ * @returns {Object} Field -> possible column names
+ */
+function mergeColumnMappings(...sources) {
+  const merged = {};
+  for (const source of sources) {
+    for (const [field, names] of Object.entries(normalizeColumns(source))) {
+      const existing = merged[field] || [];
+      merged[field] = [...new Set([...names, ...existing])];
+    }
+  }
+  return merged;
+}
+
+/**
+ * Loads saved profiles
+ * @param {string} filePath - Profiles file (optional, default: DEFAULT_PROFILES_PATH)
+ * @returns {Object[]} Saved profiles (empty if the file doesn't exist)
+ */
+function loadProfiles(filePath) {
+  const profilesPath = filePath || DEFAULT_PROFILES_PATH;
+  let content;
+  try {
+    content = fs.readFileSync(profilesPath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  
+  try {
+    const data = JSON.parse(content);
+    return Array.isArray(data.profiles) ? data.profiles : [];
+  } catch (error) {
+    throw new Error(`Invalid mapping profiles file ${profilesPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Saves a profile, replacing any profile with the same name
+ * @param {Object} profile - Profile to save
+ * @param {string} profile.name - Profile name
+ * @param {string[]} profile.headers - Header row the profile applies to (or pass headerHash)
+ * @param {string} profile.headerHash - Header hash from parse metadata (optional)
+ * @param {Object} profile.columns - Field -> column name(s)
+ * @param {string} profile.reportType - Report type to use for matching files (optional)
+ * @param {string} filePath - Profiles file (optional, default: DEFAULT_PROFILES_PATH)
+ * @returns {Object} Saved profile
+ */
+function saveProfile(profile, filePath) {
+  if (!profile || !profile.name) {
+    throw new Error('Mapping profile needs a name');
+  }
+  if (!profile.headerHash && !Array.isArray(profile.headers)) {
+    throw new Error('Mapping profile needs the report headers (or headerHash)');
+  }
+  
+  const columns = normalizeColumns(profile.columns);
+  if (Object.keys(columns).length === 0) {
+    throw new Error('Mapping profile needs at least one column mapping');
+  }
+  
+  const saved = {
+    name: profile.name,
+    headerHash: profile.headerHash || hashHeaders(profile.headers),
+    columns,
+    ...(profile.reportType && { reportType: profile.reportType }),
+    ...(profile.headers && { headers: profile.headers }),
+    savedAt: new Date().toISOString(),
+  };
+  
+  const profiles = loadProfiles(filePath).filter(p => p.name !== saved.name);
+  profiles.push(saved);
+  fs.writeFileSync(filePath || DEFAULT_PROFILES_PATH, JSON.stringify({ profiles }, null, 2) + '\n');
+  
+  return saved;
+}
+
+/**
+ * Deletes a profile by name
+ * @param {string} name - Profile name
+ * @param {string} filePath - Profiles file (optional, default: DEFAULT_PROFILES_PATH)
+ * @returns {boolean} True if a profile was removed
+ */
+function deleteProfile(name, filePath) {
+  const profiles = loadProfiles(filePath);
+  const remaining = profiles.filter(p => p.name !== name);
+  
+  if (remaining.length === profiles.length) return false;
+  
+  fs.writeFileSync(filePath || DEFAULT_PROFILES_PATH, JSON.stringify({ profiles: remaining }, null, 2) + '\n');
+  return true;
+}
+
+/**
+ * Finds a profile by name
+ * @param {string} name - Profile name
+ * @param {string} filePath - Profiles file (optional, default: DEFAULT_PROFILES_PATH)
+ * @returns {Object} Profile
+ * @throws {Error} If no profile has that name
+ */
+function getProfile(name, filePath) {
+  const profiles = loadProfiles(filePath);
+  const profile = profiles.find(p => p.name === name);
+  
+  if (!profile) {
+    throw new Error(
+      `Unknown mapping profile: ${name}. ` +
+      `Available: ${profiles.map(p => p.name).join(', ') || 'none'}`
+    );
+  }
+  return profile;
+}
+
+/**
+ * Finds the profile saved for a header row
+ * @param {string[]} headers - Array of column headers
+ * @param {string} filePath - Profiles file (optional, default: DEFAULT_PROFILES_PATH)
+ * @returns {Object|null} Matching profile (latest saved wins) or null
+ */
+function findProfileByHeaders(headers, filePath) {
+  const headerHash = hashHeaders(headers);
+  const matches = loadProfiles(filePath).filter(p => p.headerHash === headerHash);
+  return matches.length > 0 ? matches[matches.length - 1] : null;
+}
+
+module.exports = {
+  DEFAULT_PROFILES_PATH,
+  hashHeaders,
+  mergeColumnMappings,
+  loadProfiles,
+  saveProfile,
+  deleteProfile,
+  getProfile,
+  findProfileByHeaders,
+};
@@ -0,0 +1,116 @@
+/**
+ * Smoothed Rate Metrics
+ *
+ * Per-click rates are noisy for ASINs with little traffic: one click and
+ * one order is a 100% conversion rate. Smoothing pulls each product's rate
+ * towards the rate of all products being ranked, by as much as a
+ * "prior strength" worth of clicks, so a rate only stands out once the
+ * product has the traffic to back it up.
+ *
+ *   conversion rate: beta prior, (orders + k * p0) / (clicks + k)
+ *   EPC / revenue per click: shrinkage, (earnings + k * epc0) / (clicks + k)
+ *
+ * Wilson score intervals give the range a product's true conversion rate
+ * probably lies in, given its clicks.
+ *
+ * Usage:
+ *   const smoothing = require('./metric-smoothing');
+ *   smoothing.applySmoothing(products, { priorStrength: 100 });
+ *   // products[i].smoothed_conversion_rate, .smoothed_epc, .smoothed_revenue_per_click
+ *   smoothing.wilsonInterval(3, 40); // { lower: 0.0258, upper: 0.1986 }
+ */
+
+/**
+ * Clicks' worth of weight given to the overall rate (default prior strength)
+ */
+const DEFAULT_PRIOR_STRENGTH = 100;
+
+/**
+ * z-score for a 95% confidence interval
+ */
+const DEFAULT_Z = 1.96;
+
+/**
+ * Calculates the Wilson score interval for a proportion
+ * @param {number} successes - Orders (capped at trials)
+ * @param {number} trials - Clicks
+ * @param {number} z - z-score of the confidence level (default: 1.96 for 95%)
+ * @returns {{lower: number, upper: number}} Interval; [0, 1] without trials
+ */
+function wilsonInterval(successes, trials, z = DEFAULT_Z) {
+  if (!trials || trials <= 0) return { lower: 0, upper: 1 };
+  
+  const p = Math.min(Math.max(successes, 0), trials) / trials;
+  const z2 = z * z;
+  const denominator = 1 + z2 / trials;
+  const centre = p + z2 / (2 * trials);
+  const margin = z * Math.sqrt((p * (1 - p) + z2 / (4 * trials)) / trials);
+  
+  return {
+    lower: Math.max(0, (centre - margin) / denominator),
+    upper: Math.min(1, (centre + margin) / denominator),
+  };
+}
+
+/**
+ * Validates a prior strength
+ * @param {number} priorStrength - Clicks' worth of weight for the prior
+ * @returns {number} The prior strength
+ * @throws {Error} If it isn't a number >= 0
+ */
+function resolvePriorStrength(priorStrength = DEFAULT_PRIOR_STRENGTH) {
+  if (typeof priorStrength !== 'number' || isNaN(priorStrength) || priorStrength < 0) {
+    throw new Error(`Invalid prior strength: ${priorStrength}. Use a number >= 0`);
+  }
+  return priorStrength;
+}
+
+/**
+ * Calculates the overall rates used as priors
+ * @param {Object[]} products - Products being ranked
+ * @returns {{conversion_rate: number, epc: number, revenue_per_click: number}} Rates across all clicks
+ */
+function calculatePriors(products) {
+  const clicks = products.reduce((sum, p) => sum + (p.clicks || 0), 0);
+  const orders = products.reduce((sum, p) => sum + (p.ordered_items || 0), 0);
+  const earnings = products.reduce((sum, p) => sum + (p.earnings || 0), 0);
+  const revenue = products.reduce((sum, p) => sum + (p.shipped_revenue || 0), 0);
+  
+  return {
+    conversion_rate: clicks > 0 ? orders / clicks : 0,
+    epc: clicks > 0 ? earnings / clicks : 0,
+    revenue_per_click: clicks > 0 ? revenue / clicks : 0,
+  };
+}
+
+/**
+ * Sets smoothed_conversion_rate, smoothed_epc and smoothed_revenue_per_click on each product
+ * @param {Object[]} products - Products being ranked (modified in place)
+ * @param {Object} options - Smoothing options
+ * @param {number} options.priorStrength - Clicks' worth of weight for the overall rate (default: 100)
+ * @returns {Object} Prior used: { strength, conversion_rate, epc, revenue_per_click }
+ */
+function applySmoothing(products, options = {}) {
+  const strength = resolvePriorStrength(options.priorStrength);
+  const priors = calculatePriors(products);
+  
+  products.forEach(product => {
+    const clicks = product.clicks || 0;
+    const weight = clicks + strength;
+    const smooth = (total, prior) => (weight > 0 ? (total + strength * prior) / weight : prior);
+    
+    product.smoothed_conversion_rate = smooth(product.ordered_items || 0, priors.conversion_rate);
+    product.smoothed_epc = smooth(product.earnings || 0, priors.epc);
+    product.smoothed_revenue_per_click = smooth(product.shipped_revenue || 0, priors.revenue_per_click);
+  });
+  
+  return { strength, ...priors };
+}
+
+module.exports = {
+  DEFAULT_PRIOR_STRENGTH,
+  wilsonInterval,
+  resolvePriorStrength,
+  calculatePriors,
+  applySmoothing,
+};
@@ -2,7 +2,9 @@
  * Amazon Product Advertising API (PA-API) Client
  * 
  * Enriches ASINs with product data via PA-API 5.0 GetItems operation.
- * Handles batching, rate limiting, retries, and error handling.
+ * Handles batching, rate limiting, retries, and error handling. Product
+ * objects PA-API can't return stay in the results with their report data,
+ * marked enriched: false, so feeds can still title them from product_name.
  * 
  * Usage:
  *   const paApi = require('./pa-api-client');
@@ -26,6 +28,9 @@ const DEFAULT_CONFIG = {
     'Offers.Listings.Price',
     'Offers.Listings.SavingBasis', // Original price when on sale
     'Offers.Listings.Availability.Type', // Availability status
+    'BrowseNodeInfo.BrowseNodes', // Category, for category clustering
+    'ItemInfo.Classifications', // Product group
+    'ItemInfo.ByLineInfo', // Brand, for diversity caps
   ],
   retryAttempts: 3,
   retryDelayMs: 1000,
@@ -81,6 +86,16 @@ function extractProductData(item, associateTag) {
   // Extract availability
   const availability = item.Offers?.Listings?.[0]?.Availability?.Type || 'Unknown';
   
+  // Extract category: top-level ancestor of the first browse node, and product group
+  let browseNode = null;
+  let node = item.BrowseNodeInfo?.BrowseNodes?.[0];
+  while (node) {
+    browseNode = node.ContextFreeName || node.DisplayName || browseNode;
+    node = node.Ancestor;
+  }
+  const productGroup = item.ItemInfo?.Classifications?.ProductGroup?.DisplayValue || null;
+  const brand = item.ItemInfo?.ByLineInfo?.Brand?.DisplayValue || null;
+  
   // Build affiliate link
   const link = item.DetailPageURL || `https://www.amazon.com/dp/${asin}?tag=${associateTag}`;
   
@@ -92,6 +107,9 @@ function extractProductData(item, associateTag) {
     image_url: imageUrl,
     link,
     availability,
+    ...(browseNode && { browse_node: browseNode }),
+    ...(productGroup && { product_group: productGroup }),
+    ...(brand && { brand }),
     // Sale information
     ...(isOnSale && {
       is_on_sale: true,
@@ -212,7 +230,8 @@ async function enrichBatchWithRetry(asins, config, attempt = 1) {
  * Enriches array of ASINs with PA-API data
  * @param {string[]|Object[]} asins - Array of ASINs or product objects
  * @param {Object} config - PA-API configuration
- * @returns {Promise<Object>} Enrichment results
+ * @returns {Promise<Object>} Enrichment results: products in input order (failed product
+ *   objects included with enriched: false; failed plain ASINs only in failed)
  */
 async function enrichAsins(asins, config = {}) {
   // Merge config with defaults
@@ -327,9 +346,15 @@ async function enrichAsins(asins, config = {}) {
   
   console.log(`\n✅ Enrichment complete: ${enriched.length}/${asinStrings.length} successful (${(successRate * 100).toFixed(1)}%)`);
   
+  // Failed products keep their report data (product_name, metrics) without PA-API fields
+  const enrichedByAsin = new Map(enriched.map(product => [product.asin, product]));
+  const products = asinStrings
+    .map(asin => enrichedByAsin.get(asin) || (asinMap.has(asin) && { ...asinMap.get(asin), enriched: false }))
+    .filter(Boolean);
+  
   return {
     success: true,
-    products: enriched,
+    products,
     metadata: {
       totalAsins: asinStrings.length,
       enrichedCount: enriched.length,
@@ -0,0 +1,221 @@
+/**
+ * Pareto / ABC Analysis
+ *
+ * Shows how concentrated the catalogue is: sorted by a metric (earnings by
+ * default), the cumulative share curve says how few ASINs carry most of it.
+ * ABC classes cut the curve in three:
+ *
+ *   A: the ASINs making up the first 80% of the metric
+ *   B: the next 15% (up to 95%)
+ *   C: the long tail, and every ASIN with none of the metric
+ *
+ * C-class ASINs that still get clicks are the long-tail opportunities: the
+ * traffic is there, the earnings aren't yet.
+ *
+ * Usage:
+ *   const pareto = require('./pareto-analysis');
+ *   const analysis = pareto.analyzePareto(aggregated, { metric: 'earnings' });
+ *   // analysis.summary.asinsFor80Pct, analysis.curve, analysis.products[i].abc_class
+ *
+ *   pareto.classifyProducts(aggregated);
+ *   // aggregated[i].abc_class, .pareto_share, .pareto_cumulative_share
+ */
+
+/**
+ * Metrics the catalogue can be analysed on
+ */
+const PARETO_METRICS = ['earnings', 'net_earnings', 'shipped_revenue', 'ordered_items', 'clicks'];
+
+/**
+ * Cumulative shares where class A and class B end
+ */
+const DEFAULT_THRESHOLDS = { A: 0.8, B: 0.95 };
+
+/**
+ * Points on the cumulative share curve (evenly spaced shares of ASINs)
+ */
+const DEFAULT_CURVE_POINTS = 20;
+
+/**
+ * Long-tail opportunities listed in the summary
+ */
+const MAX_OPPORTUNITIES = 10;
+
+/**
+ * Validates analysis options
+ * @param {Object} options - Analysis options
+ * @param {string} options.metric - Metric to analyse (default: 'earnings')
+ * @param {Object} options.thresholds - Cumulative shares ending classes A and B (default: { A: 0.8, B: 0.95 })
+ * @param {number} options.curvePoints - Points on the curve (default: 20)
+ * @returns {{metric: string, thresholds: Object, curvePoints: number}} Resolved options
+ * @throws {Error} If the metric is unknown, the thresholds aren't 0 < A < B <= 1 or curvePoints isn't a whole number >= 1
+ */
+function resolveParetoOptions(options = {}) {
+  const { metric = 'earnings', thresholds = {}, curvePoints = DEFAULT_CURVE_POINTS } = options;
+  
+  if (!PARETO_METRICS.includes(metric)) {
+    throw new Error(`Invalid Pareto metric: ${metric}. Available: ${PARETO_METRICS.join(', ')}`);
+  }
+  
+  const a = thresholds.A ?? DEFAULT_THRESHOLDS.A;
+  const b = thresholds.B ?? DEFAULT_THRESHOLDS.B;
+  if (typeof a !== 'number' || typeof b !== 'number' || !(a > 0 && a < b && b <= 1)) {
+    throw new Error(`Invalid ABC thresholds: A ${a}, B ${b}. Use 0 < A < B <= 1`);
+  }
+  if (!Number.isInteger(curvePoints) || curvePoints < 1) {
+    throw new Error(`Invalid curve points: ${curvePoints}. Use a whole number >= 1`);
+  }
+  
+  return { metric, thresholds: { A: a, B: b }, curvePoints };
+}
+
+/**
+ * Classifies an ASIN by the share of the metric ranked above it
+ * @param {number} value - The ASIN's value (negative counts as 0)
+ * @param {number} before - Cumulative share of the ASINs ranked above it
+ * @param {Object} thresholds - Resolved thresholds
+ * @returns {string} 'A', 'B' or 'C'
+ */
+function classify(value, before, thresholds) {
+  if (value <= 0) return 'C';
+  if (before < thresholds.A) return 'A';
+  if (before < thresholds.B) return 'B';
+  return 'C';
+}
+
+/**
+ * Calculates the Gini coefficient of the metric across ASINs
+ * @param {number[]} values - Values, sorted highest first (negatives as 0)
+ * @param {number} total - Sum of the values
+ * @returns {number} 0 (evenly spread) to 1 (one ASIN has it all)
+ */
+function giniCoefficient(values, total) {
+  const n = values.length;
+  if (n === 0 || total <= 0) return 0;
+  
+  // Sum of rank * value with ranks ascending by value
+  const weighted = values.reduce((sum, value, i) => sum + (n - i) * value, 0);
+  return Number(((2 * weighted) / (n * total) - (n + 1) / n).toFixed(4));
+}
+
+/**
+ * Samples the cumulative share curve
+ * @param {Object[]} entries - Ranked entries with cumulative_share
+ * @param {number} points - Points to sample
+ * @returns {Object[]} Points: { asins, asin_share, cumulative_share }, from (0, 0)
+ */
+function sampleCurve(entries, points) {
+  const curve = [{ asins: 0, asin_share: 0, cumulative_share: 0 }];
+  const seen = new Set();
+  
+  for (let i = 1; i <= points; i++) {
+    const asins = Math.ceil((i / points) * entries.length);
+    if (asins === 0 || seen.has(asins)) continue;
+    seen.add(asins);
+    curve.push({
+      asins,
+      asin_share: Number((asins / entries.length).toFixed(4)),
+      cumulative_share: entries[asins - 1].cumulative_share,
+    });
+  }
+  
+  return curve;
+}
+
+/**
+ * Analyses how concentrated a metric is across ASINs
+ * @param {Object[]} products - Aggregated products (the whole catalogue, before top N)
+ * @param {Object} options - Analysis options (see resolveParetoOptions)
+ * @returns {Object} Ranked entries with classes, the cumulative share curve and a summary
+ */
+function analyzePareto(products, options = {}) {
+  const { metric, thresholds, curvePoints } = resolveParetoOptions(options);
+  const valueOf = product => Math.max(product[metric] || 0, 0);
+  
+  const sorted = [...products].sort((a, b) =>
+    valueOf(b) - valueOf(a) || String(a.asin).localeCompare(String(b.asin))
+  );
+  const total = sorted.reduce((sum, product) => sum + valueOf(product), 0);
+  
+  let cumulative = 0;
+  const entries = sorted.map((product, index) => {
+    const value = valueOf(product);
+    const before = total > 0 ? cumulative / total : 1;
+    cumulative += value;
+    return {
+      asin: product.asin,
+      rank: index + 1,
+      value,
+      share: total > 0 ? Number((value / total).toFixed(4)) : 0,
+      cumulative_share: total > 0 ? Number((cumulative / total).toFixed(4)) : 0,
+      abc_class: classify(value, before, thresholds),
+      clicks: product.clicks || 0,
+    };
+  });
+  
+  const classes = Object.fromEntries(['A', 'B', 'C'].map(name => {
+    const members = entries.filter(entry => entry.abc_class === name);
+    const value = members.reduce((sum, entry) => sum + entry.value, 0);
+    return [name, {
+      asins: members.length,
+      asin_share: entries.length > 0 ? Number((members.length / entries.length).toFixed(4)) : 0,
+      value: Number(value.toFixed(2)),
+      share: total > 0 ? Number((value / total).toFixed(4)) : 0,
+      clicks: members.reduce((sum, entry) => sum + entry.clicks, 0),
+    }];
+  }));
+  
+  // ASINs needed to reach 80% of the metric, whatever the class thresholds
+  const for80 = total > 0 ? entries.findIndex(entry => entry.cumulative_share >= 0.8) + 1 : 0;
+  const top20 = Math.ceil(entries.length * 0.2);
+  
+  return {
+    success: true,
+    products: entries,
+    curve: sampleCurve(entries, curvePoints),
+    summary: {
+      metric,
+      thresholds,
+      totalAsins: entries.length,
+      total: Number(total.toFixed(2)),
+      asinsFor80Pct: for80,
+      asinShareFor80Pct: entries.length > 0 ? Number((for80 / entries.length).toFixed(4)) : 0,
+      top20PctShare: top20 > 0 ? entries[top20 - 1].cumulative_share : 0,
+      gini: giniCoefficient(entries.map(entry => entry.value), total),
+      classes,
+      opportunities: entries
+        .filter(entry => entry.abc_class === 'C' && entry.clicks > 0)
+        .sort((a, b) => b.clicks - a.clicks || a.rank - b.rank)
+        .slice(0, MAX_OPPORTUNITIES)
+        .map(entry => ({ asin: entry.asin, clicks: entry.clicks, value: entry.value })),
+    },
+  };
+}
+
+/**
+ * Sets abc_class, pareto_share and pareto_cumulative_share on each product
+ * @param {Object[]} products - Aggregated products (modified in place)
+ * @param {Object} options - Analysis options (see resolveParetoOptions)
+ * @returns {Object} Analysis summary
+ */
+function classifyProducts(products, options = {}) {
+  const analysis = analyzePareto(products, options);
+  const byAsin = new Map(analysis.products.map(entry => [entry.asin, entry]));
+  
+  products.forEach(product => {
+    const entry = byAsin.get(product.asin);
+    product.abc_class = entry.abc_class;
+    product.pareto_share = entry.share;
+    product.pareto_cumulative_share = entry.cumulative_share;
+  });
+  
+  return analysis.summary;
+}
+
+module.exports = {
+  PARETO_METRICS,
+  DEFAULT_THRESHOLDS,
+  resolveParetoOptions,
+  analyzePareto,
+  classifyProducts,
+};
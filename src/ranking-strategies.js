@@ -0,0 +1,313 @@
+/**
+ * Ranking Strategies
+ *
+ * The strategies rankProducts() sorts by, built in and registered at
+ * runtime. A publisher's house ranking is a strategy with a name, a
+ * description and either:
+ *
+ *   compare(a, b): a sort comparator (best first), like the built-ins; give
+ *                  it a metric (the field it sorts on) to allow a return
+ *                  penalty
+ *   score(product, context): a number per product, higher is better; it is
+ *                            stored as strategy_score and ties go to
+ *                            ordered_items. context: { products, options }
+ *
+ * Strategies can live in a module (config.feed.strategyModules,
+ * --strategies) exporting one definition, an array of them, or an object of
+ * name -> definition.
+ *
+ * Usage:
+ *   const strategies = require('./ranking-strategies');
+ *   strategies.registerStrategy({
+ *     name: 'margin',
+ *     description: 'Earnings per order, for high-commission items',
+ *     score: product => product.earnings / Math.max(product.ordered_items, 1),
+ *   });
+ *   aggregator.aggregateAndRank(products, { rankBy: 'margin' });
+ *
+ *   strategies.loadStrategies('./house-strategies.js');
+ *   strategies.listStrategies(); // [{ name, description, metric, custom }]
+ */
+
+const path = require('path');
+const compositeScore = require('./composite-score');
+const smoothing = require('./metric-smoothing');
+const trendAnalysis = require('./trend-analysis');
+
+/**
+ * Ranking strategies
+ */
+const RANKING_STRATEGIES = {
+  ordered_items: (a, b) => b.ordered_items - a.ordered_items,
+  shipped_revenue: (a, b) => b.shipped_revenue - a.shipped_revenue,
+  earnings: (a, b) => b.earnings - a.earnings,
+  conversion_rate: (a, b) => b.conversion_rate - a.conversion_rate,
+  revenue_per_click: (a, b) => b.revenue_per_click - a.revenue_per_click,
+  net_earnings: (a, b) => b.net_earnings - a.net_earnings,
+  composite: (a, b) => b.composite_score - a.composite_score || b.ordered_items - a.ordered_items,
+  smoothed_conversion_rate: (a, b) => b.smoothed_conversion_rate - a.smoothed_conversion_rate,
+  smoothed_epc: (a, b) => b.smoothed_epc - a.smoothed_epc,
+  smoothed_revenue_per_click: (a, b) => b.smoothed_revenue_per_click - a.smoothed_revenue_per_click,
+  trending: (a, b) => b.trend_momentum - a.trend_momentum || b.ordered_items - a.ordered_items,
+  recency_weighted: (a, b) => b.recency_score - a.recency_score || b.ordered_items - a.ordered_items,
+};
+
+/**
+ * Product field each strategy sorts on (where it isn't the strategy's name;
+ * null for compare strategies registered without one)
+ */
+const STRATEGY_METRICS = {
+  composite: 'composite_score',
+  trending: 'trend_momentum',
+  recency_weighted: 'recency_score',
+};
+
+/**
+ * Strategies whose sort field depends on the whole set being ranked, and
+ * the function that sets it first
+ */
+const STRATEGY_SCORERS = {
+  composite: (products, options) => compositeScore.scoreComposite(products, options.weights),
+  smoothed_conversion_rate: (products, options) => smoothing.applySmoothing(products, options),
+  smoothed_epc: (products, options) => smoothing.applySmoothing(products, options),
+  smoothed_revenue_per_click: (products, options) => smoothing.applySmoothing(products, options),
+  trending: (products, options) => {
+    if (!options.previous) {
+      throw new Error('Ranking by trending needs the previous period\'s aggregated products (previous)');
+    }
+    // rankAggregated() sets trends on the whole period before filtering
+    if (products.some(product => product.trend_momentum === undefined)) {
+      trendAnalysis.applyTrends(products, options.previous, options);
+    }
+  },
+  recency_weighted: products => {
+    // Scores come from the series built while aggregating
+    if (products.length > 0 && products.every(product => !product.series?.length)) {
+      throw new Error('Ranking by recency_weighted needs products aggregated with a bucket from a report with ship dates');
+    }
+  },
+};
+
+/**
+ * What each strategy ranks by
+ */
+const STRATEGY_DESCRIPTIONS = {
+  ordered_items: 'Units ordered',
+  shipped_revenue: 'Revenue of shipped items',
+  earnings: 'Advertising fees earned',
+  conversion_rate: 'Orders per click',
+  revenue_per_click: 'Shipped revenue per click',
+  net_earnings: 'Earnings less returned earnings',
+  composite: 'Weighted blend of metric percentiles (weights)',
+  smoothed_conversion_rate: 'Conversion rate pulled towards the overall rate (priorStrength)',
+  smoothed_epc: 'Earnings per click pulled towards the overall rate (priorStrength)',
+  smoothed_revenue_per_click: 'Revenue per click pulled towards the overall rate (priorStrength)',
+  trending: 'Change in orders since the previous period (previous)',
+  recency_weighted: 'Orders weighted towards the end of the report (bucket, halfLife)',
+};
+
+/**
+ * Names the built-in strategies (they can't be replaced or removed)
+ */
+const BUILT_IN_STRATEGIES = Object.freeze(Object.keys(RANKING_STRATEGIES));
+
+/**
+ * Product field score strategies store their score in
+ */
+const SCORE_FIELD = 'strategy_score';
+
+/**
+ * Registered strategies that aren't built in
+ */
+const customStrategies = new Set();
+
+/**
+ * Builds the sort setup for a score strategy
+ * @param {string} name - Strategy name
+ * @param {Function} score - (product, { products, options }) => number
+ * @returns {{compare: Function, prepare: Function}} Comparator and scorer
+ */
+function scoreStrategy(name, score) {
+  return {
+    compare: (a, b) => b[SCORE_FIELD] - a[SCORE_FIELD] || b.ordered_items - a.ordered_items,
+    prepare: (products, options) => {
+      products.forEach(product => {
+        const value = score(product, { products, options });
+        if (typeof value !== 'number' || !isFinite(value)) {
+          throw new Error(`Strategy ${name} scored ${product.asin} ${value}. Scores must be finite numbers`);
+        }
+        product[SCORE_FIELD] = value;
+      });
+    },
+  };
+}
+
+/**
+ * Registers a ranking strategy
+ * @param {Object} definition - Strategy
+ * @param {string} definition.name - Name to rank by (letters, digits and _)
+ * @param {string} definition.description - What it ranks by
+ * @param {Function} definition.compare - Sort comparator, best first (or score)
+ * @param {Function} definition.score - (product, { products, options }) => number, higher is better (or compare)
+ * @param {string} definition.metric - Field a return penalty scales, for compare strategies (default: none, no penalty)
+ * @param {Function} definition.prepare - (products, options) => void, sets fields compare needs before sorting (optional)
+ * @param {Object} options - Registration options
+ * @param {boolean} options.replace - Replace a custom strategy of the same name (default: false)
+ * @returns {Object} The strategy as listStrategies() describes it
+ * @throws {Error} If the definition is invalid or the name is taken
+ */
+function registerStrategy(definition, options = {}) {
+  const { name, description, compare, score, metric, prepare } = definition || {};
+  
+  if (typeof name !== 'string' || !/^[a-z][a-z0-9_]*$/i.test(name)) {
+    throw new Error(`Invalid strategy name: ${name}. Use letters, digits and _`);
+  }
+  if (BUILT_IN_STRATEGIES.includes(name)) {
+    throw new Error(`Strategy ${name} is built in and can't be replaced`);
+  }
+  if (customStrategies.has(name) && !options.replace) {
+    throw new Error(`Strategy ${name} is already registered`);
+  }
+  if (typeof description !== 'string' || description.trim() === '') {
+    throw new Error(`Strategy ${name} needs a description`);
+  }
+  if ((typeof compare === 'function') === (typeof score === 'function')) {
+    throw new Error(`Strategy ${name} needs either a compare or a score function`);
+  }
+  if (prepare !== undefined && typeof prepare !== 'function') {
+    throw new Error(`Strategy ${name}: prepare must be a function`);
+  }
+  if (metric !== undefined && typeof metric !== 'string') {
+    throw new Error(`Strategy ${name}: metric must be a product field name`);
+  }
+  
+  const scored = score ? scoreStrategy(name, score) : null;
+  RANKING_STRATEGIES[name] = scored ? scored.compare : compare;
+  STRATEGY_DESCRIPTIONS[name] = description.trim();
+  
+  const field = scored ? SCORE_FIELD : metric;
+  if (field === name) delete STRATEGY_METRICS[name];
+  else STRATEGY_METRICS[name] = field || null;
+  
+  // A score strategy's own prepare runs before it is scored
+  const scorers = [prepare, scored?.prepare].filter(Boolean);
+  if (scorers.length > 0) {
+    STRATEGY_SCORERS[name] = (products, rankOptions) => scorers.forEach(scorer => scorer(products, rankOptions));
+  } else {
+    delete STRATEGY_SCORERS[name];
+  }
+  
+  customStrategies.add(name);
+  return describeStrategy(name);
+}
+
+/**
+ * Removes a registered strategy
+ * @param {string} name - Strategy name
+ * @returns {boolean} True if it was registered
+ * @throws {Error} For built-in strategies
+ */
+function unregisterStrategy(name) {
+  if (BUILT_IN_STRATEGIES.includes(name)) {
+    throw new Error(`Strategy ${name} is built in and can't be removed`);
+  }
+  if (!customStrategies.has(name)) return false;
+  
+  delete RANKING_STRATEGIES[name];
+  delete STRATEGY_METRICS[name];
+  delete STRATEGY_SCORERS[name];
+  delete STRATEGY_DESCRIPTIONS[name];
+  customStrategies.delete(name);
+  return true;
+}
+
+/**
+ * Finds the product field a strategy sorts on
+ * @param {string} name - Strategy name
+ * @returns {string|null} Field, or null for a compare strategy registered without a metric
+ */
+function metricOf(name) {
+  return Object.prototype.hasOwnProperty.call(STRATEGY_METRICS, name) ? STRATEGY_METRICS[name] : name;
+}
+
+/**
+ * Describes a strategy
+ * @param {string} name - Strategy name
+ * @returns {{name: string, description: string, metric: string|null, custom: boolean}} Strategy
+ */
+function describeStrategy(name) {
+  return {
+    name,
+    description: STRATEGY_DESCRIPTIONS[name] || '',
+    metric: metricOf(name),
+    custom: customStrategies.has(name),
+  };
+}
+
+/**
+ * Lists every strategy, built-in first
+ * @returns {Object[]} Strategies: { name, description, metric, custom }
+ */
+function listStrategies() {
+  return Object.keys(RANKING_STRATEGIES).map(describeStrategy);
+}
+
+/**
+ * Looks up the sort setup for a strategy
+ * @param {string} name - Strategy name
+ * @returns {{compare: Function, metric: string|null, prepare: Function|undefined}|null} Strategy, or null if unknown
+ */
+function getStrategy(name) {
+  if (!Object.prototype.hasOwnProperty.call(RANKING_STRATEGIES, name)) return null;
+  
+  return {
+    compare: RANKING_STRATEGIES[name],
+    metric: metricOf(name),
+    prepare: STRATEGY_SCORERS[name],
+  };
+}
+
+/**
+ * Registers the strategies a module exports
+ * @param {string} modulePath - Module exporting a definition, an array of them or name -> definition
+ * @param {Object} options - Load options
+ * @param {string} options.baseDir - Directory relative paths start from (default: the working directory)
+ * @param {boolean} options.replace - Replace custom strategies of the same name (default: false)
+ * @returns {Object[]} The strategies registered
+ * @throws {Error} If the module can't be loaded or a definition is invalid
+ */
+function loadStrategies(modulePath, options = {}) {
+  const { baseDir = process.cwd(), replace = false } = options;
+  const resolved = path.resolve(baseDir, modulePath);
+  
+  let exported;
+  try {
+    exported = require(resolved);
+  } catch (error) {
+    throw new Error(`Cannot load strategies from ${modulePath}: ${error.message.split('\n')[0]}`);
+  }
+  
+  let definitions;
+  if (Array.isArray(exported)) {
+    definitions = exported;
+  } else if (exported && (typeof exported.compare === 'function' || typeof exported.score === 'function')) {
+    definitions = [exported];
+  } else if (exported && typeof exported === 'object') {
+    definitions = Object.entries(exported).map(([name, definition]) => ({ name, ...definition }));
+  } else {
+    throw new Error(`${modulePath} exports no strategies. Export a definition, an array or name -> definition`);
+  }
+  
+  return definitions.map(definition => registerStrategy(definition, { replace }));
+}
+
+module.exports = {
+  RANKING_STRATEGIES,
+  BUILT_IN_STRATEGIES,
+  SCORE_FIELD,
+  registerStrategy,
+  unregisterStrategy,
+  listStrategies,
+  getStrategy,
+  loadStrategies,
+};
@@ -0,0 +1,335 @@
+/**
+ * Report File Sniffing
+ *
+ * Works out what an uploaded report really is from its bytes rather than its
+ * extension: gzip or zip compression, spreadsheet (XLSX/XLS) or delimited
+ * text, the text encoding (BOM, UTF-16 without a BOM, UTF-8 or Latin-1) and
+ * the delimiter (comma, tab or semicolon).
+ *
+ * Usage:
+ *   const reportFiles = require('./report-files');
+ *   const { buffer, info } = await reportFiles.readReportFile('export.txt.gz');
+ *   // info: { format: 'csv', compression: 'gzip', encoding: 'utf-16le', delimiter: '\t', ... }
+ *   const text = reportFiles.decodeText(buffer, info.encoding);
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable, Transform, pipeline } = require('stream');
+const XLSX = require('xlsx');
+
+/**
+ * Bytes read to sniff a file's format, encoding and delimiter
+ */
+const SNIFF_BYTES = 64 * 1024;
+
+/**
+ * Delimiters recognised in text reports
+ */
+const DELIMITERS = [',', '\t', ';'];
+
+/**
+ * Extensions of files that can hold a report (inside zip archives)
+ */
+const REPORT_EXTENSIONS = ['.csv', '.tsv', '.txt', '.xlsx', '.xls'];
+
+/**
+ * Detects gzip or zip compression from the first bytes
+ * @param {Buffer} head - First bytes of the file
+ * @returns {string|null} 'gzip', 'zip' or null
+ */
+function detectCompression(head) {
+  if (head.length >= 2 && head[0] === 0x1f && head[1] === 0x8b) return 'gzip';
+  if (head.length >= 4 && head.readUInt32LE(0) === 0x04034b50) return 'zip';
+  return null;
+}
+
+/**
+ * Detects the text encoding from a byte order mark, or from the bytes themselves
+ *
+ * Without a BOM, UTF-16 shows up as a NUL in every other byte (odd bytes for
+ * little-endian ASCII text). Anything else is UTF-8 if it decodes cleanly,
+ * otherwise Latin-1 (older Excel "CSV" saves).
+ *
+ * @param {Buffer} head - First bytes of the (decompressed) file
+ * @returns {{encoding: string, bom: boolean}} Encoding for TextDecoder and whether a BOM was found
+ */
+function detectEncoding(head) {
+  if (head.length >= 3 && head[0] === 0xef && head[1] === 0xbb && head[2] === 0xbf) {
+    return { encoding: 'utf-8', bom: true };
+  }
+  if (head.length >= 2 && head[0] === 0xff && head[1] === 0xfe) {
+    return { encoding: 'utf-16le', bom: true };
+  }
+  if (head.length >= 2 && head[0] === 0xfe && head[1] === 0xff) {
+    return { encoding: 'utf-16be', bom: true };
+  }
+  
+  const sample = head.subarray(0, 4096);
+  let evenNuls = 0;
+  let oddNuls = 0;
+  for (let i = 0; i < sample.length; i++) {
+    if (sample[i] !== 0) continue;
+    if (i % 2 === 0) evenNuls++;
+    else oddNuls++;
+  }
+  const pairs = Math.floor(sample.length / 2);
+  if (pairs > 0 && oddNuls > pairs * 0.3 && evenNuls < pairs * 0.05) {
+    return { encoding: 'utf-16le', bom: false };
+  }
+  if (pairs > 0 && evenNuls > pairs * 0.3 && oddNuls < pairs * 0.05) {
+    return { encoding: 'utf-16be', bom: false };
+  }
+  
+  try {
+    // stream: true so a character cut off at the end of the sample isn't an error
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+    return { encoding: 'utf-8', bom: false };
+  } catch (error) {
+    return { encoding: 'latin1', bom: false };
+  }
+}
+
+/**
+ * Counts a delimiter in a line, ignoring delimiters inside quoted values
+ * @param {string} line - Text line
+ * @param {string} delimiter - Delimiter character
+ * @returns {number} Number of delimiters
+ */
+function countDelimiter(line, delimiter) {
+  let count = 0;
+  let quoted = false;
+  for (const char of line) {
+    if (char === '"') quoted = !quoted;
+    else if (char === delimiter && !quoted) count++;
+  }
+  return count;
+}
+
+/**
+ * Detects the delimiter of a text report
+ *
+ * The delimiter that splits the most lines into the same number of columns
+ * wins, so title lines above the header and decimal commas in a semicolon
+ * file don't sway it.
+ *
+ * @param {string} text - Start of the decoded report
+ * @returns {string} Delimiter (default: ',')
+ */
+function detectDelimiter(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '').slice(0, 20);
+  // The sample may end mid-line
+  if (lines.length > 1) lines.pop();
+  
+  let best = { delimiter: ',', lines: 0, columns: 0 };
+  for (const delimiter of DELIMITERS) {
+    const frequency = new Map();
+    for (const line of lines) {
+      const count = countDelimiter(line, delimiter);
+      if (count > 0) frequency.set(count, (frequency.get(count) || 0) + 1);
+    }
+    
+    for (const [columns, lineCount] of frequency) {
+      if (lineCount > best.lines || (lineCount === best.lines && columns > best.columns)) {
+        best = { delimiter, lines: lineCount, columns };
+      }
+    }
+  }
+  return best.delimiter;
+}
+
+/**
+ * Decodes report bytes to text (a BOM is dropped)
+ * @param {Buffer} buffer - Report bytes
+ * @param {string} encoding - Encoding from detectEncoding()
+ * @returns {string} Decoded text
+ */
+function decodeText(buffer, encoding = 'utf-8') {
+  return new TextDecoder(encoding).decode(buffer);
+}
+
+/**
+ * Sniffs uncompressed report content
+ * @param {Buffer} head - First bytes of the content
+ * @param {Buffer} content - Whole content, when available (finds XLSX parts anywhere in a zip)
+ * @returns {Object} Format ('csv', 'xlsx' or 'unknown'), encoding, bom and delimiter
+ */
+function sniffContent(head, content = head) {
+  const spreadsheet = { encoding: null, bom: false, delimiter: null };
+  
+  // XLS (OLE2 compound file) or XLSX (zip with Office parts)
+  if (head.length >= 4 && head.readUInt32BE(0) === 0xd0cf11e0) {
+    return { format: 'xlsx', ...spreadsheet };
+  }
+  if (detectCompression(head) === 'zip') {
+    const isWorkbook = content.includes('[Content_Types].xml') || content.includes('xl/workbook');
+    return { format: isWorkbook ? 'xlsx' : 'unknown', ...spreadsheet };
+  }
+  
+  const { encoding, bom } = detectEncoding(head);
+  const text = new TextDecoder(encoding).decode(head, { stream: true });
+  
+  // Control characters (other than tabs and line breaks) mean binary data
+  const controls = (text.slice(0, 4096).match(/[\u0000-\u0008\u000e-\u001f]/g) || []).length;
+  if (text.trim() === '' || controls > text.length * 0.01) {
+    return { format: 'unknown', encoding, bom, delimiter: null };
+  }
+  
+  return { format: 'csv', encoding, bom, delimiter: detectDelimiter(text) };
+}
+
+/**
+ * Picks the report inside a zip archive
+ * @param {Buffer} buffer - Zip archive
+ * @returns {{name: string, content: Buffer, count: number}} First report file and how many there were
+ * @throws {Error} If the archive has no report file
+ */
+function extractZipEntry(buffer) {
+  const archive = XLSX.CFB.read(buffer, { type: 'buffer' });
+  const entries = archive.FileIndex
+    .map((entry, i) => ({ ...entry, fullPath: archive.FullPaths[i] }))
+    .filter(entry => entry.type === 2 && entry.content && entry.content.length > 0)
+    .filter(entry => !/__MACOSX\//.test(entry.fullPath) && !/^[.\u0001]/.test(entry.name))
+    .filter(entry => REPORT_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()));
+  
+  if (entries.length === 0) {
+    throw new Error(`Zip archive has no report file (${REPORT_EXTENSIONS.join(', ')})`);
+  }
+  if (entries.length > 1) {
+    console.warn(`⚠️  Zip archive has ${entries.length} report files; parsing ${entries[0].name}`);
+  }
+  
+  return {
+    name: entries[0].name,
+    content: Buffer.from(entries[0].content),
+    count: entries.length,
+  };
+}
+
+/**
+ * Reads and decompresses a report file
+ * @param {string} filePath - Path to the report (CSV, TSV, TXT, XLSX, XLS, optionally .gz or .zip)
+ * @returns {Promise<{buffer: Buffer, info: Object}>} Decompressed bytes and what was sniffed:
+ *   { format, compression, entry, encoding, bom, delimiter }
+ */
+async function readReportFile(filePath) {
+  let buffer = await fs.promises.readFile(filePath);
+  let compression = detectCompression(buffer);
+  let entry = null;
+  
+  if (compression === 'gzip') {
+    buffer = zlib.gunzipSync(buffer);
+  } else if (compression === 'zip' && sniffContent(buffer).format === 'xlsx') {
+    compression = null; // an XLSX file is a zip archive itself
+  } else if (compression === 'zip') {
+    const extracted = extractZipEntry(buffer);
+    buffer = extracted.content;
+    entry = extracted.name;
+  }
+  
+  const info = sniffContent(buffer.subarray(0, SNIFF_BYTES), buffer);
+  return {
+    buffer,
+    info: { ...info, compression, entry },
+  };
+}
+
+/**
+ * Reads the first bytes of a file
+ * @param {string} filePath - Path to file
+ * @param {number} length - Bytes to read
+ * @returns {Promise<Buffer>} First bytes
+ */
+async function readHead(filePath, length) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(length), 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Creates a stream that decodes bytes to text, keeping characters split across chunks intact
+ * @param {string} encoding - Encoding from detectEncoding()
+ * @returns {Transform} Bytes in, strings out
+ */
+function createDecoder(encoding) {
+  const decoder = new TextDecoder(encoding);
+  return new Transform({
+    readableObjectMode: true,
+    transform(chunk, _encoding, callback) {
+      callback(null, decoder.decode(chunk, { stream: true }));
+    },
+    flush(callback) {
+      const rest = decoder.decode();
+      callback(null, rest || undefined);
+    },
+  });
+}
+
+/**
+ * Tells whether a report can be streamed without reading it whole
+ * @param {string} filePath - Path to the report
+ * @returns {Promise<boolean>} True for plain or gzipped delimited text
+ */
+async function isStreamable(filePath) {
+  const head = await readHead(filePath, SNIFF_BYTES);
+  const compression = detectCompression(head);
+  if (compression === 'zip' || head.length === 0) return false;
+  
+  const content = compression === 'gzip'
+    ? zlib.gunzipSync(head, { finishFlush: zlib.constants.Z_SYNC_FLUSH })
+    : head;
+  return sniffContent(content).format === 'csv';
+}
+
+/**
+ * Opens a report for streaming
+ *
+ * Plain and gzipped text is decoded as it is read. Spreadsheets and zip
+ * archives have to be read whole, so they come back as a buffer instead.
+ *
+ * @param {string} filePath - Path to the report
+ * @returns {Promise<{info: Object, stream?: Readable, buffer?: Buffer}>} Text stream (csv) or buffer (xlsx)
+ */
+async function openReportStream(filePath) {
+  const head = await readHead(filePath, SNIFF_BYTES);
+  const compression = detectCompression(head);
+  
+  if (compression === 'zip' || head.length === 0) {
+    const { buffer, info } = await readReportFile(filePath);
+    return info.format === 'csv'
+      ? { info, stream: Readable.from([decodeText(buffer, info.encoding)]) }
+      : { info, buffer };
+  }
+  
+  const content = compression === 'gzip'
+    ? zlib.gunzipSync(head, { finishFlush: zlib.constants.Z_SYNC_FLUSH })
+    : head;
+  const info = { ...sniffContent(content), compression, entry: null };
+  
+  if (info.format !== 'csv') {
+    const { buffer } = await readReportFile(filePath);
+    return { info, buffer };
+  }
+  
+  // pipeline() passes read and gunzip errors (a truncated .gz) on to the text stream
+  const stages = compression === 'gzip' ? [zlib.createGunzip()] : [];
+  const stream = pipeline(fs.createReadStream(filePath), ...stages, createDecoder(info.encoding), () => {});
+  return { info, stream };
+}
+
+module.exports = {
+  SNIFF_BYTES,
+  detectCompression,
+  detectEncoding,
+  detectDelimiter,
+  decodeText,
+  sniffContent,
+  readReportFile,
+  isStreamable,
+  openReportStream,
+};
@@ -0,0 +1,237 @@
+/**
+ * Multi-Report Merger
+ *
+ * Reports are often downloaded per tracking ID and per month, so one ranking
+ * can need several files. This parses them all, tags every row with the file
+ * it came from and drops rows that appear in more than one file because the
+ * files' periods overlap (e.g. a monthly export and a "last 30 days" export).
+ *
+ * Usage:
+ *   const merger = require('./report-merger');
+ *   const merged = await merger.parseFiles(['oct-tag-a.csv', 'oct-tag-b.csv', 'nov.xlsx']);
+ *   const ranked = aggregator.aggregateAndRank(merged.products, { parseMetadata: merged.metadata });
+ *   // ranked.metadata.sources: per-file rows, duplicates and ASIN counts
+ */
+
+const path = require('path');
+const parser = require('./aa-csv-parser');
+const validator = require('./report-validator');
+
+/**
+ * Product fields that identify a row when looking for duplicates across files
+ */
+const FINGERPRINT_FIELDS = [
+  'asin',
+  'tag',
+  'date_shipped',
+  'ordered_items',
+  'items_shipped',
+  'shipped_revenue',
+  'earnings',
+  'clicks',
+  'returned_items',
+  'returned_revenue',
+  'returned_earnings',
+  'category',
+  'product_group',
+  'seller',
+  'device_type',
+  'link_type',
+];
+
+/**
+ * Deduplication modes
+ *   overlap: drop rows repeated in an earlier file whose period overlaps
+ *            (files without a known period overlap everything)
+ *   all:     drop rows repeated in any earlier file
+ *   none:    keep every row
+ */
+const DEDUPE_MODES = ['overlap', 'all', 'none'];
+
+/**
+ * Checks whether two report periods overlap
+ * @param {{start: string, end: string}|null} a - First period
+ * @param {{start: string, end: string}|null} b - Second period
+ * @returns {boolean} True if they share a day, or either is unknown
+ */
+function periodsOverlap(a, b) {
+  if (!a || !b) return true;
+  return a.start <= b.end && b.start <= a.end;
+}
+
+/**
+ * Builds the key that identifies a row across files
+ * @param {Object} product - Parsed product row
+ * @returns {string} Fingerprint
+ */
+function rowFingerprint(product) {
+  return FINGERPRINT_FIELDS.map(field => {
+    const value = product[field];
+    if (value === undefined || value === null) return '';
+    return typeof value === 'number' ? Number(value.toFixed(4)) : String(value);
+  }).join('|');
+}
+
+/**
+ * Combines the period of every file into one
+ * @param {Array<{start: string, end: string}|null>} periods - File periods
+ * @returns {{start: string, end: string, source: string}|null} Earliest start to latest end, or null
+ */
+function combinePeriods(periods) {
+  const known = periods.filter(Boolean);
+  if (known.length === 0) return null;
+  
+  return {
+    start: known.map(period => period.start).sort()[0],
+    end: known.map(period => period.end).sort().pop(),
+    source: 'merged',
+  };
+}
+
+/**
+ * Merges the parse results of several reports into one product list
+ *
+ * Files are merged in order, so when a row appears in two files the copy in
+ * the earlier file is kept. A row repeated within one file is left alone
+ * (the validator already flags those); only copies beyond what an earlier
+ * file had are dropped.
+ *
+ * @param {Array<{source: string, result: Object}>} reports - Source name and parseFile() result, in order
+ * @param {Object} options - Merge options
+ * @param {string} options.dedupe - 'overlap', 'all' or 'none' (default: 'overlap')
+ * @param {number} options.maxIssues - Most validation issues kept (default: 1000)
+ * @returns {Object} Merged parse result: products tagged with source_file, metadata.sources per file
+ *   and one validation report whose issues name their file
+ */
+function mergeParseResults(reports, options = {}) {
+  const { dedupe = 'overlap' } = options;
+  
+  if (!DEDUPE_MODES.includes(dedupe)) {
+    throw new Error(`Invalid dedupe mode: ${dedupe}. Available: ${DEDUPE_MODES.join(', ')}`);
+  }
+  
+  const products = [];
+  const sources = [];
+  const validations = [];
+  const seen = []; // { period, counts: fingerprint -> occurrences } per merged file
+  
+  for (const { source, result } of reports) {
+    const metadata = result.metadata || {};
+    const entry = {
+      file: source,
+      success: result.success,
+      format: metadata.format || null,
+      reportType: metadata.reportType || null,
+      reportPeriod: metadata.reportPeriod || null,
+      rows: 0,
+      duplicateRows: 0,
+      products: 0,
+    };
+    sources.push(entry);
+    
+    // Files rejected for invalid rows still have a report saying why
+    if (result.validation) {
+      validations.push({
+        ...result.validation,
+        issues: result.validation.issues.map(issue => ({ ...issue, file: source })),
+      });
+    }
+    
+    if (!result.success) {
+      entry.error = result.error;
+      continue;
+    }
+    
+    const earlier = dedupe === 'none' ? [] : seen.filter(file =>
+      dedupe === 'all' || periodsOverlap(file.period, entry.reportPeriod)
+    );
+    const counts = new Map();
+    
+    for (const product of result.products) {
+      entry.rows++;
+      const fingerprint = rowFingerprint(product);
+      const occurrence = (counts.get(fingerprint) || 0) + 1;
+      counts.set(fingerprint, occurrence);
+      
+      // The n-th copy of a row is a duplicate if an earlier file had at least n
+      if (earlier.some(file => (file.counts.get(fingerprint) || 0) >= occurrence)) {
+        entry.duplicateRows++;
+        continue;
+      }
+      
+      products.push({ ...product, source_file: source });
+      entry.products++;
+    }
+    
+    seen.push({ period: entry.reportPeriod, counts });
+  }
+  
+  const merged = sources.filter(entry => entry.success);
+  const validation = validations.length > 0
+    ? validator.mergeValidationReports(validations, options.maxIssues)
+    : null;
+  if (merged.length === 0) {
+    return {
+      success: false,
+      error: `No report could be parsed: ${sources.map(entry => `${entry.file}: ${entry.error}`).join('; ')}`,
+      products: [],
+      metadata: { sources },
+      validation,
+    };
+  }
+  
+  return {
+    success: true,
+    products,
+    metadata: {
+      format: 'multi',
+      files: sources.length,
+      failedFiles: sources.length - merged.length,
+      dedupe,
+      totalRows: merged.reduce((sum, entry) => sum + entry.rows, 0),
+      duplicateRows: merged.reduce((sum, entry) => sum + entry.duplicateRows, 0),
+      validProducts: products.length,
+      uniqueAsins: new Set(products.map(p => p.asin)).size,
+      ...parser.summarizeProducts(products),
+      reportPeriod: combinePeriods(merged.map(entry => entry.reportPeriod)),
+      sources,
+    },
+    validation,
+  };
+}
+
+/**
+ * Parses several report files and merges them
+ * @param {Array<string|{path: string, name: string}>} files - File paths, or temp paths with their original names
+ * @param {Object} options - Parser options (see parser.parseFile) plus merge options (see mergeParseResults)
+ * @returns {Promise<Object>} Merged parse result
+ */
+async function parseFiles(files, options = {}) {
+  const reports = [];
+  
+  for (const file of files) {
+    const { path: filePath, name = path.basename(filePath) } = typeof file === 'string' ? { path: file } : file;
+    
+    let result;
+    try {
+      result = await parser.parseFile(filePath, { ...options, fileName: name });
+    } catch (error) {
+      result = { success: false, error: error.message, products: [], metadata: {} };
+    }
+    
+    if (!result.success) {
+      console.warn(`⚠️  Skipping ${name}: ${result.error}`);
+    }
+    reports.push({ source: name, result });
+  }
+  
+  return mergeParseResults(reports, options);
+}
+
+module.exports = {
+  DEDUPE_MODES,
+  periodsOverlap,
+  rowFingerprint,
+  mergeParseResults,
+  parseFiles,
+};
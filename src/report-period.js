@@ -0,0 +1,183 @@
+/**
+ * Report Period Detection
+ *
+ * Finds the date range a report covers, from the title lines Amazon puts
+ * above the header ("Fee-Earnings report from 2025-10-01 to 2025-10-31") or
+ * from the file name ("Fee-Earnings-2025-10-01-2025-10-31.xlsx",
+ * "earnings_2025-10.csv"), so feeds are filed under the report's date rather
+ * than the day they were generated.
+ *
+ * Usage:
+ *   const { resolveReportPeriod } = require('./report-period');
+ *   resolveReportPeriod(preambleRows, 'earnings_2025-10.csv');
+ *   // { start: '2025-10-01', end: '2025-10-31', source: 'filename' }
+ */
+
+const path = require('path');
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_NAME = '(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+
+/**
+ * Date formats found in report titles and file names, each with the
+ * positions of year, month and day in its match
+ */
+const DATE_FORMATS = [
+  { pattern: '(\\d{4})[-_.](\\d{1,2})[-_.](\\d{1,2})', year: 1, month: 2, day: 3 },   // 2025-10-01
+  { pattern: '(\\d{1,2})[/-](\\d{1,2})[/-](\\d{4})', year: 3, month: 1, day: 2 },      // 10/01/2025 (US)
+  { pattern: '(\\d{1,2})\\.(\\d{1,2})\\.(\\d{4})', year: 3, month: 2, day: 1 },        // 01.10.2025
+  { pattern: `${MONTH_NAME}\\s+(\\d{1,2}),?\\s+(\\d{4})`, year: 3, month: 1, day: 2 }, // Oct 1, 2025
+  { pattern: `(\\d{1,2})\\s+${MONTH_NAME}\\s+(\\d{4})`, year: 3, month: 2, day: 1 },   // 1 Oct 2025
+  { pattern: '(20\\d{2})(\\d{2})(\\d{2})', year: 1, month: 2, day: 3 },                // 20251001
+];
+
+const DATE_PATTERN = new RegExp(
+  `(?<![\\d.])(?:${DATE_FORMATS.map(format => `(${format.pattern})`).join('|')})(?![\\d.])`,
+  'gi'
+);
+
+/**
+ * Whole-month periods in file names: 2025-10, Oct 2025, October-2025
+ */
+const MONTH_PATTERN = new RegExp(`(?<!\\d)(?:(\\d{4})[-_](\\d{1,2})|${MONTH_NAME}[-_\\s]*(\\d{4}))(?![-_\\d]*\\d)`, 'i');
+
+/**
+ * Text between two dates that makes them a range: "to", "through", "until",
+ * "and" (between ... and ...) or a dash, tilde or underscore
+ */
+const RANGE_SEPARATOR = /^\s*(?:to|through|thru|till|until|and|[-\u2013\u2014~_])\s*$/i;
+
+/**
+ * Counts the capturing groups in a regular expression source
+ * @param {string} source - Pattern source
+ * @returns {number} Number of capturing groups
+ */
+function countGroups(source) {
+  return new RegExp(`${source}|`).exec('').length - 1;
+}
+
+/**
+ * Builds an ISO date, rejecting impossible dates
+ * @param {number|string} year - Four-digit year
+ * @param {number|string} month - Month number (1-12) or month name
+ * @param {number|string} day - Day of month
+ * @returns {string|null} ISO date (YYYY-MM-DD) or null
+ */
+function toIsoDate(year, month, day) {
+  const monthNumber = /^\d+$/.test(month)
+    ? Number(month)
+    : MONTHS.indexOf(String(month).slice(0, 3).toLowerCase()) + 1;
+  const date = new Date(Date.UTC(Number(year), monthNumber - 1, Number(day)));
+  
+  if (monthNumber < 1 || date.getUTCMonth() !== monthNumber - 1 || date.getUTCDate() !== Number(day)) {
+    return null;
+  }
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Finds every date in a piece of text, in order
+ * @param {string} text - Text to search
+ * @returns {{date: string, start: number, end: number}[]} ISO dates and where they are in the text
+ */
+function findDates(text) {
+  const dates = [];
+  
+  for (const match of String(text).matchAll(DATE_PATTERN)) {
+    // Find which format matched, then read its groups
+    let offset = 1;
+    for (const format of DATE_FORMATS) {
+      const groups = countGroups(format.pattern);
+      if (match[offset] !== undefined) {
+        const date = toIsoDate(
+          match[offset + format.year],
+          match[offset + format.month],
+          match[offset + format.day]
+        );
+        if (date) dates.push({ date, start: match.index, end: match.index + match[0].length });
+        break;
+      }
+      offset += groups + 1;
+    }
+  }
+  
+  return dates;
+}
+
+/**
+ * Extracts a date range from text such as a report title line
+ *
+ * Two dates joined as a range ("2025-10-01 to 2025-10-31") win over other
+ * dates in the line, such as when the report was generated; without such a
+ * pair, the first two dates are taken.
+ *
+ * @param {string} text - Text to search
+ * @returns {{start: string, end: string}|null} Period, or null without two dates
+ */
+function extractPeriodFromText(text) {
+  const source = String(text);
+  const dates = findDates(source);
+  if (dates.length < 2) return null;
+  
+  const index = dates.findIndex((date, i) =>
+    i + 1 < dates.length && RANGE_SEPARATOR.test(source.slice(date.end, dates[i + 1].start))
+  );
+  const [first, second] = dates.slice(index === -1 ? 0 : index).map(entry => entry.date);
+  return first <= second
+    ? { start: first, end: second }
+    : { start: second, end: first };
+}
+
+/**
+ * Extracts a report period from a file name
+ *
+ * Two dates give a range; a single month ("2025-10", "Oct 2025") covers
+ * that whole month.
+ *
+ * @param {string} filePath - File path or original upload name
+ * @returns {{start: string, end: string}|null} Period or null
+ */
+function extractPeriodFromFilename(filePath) {
+  if (!filePath) return null;
+  const name = path.basename(String(filePath), path.extname(String(filePath)));
+  
+  const range = extractPeriodFromText(name);
+  if (range) return range;
+  
+  const month = name.match(MONTH_PATTERN);
+  if (!month) return null;
+  
+  const year = Number(month[1] || month[4]);
+  const monthNumber = month[2]
+    ? Number(month[2])
+    : MONTHS.indexOf(month[3].toLowerCase()) + 1;
+  if (monthNumber < 1 || monthNumber > 12) return null;
+  
+  const lastDay = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+  return {
+    start: toIsoDate(year, monthNumber, 1),
+    end: toIsoDate(year, monthNumber, lastDay),
+  };
+}
+
+/**
+ * Resolves a report's period: title lines above the header first, then the file name
+ * @param {Array[]} preamble - Raw rows above the header (arrays of cells)
+ * @param {string} fileName - File path or original upload name (optional)
+ * @returns {{start: string, end: string, source: string}|null} Period with its source, or null
+ */
+function resolveReportPeriod(preamble = [], fileName) {
+  for (const cells of preamble) {
+    const period = extractPeriodFromText(cells.join(' '));
+    if (period) return { ...period, source: 'preamble' };
+  }
+  
+  const period = extractPeriodFromFilename(fileName);
+  return period ? { ...period, source: 'filename' } : null;
+}
+
+module.exports = {
+  extractPeriodFromText,
+  extractPeriodFromFilename,
+  resolveReportPeriod,
+};
@@ -0,0 +1,188 @@
+/**
+ * Report Totals Reconciliation
+ *
+ * Associates exports carry their own totals: a "Total" row at the end of
+ * the data, or summary lines above the header in XLSX sheets ("Total
+ * Earnings: $4,965.71"). Comparing those with the totals of the rows we
+ * actually parsed catches dropped or misread rows before a feed goes out.
+ *
+ * Usage:
+ *   const totals = require('./report-totals');
+ *   if (totals.isTotalsRow(row)) reported = totals.readTotalsRow(row, columnMap, parseValue);
+ *   const reconciliation = totals.reconcileTotals(reported, metadata);
+ */
+
+/**
+ * Fields the report may total, with the parse metadata they are compared to
+ * and the returns that a net total has already subtracted
+ */
+const TOTAL_FIELDS = {
+  orderedItems: { parsed: 'totalOrderedItems', returned: 'totalReturnedItems' },
+  shippedRevenue: { parsed: 'totalRevenue', returned: 'totalReturnedRevenue' },
+  earnings: { parsed: 'totalEarnings', returned: 'totalReturnedEarnings' },
+  clicks: { parsed: 'totalClicks', returned: null },
+};
+
+/**
+ * Label of a totals row ("Total", "Totals", "Grand Total:")
+ */
+const TOTALS_LABEL = /^(grand\s+)?totals?:?$/i;
+
+/**
+ * Checks whether a raw row is the report's totals row
+ * @param {Object} row - Raw row object
+ * @returns {boolean} True if the first non-empty cell reads "Total"
+ */
+function isTotalsRow(row) {
+  const first = Object.values(row).find(value => value !== undefined && String(value).trim() !== '');
+  return first !== undefined && TOTALS_LABEL.test(String(first).trim());
+}
+
+/**
+ * Reads the reported totals from a totals row
+ * @param {Object} row - Raw totals row
+ * @param {Object} columnMap - Column name mappings
+ * @param {Function} parseValue - Parses a cell to a number, or null if it isn't one
+ * @returns {Object} Field -> reported total
+ */
+function readTotalsRow(row, columnMap, parseValue) {
+  const totals = {};
+  for (const field of Object.keys(TOTAL_FIELDS)) {
+    if (!columnMap[field]) continue;
+    const value = parseValue(row[columnMap[field]]);
+    if (value !== null) totals[field] = value;
+  }
+  return totals;
+}
+
+/**
+ * Finds the totalled field a summary label refers to
+ * @param {string} label - Label text, e.g. "Total Items Ordered"
+ * @param {Object} mappings - Field -> possible column names
+ * @returns {string|null} Field name or null
+ */
+function findTotalsField(label, mappings) {
+  const normalized = String(label)
+    .toLowerCase()
+    .replace(/:$/, '')
+    .replace(/\b(grand|totals?)\b/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (!normalized) return null;
+  
+  return Object.keys(TOTAL_FIELDS).find(field =>
+    (mappings[field] || []).some(name => name.toLowerCase() === normalized)
+  ) || null;
+}
+
+/**
+ * Reads totals from summary lines above a sheet's header row
+ *
+ * Handles "Label: value" cells, a label followed by its value in the next
+ * cell, and a row of labels with the values in the row below.
+ *
+ * @param {Array[]} rows - Raw rows (arrays of cells) above the header
+ * @param {Object} mappings - Field -> possible column names
+ * @param {Function} parseValue - Parses a cell to a number, or null if it isn't one
+ * @returns {Object} Field -> reported total
+ */
+function readPreambleTotals(rows, mappings, parseValue) {
+  const totals = {};
+  const record = (field, value) => {
+    if (field && value !== null && totals[field] === undefined) totals[field] = value;
+  };
+  
+  rows.forEach((cells, r) => {
+    cells.forEach((cell, c) => {
+      const text = String(cell).trim();
+      if (!text) return;
+      
+      const inline = text.match(/^(.+?):\s*(\S.*)$/);
+      if (inline) {
+        record(findTotalsField(inline[1], mappings), parseValue(inline[2]));
+        return;
+      }
+      
+      const field = findTotalsField(text, mappings);
+      if (!field) return;
+      
+      const right = cells.slice(c + 1).find(value => String(value).trim() !== '');
+      const value = right !== undefined ? parseValue(right) : null;
+      const below = rows[r + 1] ? parseValue(rows[r + 1][c]) : null;
+      record(field, value !== null ? value : below);
+    });
+  });
+  
+  return totals;
+}
+
+/**
+ * Compares reported totals with parsed totals
+ *
+ * Parsed sales metrics exclude returns, while a report's own totals are
+ * often net of them, so a field matches if either the gross or the net
+ * parsed total agrees (within a cent, or 0.001% on large totals).
+ *
+ * @param {Object} reported - Field -> { value, source, ... } reported by the report
+ * @param {Object} parsed - Parse metadata (totalRevenue, totalEarnings, ...)
+ * @param {Object} options - Reconciliation options
+ * @param {number} options.tolerance - Smallest allowed absolute difference (default: 0.01)
+ * @returns {Object|null} Reconciliation block, or null when the report has no totals
+ */
+function reconcileTotals(reported, parsed, options = {}) {
+  const { tolerance = 0.01 } = options;
+  const fields = {};
+  
+  for (const [field, { value, ...origin }] of Object.entries(reported)) {
+    const { parsed: parsedKey, returned: returnedKey } = TOTAL_FIELDS[field];
+    const gross = parsed[parsedKey] || 0;
+    const net = returnedKey ? gross - (parsed[returnedKey] || 0) : gross;
+    const allowed = Math.max(tolerance, Math.abs(value) * 1e-5);
+    
+    const basis = Math.abs(value - gross) <= allowed ? 'gross'
+      : (Math.abs(value - net) <= allowed ? 'net' : null);
+    const compared = basis === 'net' ? net : gross;
+    
+    fields[field] = {
+      reported: value,
+      parsed: Number(compared.toFixed(2)),
+      difference: Number((compared - value).toFixed(2)),
+      match: basis !== null,
+      basis: basis || 'gross',
+      ...origin,
+    };
+  }
+  
+  const entries = Object.values(fields);
+  if (entries.length === 0) return null;
+  
+  return {
+    matched: entries.every(entry => entry.match),
+    sources: [...new Set(entries.map(entry => entry.source))],
+    fields,
+  };
+}
+
+/**
+ * Merges totals from several sources; earlier sources win
+ * @param {...Array} sources - [source name, field -> value] pairs
+ * @returns {Object} Field -> { value, source }
+ */
+function combineReportedTotals(...sources) {
+  const combined = {};
+  for (const [source, totals] of sources) {
+    for (const [field, value] of Object.entries(totals || {})) {
+      if (!combined[field]) combined[field] = { value, source };
+    }
+  }
+  return combined;
+}
+
+module.exports = {
+  TOTAL_FIELDS,
+  isTotalsRow,
+  readTotalsRow,
+  readPreambleTotals,
+  reconcileTotals,
+  combineReportedTotals,
+};
@@ -0,0 +1,140 @@
+/**
+ * Amazon Associates Report Types
+ *
+ * Schemas for the report types the parser recognises. Each schema lists
+ * column aliases specific to that report (merged over the parser's
+ * COLUMN_MAPPINGS), the fields it must have, and the fields that
+ * distinguish it from similar reports.
+ *
+ * Product reports (one row per ASIN) become products; summary reports
+ * (one row per tag, link type or bounty) become records.
+ *
+ * Usage:
+ *   const { REPORT_TYPES, scoreReportType } = require('./report-types');
+ */
+
+/**
+ * Report schemas, most specific first (ties go to the earlier entry)
+ *
+ * - columns:   extra or overriding column aliases for this report
+ * - required:  fields that must be found for the report to match
+ * - signature: fields that identify this report over a similar one
+ * - excludes:  fields that rule this report out if present
+ * - fields:    fields copied into records (summary reports only)
+ */
+const REPORT_TYPES = {
+  combined: {
+    name: 'ASIN Performance',
+    rowType: 'product',
+    columns: {},
+    required: ['asin', 'orderedItems', 'shippedRevenue', 'earnings'],
+    signature: ['clicks'],
+    excludes: [],
+  },
+  earnings: {
+    name: 'Earnings',
+    rowType: 'product',
+    columns: {},
+    required: ['asin', 'shippedRevenue', 'earnings'],
+    signature: ['dateShipped', 'itemsShipped'],
+    excludes: [],
+  },
+  orders: {
+    name: 'Orders',
+    rowType: 'product',
+    columns: {
+      orderDate: ['date', 'order date', 'date ordered'],
+    },
+    required: ['asin', 'orderedItems'],
+    signature: ['orderDate'],
+    excludes: [],
+  },
+  tracking: {
+    name: 'Tracking ID Summary',
+    rowType: 'summary',
+    columns: {},
+    required: ['tag', 'clicks'],
+    signature: [],
+    excludes: ['asin'],
+    fields: ['tag', 'clicks', 'orderedItems', 'itemsShipped', 'shippedRevenue', 'earnings', 'conversionRate'],
+  },
+  link_type: {
+    name: 'Link Type',
+    rowType: 'summary',
+    columns: {},
+    required: ['linkType', 'clicks'],
+    signature: [],
+    excludes: ['asin'],
+    fields: ['linkType', 'clicks', 'orderedItems', 'itemsShipped', 'shippedRevenue', 'earnings', 'conversionRate'],
+  },
+  bounty: {
+    name: 'Bounty',
+    rowType: 'summary',
+    columns: {
+      bountyName: ['bounty', 'bounty name', 'bounty type', 'program', 'name'],
+      quantity: ['quantity', 'qty', 'bounties', 'bounty count'],
+      bountyDate: ['date', 'bounty date', 'event date'],
+    },
+    required: ['bountyName', 'earnings'],
+    signature: ['quantity'],
+    excludes: ['asin'],
+    fields: ['bountyName', 'tag', 'bountyDate', 'quantity', 'earnings'],
+  },
+};
+
+/**
+ * Report type used for error messages when nothing matches
+ */
+const DEFAULT_REPORT_TYPE = 'combined';
+
+/**
+ * Record fields kept as text; everything else is numeric
+ */
+const TEXT_FIELDS = [
+  'tag',
+  'linkType',
+  'bountyName',
+  'bountyDate',
+  'productName',
+  'dateShipped',
+  'orderDate',
+  'category',
+  'productGroup',
+  'seller',
+  'deviceType',
+];
+
+/**
+ * Scores how well a header's column map fits a report type
+ * @param {Object} type - Report type schema
+ * @param {Object} columnMap - Column name mappings built with the type's aliases
+ * @returns {{missing: string[], excluded: string[], score: number}} Fit of the report type
+ */
+function scoreReportType(type, columnMap) {
+  const missing = type.required.filter(field => !columnMap[field]);
+  const excluded = type.excludes.filter(field => columnMap[field]);
+  const signature = type.signature.filter(field => columnMap[field]).length;
+  
+  return {
+    missing,
+    excluded,
+    score: type.required.length + 2 * signature,
+  };
+}
+
+/**
+ * Converts a camelCase schema field to its snake_case record key
+ * @param {string} field - Schema field name
+ * @returns {string} Record key
+ */
+function toRecordKey(field) {
+  return field.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`);
+}
+
+module.exports = {
+  REPORT_TYPES,
+  DEFAULT_REPORT_TYPE,
+  TEXT_FIELDS,
+  scoreReportType,
+  toRecordKey,
+};
@@ -0,0 +1,390 @@
+/**
+ * Report Validator
+ *
+ * Row- and cell-level diagnostics shared by every parse path (CSV, XLSX,
+ * multi-sheet workbooks, strings and streams). Each issue records its
+ * severity, a stable code, the row, the column and the raw value, so a
+ * report can be fixed at the source instead of silently losing rows.
+ *
+ * State is built incrementally (like the aggregator's accumulator), so a
+ * streamed report is validated in one pass with bounded memory. Duplicate
+ * rows are looked for among the last DUPLICATE_WINDOW rows; past that the
+ * report says the check is no longer exact (duplicateCheck).
+ *
+ * Usage:
+ *   const validator = require('./report-validator');
+ *   const state = validator.createValidationState({ columnMap, rowType: 'product' });
+ *   rows.forEach((row, i) => {
+ *     if (validator.validateRow(state, row, i + 2)) { ... map and validateProduct() ... }
+ *   });
+ *   const report = validator.finalizeValidation(state);
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Issue codes and their default severity
+ *
+ * - error:   the row was rejected
+ * - warning: the row was kept but a value is suspect
+ * - info:    worth a look, usually fine
+ */
+const VALIDATION_CODES = {
+  MISSING_ASIN: { severity: 'error', message: 'Row has no ASIN' },
+  INVALID_ASIN: { severity: 'error', message: 'ASIN is not a valid ASIN, ISBN-10 or ISBN-13' },
+  EMPTY_ROW: { severity: 'info', message: 'Row has no values' },
+  DUPLICATE_ROW: { severity: 'warning', message: 'Row is an exact duplicate of an earlier row' },
+  NON_NUMERIC: { severity: 'warning', message: 'Value is not a number; counted as 0' },
+  ORDERS_EXCEED_CLICKS: { severity: 'warning', message: 'Ordered items exceed clicks' },
+  OUTLIER: { severity: 'info', message: 'Value is far above the rest of the report' },
+};
+
+/**
+ * Product metrics checked for outliers
+ */
+const OUTLIER_METRICS = ['ordered_items', 'shipped_revenue', 'earnings', 'clicks'];
+
+/**
+ * Values sampled per metric to estimate quartiles for outlier fences
+ */
+const OUTLIER_SAMPLE_SIZE = 5000;
+
+/**
+ * Largest values kept per metric as outlier candidates
+ */
+const MAX_OUTLIER_CANDIDATES = 100;
+
+/**
+ * Fewest values needed before outliers are reported
+ */
+const MIN_OUTLIER_ROWS = 20;
+
+/**
+ * Rows whose hashes are kept for duplicate detection (the most recent ones)
+ */
+const DUPLICATE_WINDOW = 100000;
+
+/**
+ * Most issues kept in a report (all are still counted)
+ */
+const DEFAULT_MAX_ISSUES = 1000;
+
+/**
+ * Creates the running state for a validation pass
+ * @param {Object} options - Validation options
+ * @param {Object} options.columnMap - Column name mappings for the report
+ * @param {string} options.rowType - 'product' or 'summary' (default: 'product')
+ * @param {Function} options.isValidASIN - ASIN format check (omit to accept any non-empty ASIN)
+ * @param {Function} options.describeInvalidASIN - Explains why an ASIN failed the check (optional)
+ * @param {string} options.sheet - Sheet name added to issues (multi-sheet workbooks)
+ * @param {number} options.outlierThreshold - IQR multiplier above the upper quartile (default: 3)
+ * @param {number} options.maxIssues - Most issues kept (default: 1000)
+ * @param {number} options.duplicateWindow - Recent rows checked for duplicates (default: 100000)
+ * @returns {Object} Validation state
+ */
+function createValidationState(options = {}) {
+  return {
+    columnMap: options.columnMap || {},
+    rowType: options.rowType || 'product',
+    isValidASIN: options.isValidASIN || null,
+    describeInvalidASIN: options.describeInvalidASIN || null,
+    sheet: options.sheet || null,
+    outlierThreshold: options.outlierThreshold || 3,
+    maxIssues: options.maxIssues || DEFAULT_MAX_ISSUES,
+    duplicateWindow: options.duplicateWindow || DUPLICATE_WINDOW,
+    rowsChecked: 0,
+    rejectedRows: 0,
+    lastRejectedRow: null, // a row's errors are recorded together
+    issues: [],
+    counts: { error: 0, warning: 0, info: 0 },
+    byCode: {},
+    rowHashes: new Map(), // row hash -> first row number, oldest first
+    hashesDropped: 0,
+    samples: Object.fromEntries(OUTLIER_METRICS.map(metric => [metric, []])),
+    seen: Object.fromEntries(OUTLIER_METRICS.map(metric => [metric, 0])),
+    candidates: Object.fromEntries(OUTLIER_METRICS.map(metric => [metric, []])),
+    random: 1, // deterministic reservoir sampling
+  };
+}
+
+/**
+ * Records an issue
+ * @param {Object} state - Validation state
+ * @param {Object} issue - Issue ({ code, row, field, value, message?, severity? })
+ */
+function recordIssue(state, issue) {
+  const definition = VALIDATION_CODES[issue.code];
+  const severity = issue.severity || definition.severity;
+  
+  state.counts[severity]++;
+  state.byCode[issue.code] = (state.byCode[issue.code] || 0) + 1;
+  if (severity === 'error' && state.lastRejectedRow !== issue.row) {
+    state.rejectedRows++;
+    state.lastRejectedRow = issue.row;
+  }
+  
+  if (state.issues.length < state.maxIssues) {
+    state.issues.push({
+      severity,
+      code: issue.code,
+      ...(state.sheet && { sheet: state.sheet }),
+      row: issue.row,
+      column: issue.field ? (state.columnMap[issue.field] || null) : null,
+      field: issue.field || null,
+      value: issue.value,
+      message: issue.message || definition.message,
+      ...issue.details,
+    });
+  }
+}
+
+/**
+ * Hashes a raw row's values to a number (exact-duplicate detection)
+ * @param {Object} row - Raw row object
+ * @returns {number} 52-bit hash
+ */
+function hashRow(row) {
+  const digest = crypto.createHash('sha1').update(JSON.stringify(Object.values(row))).digest('hex');
+  return parseInt(digest.slice(0, 13), 16);
+}
+
+/**
+ * Checks a raw row before it is mapped
+ * @param {Object} state - Validation state
+ * @param {Object} row - Raw row object
+ * @param {number} rowNumber - 1-based row number in the file
+ * @returns {boolean} False if the row must be rejected
+ */
+function validateRow(state, row, rowNumber) {
+  state.rowsChecked++;
+  let valid = true;
+  
+  const hash = hashRow(row);
+  if (state.rowHashes.has(hash)) {
+    recordIssue(state, {
+      code: 'DUPLICATE_ROW',
+      row: rowNumber,
+      details: { duplicateOf: state.rowHashes.get(hash) },
+    });
+  } else {
+    state.rowHashes.set(hash, rowNumber);
+    if (state.rowHashes.size > state.duplicateWindow) {
+      state.rowHashes.delete(state.rowHashes.keys().next().value);
+      state.hashesDropped++;
+    }
+  }
+  
+  if (state.rowType === 'product') {
+    const raw = row[state.columnMap.asin];
+    const asin = raw === undefined || raw === null ? '' : String(raw).trim();
+    
+    if (!asin) {
+      const empty = Object.values(row).every(value => String(value).trim() === '');
+      recordIssue(state, { code: empty ? 'EMPTY_ROW' : 'MISSING_ASIN', row: rowNumber, field: 'asin', value: raw });
+      valid = false;
+    } else if (state.isValidASIN && !state.isValidASIN(asin)) {
+      recordIssue(state, {
+        code: 'INVALID_ASIN',
+        row: rowNumber,
+        field: 'asin',
+        value: raw,
+        message: state.describeInvalidASIN ? state.describeInvalidASIN(asin) : null,
+      });
+      valid = false;
+    }
+  }
+  
+  return valid;
+}
+
+/**
+ * Records a row that mapped to nothing (summary rows with no values)
+ * @param {Object} state - Validation state
+ * @param {number} rowNumber - 1-based row number in the file
+ */
+function recordEmptyRow(state, rowNumber) {
+  recordIssue(state, { code: 'EMPTY_ROW', row: rowNumber });
+}
+
+/**
+ * Records a numeric cell that couldn't be read (use as a parser onAmbiguous callback)
+ * @param {Object} state - Validation state
+ * @param {number} rowNumber - 1-based row number in the file
+ * @param {string} field - Field being parsed
+ * @param {*} value - Raw cell value
+ * @param {string} reason - Why the value couldn't be read
+ */
+function recordNonNumeric(state, rowNumber, field, value, reason) {
+  recordIssue(state, {
+    code: 'NON_NUMERIC',
+    row: rowNumber,
+    field,
+    value,
+    message: `${reason}; counted as 0`,
+  });
+}
+
+/**
+ * Keeps a metric value for outlier detection (reservoir sample + largest values)
+ * @param {Object} state - Validation state
+ * @param {string} metric - Product metric
+ * @param {number} value - Metric value
+ * @param {number} rowNumber - 1-based row number in the file
+ */
+function trackMetric(state, metric, value, rowNumber) {
+  const sample = state.samples[metric];
+  const seen = ++state.seen[metric];
+  
+  if (sample.length < OUTLIER_SAMPLE_SIZE) {
+    sample.push(value);
+  } else {
+    // Park-Miller generator keeps results reproducible across runs
+    state.random = (state.random * 16807) % 2147483647;
+    const slot = state.random % seen;
+    if (slot < OUTLIER_SAMPLE_SIZE) sample[slot] = value;
+  }
+  
+  const candidates = state.candidates[metric];
+  if (candidates.length < MAX_OUTLIER_CANDIDATES || value > candidates[0].value) {
+    const index = candidates.findIndex(candidate => candidate.value > value);
+    candidates.splice(index === -1 ? candidates.length : index, 0, { value, row: rowNumber });
+    if (candidates.length > MAX_OUTLIER_CANDIDATES) candidates.shift();
+  }
+}
+
+/**
+ * Checks a mapped product
+ * @param {Object} state - Validation state
+ * @param {Object} product - Mapped product
+ * @param {number} rowNumber - 1-based row number in the file
+ */
+function validateProduct(state, product, rowNumber) {
+  if (state.columnMap.clicks && state.columnMap.orderedItems && product.ordered_items > product.clicks) {
+    recordIssue(state, {
+      code: 'ORDERS_EXCEED_CLICKS',
+      row: rowNumber,
+      field: 'orderedItems',
+      value: product.ordered_items,
+      message: `Ordered items (${product.ordered_items}) exceed clicks (${product.clicks})`,
+      details: { clicks: product.clicks },
+    });
+  }
+  
+  for (const metric of OUTLIER_METRICS) {
+    if (typeof product[metric] === 'number' && product[metric] > 0) {
+      trackMetric(state, metric, product[metric], rowNumber);
+    }
+  }
+}
+
+/**
+ * Returns the value at a quantile of a sorted array (linear interpolation)
+ * @param {number[]} sorted - Values in ascending order
+ * @param {number} q - Quantile between 0 and 1
+ * @returns {number} Quantile value
+ */
+function quantile(sorted, q) {
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Flags outliers and builds the validation report
+ * @param {Object} state - Validation state
+ * @returns {Object} Validation report
+ */
+function finalizeValidation(state) {
+  const fieldByMetric = {
+    ordered_items: 'orderedItems',
+    shipped_revenue: 'shippedRevenue',
+    earnings: 'earnings',
+    clicks: 'clicks',
+  };
+  
+  for (const metric of OUTLIER_METRICS) {
+    if (state.seen[metric] < MIN_OUTLIER_ROWS) continue;
+    
+    const sorted = [...state.samples[metric]].sort((a, b) => a - b);
+    const q1 = quantile(sorted, 0.25);
+    const q3 = quantile(sorted, 0.75);
+    // Counts cluster on a few values (IQR 0 when most rows are 1), so the
+    // spread is at least half the upper quartile
+    const spread = Math.max(q3 - q1, q3 / 2);
+    const fence = q3 + state.outlierThreshold * spread;
+    if (fence <= 0) continue;
+    
+    for (const candidate of state.candidates[metric]) {
+      if (candidate.value <= fence) continue;
+      recordIssue(state, {
+        code: 'OUTLIER',
+        row: candidate.row,
+        field: fieldByMetric[metric],
+        value: candidate.value,
+        message: `${metric} ${candidate.value} is above the outlier fence (${Number(fence.toFixed(2))})`,
+        details: { fence: Number(fence.toFixed(2)) },
+      });
+    }
+  }
+  
+  // Outliers are found last; keep issues in row order
+  const issues = [...state.issues].sort((a, b) => a.row - b.row);
+  const totalIssues = state.counts.error + state.counts.warning + state.counts.info;
+  
+  return {
+    valid: state.counts.error === 0,
+    rowsChecked: state.rowsChecked,
+    rejectedRows: state.rejectedRows,
+    // Past the window, a duplicate of an early row can go unnoticed
+    duplicateCheck: { exact: state.hashesDropped === 0, window: state.duplicateWindow },
+    counts: { ...state.counts },
+    byCode: { ...state.byCode },
+    issues,
+    truncated: totalIssues > issues.length,
+  };
+}
+
+/**
+ * Combines the reports of several validation passes (e.g. workbook sheets)
+ * @param {Object[]} reports - Reports from finalizeValidation()
+ * @param {number} maxIssues - Most issues kept (default: 1000)
+ * @returns {Object} Combined validation report
+ */
+function mergeValidationReports(reports, maxIssues = DEFAULT_MAX_ISSUES) {
+  const counts = { error: 0, warning: 0, info: 0 };
+  const byCode = {};
+  let issues = [];
+  
+  for (const report of reports) {
+    Object.keys(counts).forEach(severity => { counts[severity] += report.counts[severity]; });
+    Object.entries(report.byCode).forEach(([code, count]) => { byCode[code] = (byCode[code] || 0) + count; });
+    issues = issues.concat(report.issues);
+  }
+  
+  return {
+    valid: counts.error === 0,
+    rowsChecked: reports.reduce((sum, r) => sum + r.rowsChecked, 0),
+    rejectedRows: reports.reduce((sum, r) => sum + r.rejectedRows, 0),
+    duplicateCheck: {
+      exact: reports.every(r => r.duplicateCheck.exact),
+      window: Math.min(DUPLICATE_WINDOW, ...reports.map(r => r.duplicateCheck.window)),
+    },
+    counts,
+    byCode,
+    issues: issues.slice(0, maxIssues),
+    truncated: reports.some(r => r.truncated) || issues.length > maxIssues,
+  };
+}
+
+module.exports = {
+  VALIDATION_CODES,
+  DUPLICATE_WINDOW,
+  createValidationState,
+  validateRow,
+  validateProduct,
+  recordEmptyRow,
+  recordNonNumeric,
+  finalizeValidation,
+  mergeValidationReports,
+};
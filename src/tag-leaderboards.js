@@ -0,0 +1,200 @@
+/**
+ * Per-Tag Leaderboards
+ *
+ * One report covers every tracking ID on the account, but each site or
+ * newsletter runs its own tag. The aggregator keeps each ASIN's totals per
+ * tag (by_tag); this ranks ASINs on the traffic of one tag, or a group of
+ * tags mapped to a property, so every property gets its own top N.
+ *
+ * Properties come from config.feed.properties:
+ *
+ *   properties: {
+ *     'site-a': { tags: ['sitea-20', 'sitea-deals-20'], topN: 50 },
+ *     newsletter: ['news-20'],
+ *   }
+ *
+ * Without properties, every tag in the report gets a leaderboard of its own.
+ *
+ * Usage:
+ *   const leaderboards = require('./tag-leaderboards');
+ *   const result = leaderboards.buildLeaderboards(aggregator.aggregateByAsin(products), {
+ *     properties: config.feed.properties,
+ *     rankBy: 'earnings',
+ *     topN: 100,
+ *   });
+ *   // result.leaderboards['site-a'].products: ranked on sitea-20 + sitea-deals-20 only
+ */
+
+const aggregator = require('./asin-aggregator');
+
+/**
+ * Fields describing an ASIN's whole traffic that a tag-scoped view drops
+ */
+const UNSCOPED_FIELDS = ['by_tag', 'breakdowns', 'series', 'recency_score'];
+
+/**
+ * Lists the tracking IDs found in aggregated products
+ * @param {Object[]} aggregated - Aggregated products (with by_tag)
+ * @returns {string[]} Tags, sorted
+ */
+function listTags(aggregated) {
+  const tags = new Set();
+  aggregated.forEach(product => {
+    Object.keys(product.by_tag || {}).forEach(tag => tags.add(tag));
+  });
+  return [...tags].sort();
+}
+
+/**
+ * Normalises property settings
+ * @param {Object} properties - Property name -> { tags, topN, rankBy, associateTag, publisherName } or tag array
+ * @param {string[]} tags - Tags in the report, one property each when no properties are given
+ * @returns {Object[]} Properties: { name, tags, topN, rankBy, associateTag, publisherName }
+ * @throws {Error} If a property has no tags
+ */
+function resolveProperties(properties, tags = []) {
+  if (!properties || Object.keys(properties).length === 0) {
+    return tags.map(tag => ({ name: tag, tags: [tag], associateTag: tag }));
+  }
+  
+  return Object.entries(properties).map(([name, settings]) => {
+    const property = Array.isArray(settings) ? { tags: settings } : { ...settings };
+    if (!Array.isArray(property.tags) || property.tags.length === 0 || !property.tags.every(tag => typeof tag === 'string')) {
+      throw new Error(`Property ${name} needs a tags array of tracking IDs`);
+    }
+    return {
+      name,
+      ...property,
+      associateTag: property.associateTag || (property.tags.length === 1 ? property.tags[0] : undefined),
+    };
+  });
+}
+
+/**
+ * Builds an ASIN's view with only the traffic of some tags
+ * @param {Object} product - Aggregated product (with by_tag)
+ * @param {string[]} tags - Tracking IDs to keep
+ * @returns {Object|null} Product with the tags' summed metrics, or null if none of them sent traffic
+ */
+function scopeToTags(product, tags) {
+  const matching = tags.filter(tag => product.by_tag?.[tag]);
+  if (matching.length === 0) return null;
+  
+  const view = { ...product };
+  UNSCOPED_FIELDS.forEach(field => delete view[field]);
+  delete view.tag;
+  
+  aggregator.TAG_METRICS.forEach(metric => {
+    view[metric] = matching.reduce((sum, tag) => sum + (product.by_tag[tag][metric] || 0), 0);
+  });
+  if (!matching.some(tag => product.by_tag[tag].items_shipped)) delete view.items_shipped;
+  
+  if (matching.length === 1) {
+    view.tag = matching[0];
+    delete view.tags;
+  } else {
+    view.tags = matching;
+  }
+  
+  return aggregator.calculateDerivedMetrics(view);
+}
+
+/**
+ * Summarises each tag's traffic and the properties it feeds
+ * @param {Object[]} aggregated - Aggregated products (with by_tag)
+ * @param {Object[]} properties - Resolved properties
+ * @returns {Object} Tag -> { properties, asins, rows, ordered_items, shipped_revenue, earnings, clicks }
+ */
+function summarizeTags(aggregated, properties) {
+  const summary = {};
+  
+  aggregated.forEach(product => {
+    for (const [tag, metrics] of Object.entries(product.by_tag || {})) {
+      const entry = summary[tag] || (summary[tag] = {
+        properties: properties.filter(property => property.tags.includes(tag)).map(property => property.name),
+        asins: 0,
+        rows: 0,
+        ordered_items: 0,
+        shipped_revenue: 0,
+        earnings: 0,
+        clicks: 0,
+      });
+      entry.asins++;
+      ['rows', 'ordered_items', 'shipped_revenue', 'earnings', 'clicks'].forEach(metric => {
+        entry[metric] += metrics[metric] || 0;
+      });
+    }
+  });
+  
+  return summary;
+}
+
+/**
+ * Ranks aggregated products separately for each property
+ *
+ * Each leaderboard ranks the ASINs its tags sent traffic to, on those tags'
+ * numbers alone. Breakdowns and series describe an ASIN's whole traffic, so
+ * they are left out (and rankBy 'recency_weighted' isn't available); a
+ * previous period's products are scoped to the same tags for 'trending'.
+ *
+ * @param {Object[]} aggregated - Aggregated products (with by_tag)
+ * @param {Object} options - Ranking options (see aggregator.aggregateAndRank)
+ * @param {Object} options.properties - Property name -> settings (default: one property per tag)
+ * @returns {Object} Leaderboards by property name, and per-tag metadata
+ */
+function buildLeaderboards(aggregated, options = {}) {
+  const { rankBy = 'ordered_items', topN = null, previous } = options;
+  
+  try {
+    const tags = listTags(aggregated);
+    const properties = resolveProperties(options.properties, tags);
+    const leaderboards = {};
+    
+    for (const property of properties) {
+      const scope = products => products.map(product => scopeToTags(product, property.tags)).filter(Boolean);
+      const ranked = aggregator.rankAggregated(scope(aggregated), {
+        ...options,
+        rankBy: property.rankBy || rankBy,
+        topN: property.topN ?? topN,
+        previous: previous && scope(previous),
+      });
+      
+      leaderboards[property.name] = {
+        name: property.name,
+        tags: property.tags,
+        associateTag: property.associateTag || null,
+        ...(property.publisherName && { publisherName: property.publisherName }),
+        products: ranked.products,
+        metadata: ranked.metadata,
+      };
+    }
+    
+    const assigned = new Set(properties.flatMap(property => property.tags));
+    return {
+      success: true,
+      leaderboards,
+      metadata: {
+        properties: properties.length,
+        rankingMetric: rankBy,
+        tags: summarizeTags(aggregated, properties),
+        unassignedTags: tags.filter(tag => !assigned.has(tag)),
+        untaggedAsins: aggregated.filter(product => !product.by_tag).length,
+      },
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      leaderboards: {},
+      metadata: {},
+    };
+  }
+}
+
+module.exports = {
+  listTags,
+  resolveProperties,
+  scopeToTags,
+  summarizeTags,
+  buildLeaderboards,
+};
@@ -0,0 +1,224 @@
+/**
+ * Time-Bucketed Series
+ *
+ * Reports with a ship date column have one row per ASIN per day. Besides
+ * the per-ASIN totals, the aggregator can keep a series per ASIN bucketed
+ * by day, ISO week or month, with trailing rolling averages, and a
+ * recency-weighted score that halves a bucket's orders for every half-life
+ * between it and the end of the report. rankBy: 'recency_weighted' sorts
+ * on that score, so an ASIN selling now beats one that spiked three weeks ago.
+ *
+ * Series run from each ASIN's first bucket to the report's last, with empty
+ * buckets filled with zeros. Rows without a single ship date (e.g. joined
+ * multi-sheet rows) count towards totals but not the series.
+ *
+ * Usage:
+ *   const aggregated = aggregator.aggregateByAsin(products, { bucket: 'week' });
+ *   // aggregated[i].series: [{ period: '2025-W42', start: '2025-10-13', ordered_items, ..., rolling_ordered_items }]
+ *   // aggregated[i].recency_score
+ */
+
+/**
+ * Bucket sizes
+ */
+const BUCKET_SIZES = ['day', 'week', 'month'];
+
+/**
+ * Metrics summed per bucket
+ */
+const SERIES_METRICS = ['ordered_items', 'shipped_revenue', 'earnings', 'clicks'];
+
+/**
+ * Metrics given a trailing rolling average (rolling_<metric>)
+ */
+const ROLLING_METRICS = ['ordered_items', 'earnings'];
+
+/**
+ * Defaults per bucket size: rolling window and recency half-life, in buckets
+ */
+const BUCKET_DEFAULTS = {
+  day: { rollingWindow: 7, halfLife: 7 },
+  week: { rollingWindow: 4, halfLife: 2 },
+  month: { rollingWindow: 3, halfLife: 1 },
+};
+
+/**
+ * Validates series options and fills in the bucket size's defaults
+ * @param {Object} options - Series options
+ * @param {string} options.bucket - 'day', 'week' or 'month'
+ * @param {number} options.rollingWindow - Buckets per rolling average (default: 7 / 4 / 3)
+ * @param {number} options.halfLife - Buckets for a bucket's weight to halve (default: 7 / 2 / 1)
+ * @returns {{bucket: string, rollingWindow: number, halfLife: number}} Resolved options
+ * @throws {Error} If the bucket is unknown or a window or half-life isn't positive
+ */
+function resolveSeriesOptions(options = {}) {
+  const { bucket } = options;
+  
+  if (!BUCKET_SIZES.includes(bucket)) {
+    throw new Error(`Invalid bucket: ${bucket}. Available: ${BUCKET_SIZES.join(', ')}`);
+  }
+  
+  const { rollingWindow = BUCKET_DEFAULTS[bucket].rollingWindow, halfLife = BUCKET_DEFAULTS[bucket].halfLife } = options;
+  if (!Number.isInteger(rollingWindow) || rollingWindow < 1) {
+    throw new Error(`Invalid rolling window: ${rollingWindow}. Use a whole number of buckets >= 1`);
+  }
+  if (typeof halfLife !== 'number' || isNaN(halfLife) || halfLife <= 0) {
+    throw new Error(`Invalid half-life: ${halfLife}. Use a number of buckets > 0`);
+  }
+  
+  return { bucket, rollingWindow, halfLife };
+}
+
+/**
+ * Formats a UTC date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string} ISO date
+ */
+function toIsoDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Parses a YYYY-MM-DD date as UTC midnight
+ * @param {string} isoDate - ISO date
+ * @returns {Date} Date
+ */
+function parseIsoDate(isoDate) {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Finds the first day of the bucket a date falls in
+ * @param {string} isoDate - Ship date (YYYY-MM-DD)
+ * @param {string} bucket - 'day', 'week' (starting Monday) or 'month'
+ * @returns {string} Bucket start (YYYY-MM-DD)
+ */
+function bucketStart(isoDate, bucket) {
+  if (bucket === 'day') return isoDate;
+  if (bucket === 'month') return `${isoDate.slice(0, 7)}-01`;
+  
+  const date = parseIsoDate(isoDate);
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return toIsoDate(date);
+}
+
+/**
+ * Finds the start of the bucket after a bucket
+ * @param {string} start - Bucket start (YYYY-MM-DD)
+ * @param {string} bucket - Bucket size
+ * @returns {string} Next bucket start
+ */
+function nextBucket(start, bucket) {
+  const date = parseIsoDate(start);
+  if (bucket === 'day') date.setUTCDate(date.getUTCDate() + 1);
+  else if (bucket === 'week') date.setUTCDate(date.getUTCDate() + 7);
+  else date.setUTCMonth(date.getUTCMonth() + 1);
+  return toIsoDate(date);
+}
+
+/**
+ * Labels a bucket: the date, the ISO week ('2025-W42') or the month ('2025-10')
+ * @param {string} start - Bucket start (YYYY-MM-DD)
+ * @param {string} bucket - Bucket size
+ * @returns {string} Label
+ */
+function bucketLabel(start, bucket) {
+  if (bucket === 'day') return start;
+  if (bucket === 'month') return start.slice(0, 7);
+  
+  // The ISO week belongs to the year its Thursday falls in
+  const thursday = parseIsoDate(start);
+  thursday.setUTCDate(thursday.getUTCDate() + 3);
+  const year = thursday.getUTCFullYear();
+  const week = Math.floor((thursday - Date.UTC(year, 0, 1)) / (7 * 86400000)) + 1;
+  return `${year}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * Adds a dated row's metrics to its ASIN's buckets
+ * @param {Map<string, Map<string, Object>>} series - ASIN -> bucket start -> metrics
+ * @param {Object} product - Product row with date_shipped
+ * @param {string} bucket - Bucket size
+ */
+function addToSeries(series, product, bucket) {
+  if (!series.has(product.asin)) series.set(product.asin, new Map());
+  const buckets = series.get(product.asin);
+  const start = bucketStart(product.date_shipped, bucket);
+  
+  const metrics = buckets.get(start) || Object.fromEntries(SERIES_METRICS.map(metric => [metric, 0]));
+  SERIES_METRICS.forEach(metric => {
+    metrics[metric] += product[metric] || 0;
+  });
+  buckets.set(start, metrics);
+}
+
+/**
+ * Builds each ASIN's zero-filled series, rolling averages and recency score
+ * @param {Map<string, Map<string, Object>>} series - ASIN -> bucket start -> metrics (from addToSeries)
+ * @param {Object} options - Resolved series options (see resolveSeriesOptions)
+ * @returns {Map<string, {series: Object[], recency_score: number}>} Per-ASIN series
+ */
+function buildSeries(series, options) {
+  const { bucket, rollingWindow, halfLife } = options;
+  const starts = [...series.values()].flatMap(buckets => [...buckets.keys()]).sort();
+  const result = new Map();
+  if (starts.length === 0) return result;
+  
+  // Every bucket from the report's first to its last
+  const timeline = [starts[0]];
+  while (timeline[timeline.length - 1] < starts[starts.length - 1]) {
+    timeline.push(nextBucket(timeline[timeline.length - 1], bucket));
+  }
+  const position = new Map(timeline.map((start, index) => [start, index]));
+  const last = timeline.length - 1;
+  
+  for (const [asin, buckets] of series) {
+    const first = Math.min(...[...buckets.keys()].map(start => position.get(start)));
+    const entries = timeline.slice(first).map(start => ({
+      period: bucketLabel(start, bucket),
+      start,
+      ...(buckets.get(start) || Object.fromEntries(SERIES_METRICS.map(metric => [metric, 0]))),
+    }));
+    
+    let recencyScore = 0;
+    entries.forEach((entry, i) => {
+      const window = entries.slice(Math.max(0, i - rollingWindow + 1), i + 1);
+      ROLLING_METRICS.forEach(metric => {
+        const average = window.reduce((sum, item) => sum + item[metric], 0) / window.length;
+        entry[`rolling_${metric}`] = Number(average.toFixed(4));
+      });
+      recencyScore += entry.ordered_items * Math.pow(0.5, (last - first - i) / halfLife);
+    });
+    
+    result.set(asin, { series: entries, recency_score: Number(recencyScore.toFixed(4)) });
+  }
+  
+  return result;
+}
+
+/**
+ * Finds the first and last bucket across aggregated products
+ * @param {Object[]} products - Aggregated products with series
+ * @returns {{first: string, last: string}|null} Bucket labels, or null without series
+ */
+function seriesRange(products) {
+  const entries = products.filter(product => product.series?.length).map(product => product.series);
+  if (entries.length === 0) return null;
+  
+  const firsts = entries.map(series => series[0]).sort((a, b) => a.start.localeCompare(b.start));
+  const lasts = entries.map(series => series[series.length - 1]).sort((a, b) => a.start.localeCompare(b.start));
+  return { first: firsts[0].period, last: lasts[lasts.length - 1].period };
+}
+
+module.exports = {
+  BUCKET_SIZES,
+  SERIES_METRICS,
+  ROLLING_METRICS,
+  resolveSeriesOptions,
+  bucketStart,
+  bucketLabel,
+  addToSeries,
+  buildSeries,
+  seriesRange,
+};
@@ -0,0 +1,237 @@
+/**
+ * Period-over-Period Trends
+ *
+ * Compares the aggregated products of two report periods (e.g. this week
+ * and last week) ASIN by ASIN: how orders, earnings and clicks changed, how
+ * far each ASIN moved in the ranking, and whether it is new, dropped,
+ * rising, falling or steady.
+ *
+ * Momentum scores the change in the trend metric against the noise expected
+ * for counts that size, (current - previous) / sqrt(previous + current + 1),
+ * so 2 -> 6 orders doesn't outrank 200 -> 260 the way a percentage would.
+ * It is what rankBy: 'trending' sorts on.
+ *
+ * Usage:
+ *   const trends = require('./trend-analysis');
+ *   const comparison = trends.comparePeriods(lastWeek, thisWeek);
+ *   // comparison.products[i]: { asin, trend, rank_change, momentum, ordered_items: { previous, current, change, change_pct }, ... }
+ *
+ *   trends.applyTrends(thisWeek, lastWeek);
+ *   // thisWeek[i].trend, .trend_momentum, .rank_change, .orders_change, ...
+ */
+
+/**
+ * Metrics compared between periods, and the product field prefix for each
+ * change (orders_change, earnings_change, clicks_change)
+ */
+const TREND_METRICS = {
+  ordered_items: 'orders',
+  earnings: 'earnings',
+  clicks: 'clicks',
+};
+
+/**
+ * Trend classifications
+ *   new:     not in the previous period
+ *   dropped: not in the current period
+ *   rising:  trend metric up by at least the threshold
+ *   falling: trend metric down by at least the threshold
+ *   steady:  anything in between
+ */
+const TREND_STATUSES = ['new', 'dropped', 'rising', 'falling', 'steady'];
+
+/**
+ * Relative change in the trend metric that counts as rising or falling
+ */
+const DEFAULT_THRESHOLD = 0.1;
+
+/**
+ * Validates trend options
+ * @param {Object} options - Trend options
+ * @param {string} options.trendMetric - Metric that ranks and classifies ASINs (default: 'ordered_items')
+ * @param {number} options.trendThreshold - Relative change for rising/falling (default: 0.1)
+ * @returns {{metric: string, threshold: number}} Resolved options
+ * @throws {Error} If the metric is unknown or the threshold isn't a number >= 0
+ */
+function resolveTrendOptions(options = {}) {
+  const { trendMetric = 'ordered_items', trendThreshold = DEFAULT_THRESHOLD } = options;
+  
+  if (!TREND_METRICS[trendMetric]) {
+    throw new Error(`Invalid trend metric: ${trendMetric}. Available: ${Object.keys(TREND_METRICS).join(', ')}`);
+  }
+  if (typeof trendThreshold !== 'number' || isNaN(trendThreshold) || trendThreshold < 0) {
+    throw new Error(`Invalid trend threshold: ${trendThreshold}. Use a number >= 0`);
+  }
+  
+  return { metric: trendMetric, threshold: trendThreshold };
+}
+
+/**
+ * Calculates momentum: change scaled by the noise expected at that volume
+ * @param {number} previous - Previous period value
+ * @param {number} current - Current period value
+ * @returns {number} Momentum (positive when growing)
+ */
+function momentumScore(previous, current) {
+  const before = Math.max(previous || 0, 0);
+  const after = Math.max(current || 0, 0);
+  return Number(((after - before) / Math.sqrt(before + after + 1)).toFixed(4));
+}
+
+/**
+ * Ranks a period's products by a metric
+ * @param {Object[]} products - Aggregated products
+ * @param {string} metric - Metric to rank by
+ * @returns {Map<string, number>} ASIN -> rank (1 = highest)
+ */
+function rankPositions(products, metric) {
+  const sorted = [...products].sort((a, b) =>
+    (b[metric] || 0) - (a[metric] || 0) || String(a.asin).localeCompare(String(b.asin))
+  );
+  return new Map(sorted.map((product, index) => [product.asin, index + 1]));
+}
+
+/**
+ * Describes how one metric changed
+ * @param {number} previous - Previous period value
+ * @param {number} current - Current period value
+ * @returns {{previous: number, current: number, change: number, change_pct: number|null}} Change
+ *   (change_pct is null when the previous value was 0)
+ */
+function describeChange(previous = 0, current = 0) {
+  const change = Number((current - previous).toFixed(2));
+  return {
+    previous,
+    current,
+    change,
+    change_pct: previous > 0 ? Number((change / previous).toFixed(4)) : null,
+  };
+}
+
+/**
+ * Classifies an ASIN present in both periods
+ * @param {Object} change - describeChange() result for the trend metric
+ * @param {number} threshold - Relative change for rising/falling
+ * @returns {string} 'rising', 'falling' or 'steady'
+ */
+function classifyChange(change, threshold) {
+  if (change.change === 0) return 'steady';
+  // From nothing, any gain is a rise
+  if (change.change_pct === null) return change.change > 0 ? 'rising' : 'steady';
+  if (change.change_pct >= threshold) return 'rising';
+  if (change.change_pct <= -threshold) return 'falling';
+  return 'steady';
+}
+
+/**
+ * Counts comparisons per trend
+ * @param {Object[]} comparisons - Per-ASIN comparisons
+ * @returns {Object} Trend -> ASIN count
+ */
+function countTrends(comparisons) {
+  const counts = Object.fromEntries(TREND_STATUSES.map(status => [status, 0]));
+  comparisons.forEach(comparison => {
+    counts[comparison.trend]++;
+  });
+  return counts;
+}
+
+/**
+ * Compares two periods' aggregated products ASIN by ASIN
+ * @param {Object[]} previous - Aggregated products of the earlier period
+ * @param {Object[]} current - Aggregated products of the later period
+ * @param {Object} options - Trend options (see resolveTrendOptions)
+ * @returns {Object} Comparisons for every ASIN in either period, by momentum, and a summary
+ */
+function comparePeriods(previous, current, options = {}) {
+  const { metric, threshold } = resolveTrendOptions(options);
+  const previousByAsin = new Map(previous.map(product => [product.asin, product]));
+  const currentByAsin = new Map(current.map(product => [product.asin, product]));
+  const previousRanks = rankPositions(previous, metric);
+  const currentRanks = rankPositions(current, metric);
+  const asins = new Set([...currentByAsin.keys(), ...previousByAsin.keys()]);
+  
+  const comparisons = [...asins].map(asin => {
+    const before = previousByAsin.get(asin);
+    const after = currentByAsin.get(asin);
+    const changes = Object.fromEntries(Object.keys(TREND_METRICS).map(field => [
+      field,
+      describeChange(before?.[field] || 0, after?.[field] || 0),
+    ]));
+    const previousRank = previousRanks.get(asin) || null;
+    const currentRank = currentRanks.get(asin) || null;
+    
+    let trend;
+    if (!before) trend = 'new';
+    else if (!after) trend = 'dropped';
+    else trend = classifyChange(changes[metric], threshold);
+    
+    return {
+      asin,
+      trend,
+      momentum: momentumScore(changes[metric].previous, changes[metric].current),
+      previous_rank: previousRank,
+      current_rank: currentRank,
+      rank_change: previousRank && currentRank ? previousRank - currentRank : null,
+      ...changes,
+    };
+  });
+  
+  comparisons.sort((a, b) => b.momentum - a.momentum || String(a.asin).localeCompare(String(b.asin)));
+  
+  return {
+    success: true,
+    products: comparisons,
+    summary: {
+      metric,
+      threshold,
+      previousAsins: previous.length,
+      currentAsins: current.length,
+      counts: countTrends(comparisons),
+    },
+  };
+}
+
+/**
+ * Sets trend fields on the current period's products
+ *
+ * Fields: trend, trend_momentum, previous_rank, rank_change, and
+ * <orders|earnings|clicks>_change and _change_pct. Ranks are positions by
+ * the trend metric within each period's products as given.
+ *
+ * @param {Object[]} products - Aggregated products of the current period (modified in place)
+ * @param {Object[]} previous - Aggregated products of the previous period
+ * @param {Object} options - Trend options (see resolveTrendOptions)
+ * @returns {Object} Comparison summary, with the ASINs that dropped out
+ */
+function applyTrends(products, previous, options = {}) {
+  const comparison = comparePeriods(previous, products, options);
+  const byAsin = new Map(comparison.products.map(entry => [entry.asin, entry]));
+  
+  products.forEach(product => {
+    const entry = byAsin.get(product.asin);
+    product.trend = entry.trend;
+    product.trend_momentum = entry.momentum;
+    product.previous_rank = entry.previous_rank;
+    product.rank_change = entry.rank_change;
+    for (const [field, prefix] of Object.entries(TREND_METRICS)) {
+      product[`${prefix}_change`] = entry[field].change;
+      product[`${prefix}_change_pct`] = entry[field].change_pct;
+    }
+  });
+  
+  return {
+    ...comparison.summary,
+    droppedAsins: comparison.products.filter(entry => entry.trend === 'dropped').map(entry => entry.asin),
+  };
+}
+
+module.exports = {
+  TREND_METRICS,
+  TREND_STATUSES,
+  DEFAULT_THRESHOLD,
+  resolveTrendOptions,
+  momentumScore,
+  comparePeriods,
+  applyTrends,
+};
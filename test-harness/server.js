@@ -20,6 +20,19 @@ const parser = require('../src/aa-csv-parser');
 const aggregator = require('../src/asin-aggregator');
 const paApi = require('../src/pa-api-client');
 const feedGen = require('../src/feed-generator');
+const mappingProfiles = require('../src/mapping-profiles');
+const reportMerger = require('../src/report-merger');
+const reportFiles = require('../src/report-files');
+const compositeScore = require('../src/composite-score');
+const trendAnalysis = require('../src/trend-analysis');
+const timeSeries = require('../src/time-series');
+const tagLeaderboards = require('../src/tag-leaderboards');
+const clustering = require('../src/clustering');
+const paretoAnalysis = require('../src/pareto-analysis');
+const anomalyDetection = require('../src/anomaly-detection');
+const filterExpression = require('../src/filter-expression');
+const diversitySelection = require('../src/diversity-selection');
+const rankingStrategies = require('../src/ranking-strategies');
 
 // Load config - use environment variables on Railway, fallback to config.js for local dev
 let config;
@@ -42,6 +55,9 @@ try {
         'Offers.Listings.Price',
         'Offers.Listings.SavingBasis',
         'Offers.Listings.Availability.Type',
+        'BrowseNodeInfo.BrowseNodes',
+        'ItemInfo.Classifications',
+        'ItemInfo.ByLineInfo',
       ],
       batchSize: 10,
       retryAttempts: 3,
@@ -57,6 +73,175 @@ try {
   }
 }
 
+// House ranking strategies (config.feed.strategyModules, paths from the project root)
+try {
+  (config.feed?.strategyModules || []).forEach(modulePath => {
+    const loaded = rankingStrategies.loadStrategies(modulePath, { baseDir: path.join(__dirname, '..') });
+    console.log(`📐 Ranking strategies from ${modulePath}: ${loaded.map(strategy => strategy.name).join(', ')}`);
+  });
+} catch (error) {
+  console.error('❌', error.message);
+  process.exit(1);
+}
+
+// CSV parsing options (column mappings, row validation) from config.csv
+const csvConfig = config.csv || {};
+
+/**
+ * Builds parser options from config.csv and an upload's form fields
+ * @param {Object} body - Multipart form fields
+ * @param {Object} file - Uploaded file (its original name can carry the report period)
+ * @returns {Object} Parser options
+ */
+function parseOptionsFromRequest(body, file) {
+  const { locale = 'auto', profile, reportType } = body;
+  let requestColumns = {};
+  if (body.columns) {
+    try {
+      requestColumns = JSON.parse(body.columns);
+    } catch (error) {
+      throw new Error(`columns must be a JSON object of field -> column name(s): ${error.message}`);
+    }
+  }
+  
+  return {
+    ...csvConfig,
+    columns: mappingProfiles.mergeColumnMappings(csvConfig.columns, requestColumns),
+    multiSheet: body.multiSheet === 'true',
+    locale,
+    fileName: file.originalname,
+    ...(profile && { profile }),
+    ...(reportType && { reportType }),
+  };
+}
+
+// Composite ranking weights and smoothing prior from config.feed, unless a request sends its own
+const defaultWeights = config.feed?.compositeWeights;
+// Tracking ID -> property groups for per-property leaderboards (default: one per tag)
+const defaultProperties = config.feed?.properties;
+// Cluster labels for pipeline products (none unless configured or requested)
+const defaultClusterBy = config.feed?.clusterBy;
+const defaultClusterOptions = config.feed?.clusterOptions || {};
+// ABC classification of the catalogue for feed metadata (earnings unless set; null turns it off)
+const defaultParetoMetric = config.feed?.paretoMetric === undefined ? 'earnings' : config.feed.paretoMetric;
+const defaultAbcThresholds = config.feed?.abcThresholds;
+// Max products per cluster / tag / brand / title group in a top N (none unless configured)
+const defaultDiversity = config.feed?.diversity;
+// Brand, cluster and title caps are applied after enrichment, to a pool this many times the top N
+const DIVERSITY_POOL_FACTOR = 2;
+const defaultPriorStrength = config.feed?.priorStrength;
+
+/**
+ * Reads the prior strength for smoothed_* rankings from a request
+ * @param {number|string} priorStrength - Clicks of prior (optional)
+ * @returns {number|undefined} Prior strength, or the configured default
+ */
+function priorStrengthFromRequest(priorStrength) {
+  if (priorStrength === undefined || priorStrength === '') return defaultPriorStrength;
+  return Number(priorStrength);
+}
+
+/**
+ * Reads composite ranking weights from a request
+ * @param {Object|string} weights - Metric -> weight object, JSON, or "metric=weight,..." (optional)
+ * @returns {Object|undefined} Weights, or the configured default
+ */
+function weightsFromRequest(weights) {
+  if (weights === undefined || weights === '') return defaultWeights;
+  return typeof weights === 'string' ? compositeScore.parseWeights(weights) : weights;
+}
+
+/**
+ * Reads per-property leaderboard groups from a request
+ * @param {Object|string} properties - Property -> tags/settings object, or JSON (optional)
+ * @returns {Object|undefined} Properties, or the configured default
+ * @throws {Error} If a JSON string doesn't parse
+ */
+function propertiesFromRequest(properties) {
+  if (properties === undefined || properties === '') return defaultProperties;
+  if (typeof properties !== 'string') return properties;
+  
+  try {
+    return JSON.parse(properties);
+  } catch (error) {
+    throw new Error(`properties must be a JSON object of property -> tags: ${error.message}`);
+  }
+}
+
+/**
+ * Reads a filter expression from a request
+ * @param {string|Object} filter - Expression string, JSON string or expression tree (optional)
+ * @returns {Object|undefined} Validated expression tree
+ * @throws {Error} If the expression is invalid
+ */
+function filterFromRequest(filter) {
+  if (filter === undefined || filter === '') return undefined;
+  return filterExpression.parseFilter(filter);
+}
+
+/**
+ * Reads diversity caps from a request
+ * @param {Object|string} diversity - Group -> cap object, JSON, or "group=cap,..." (optional)
+ * @returns {Object|undefined} Validated caps, or the configured default
+ * @throws {Error} If a group or cap is invalid
+ */
+function diversityFromRequest(diversity) {
+  const caps = diversity === undefined || diversity === ''
+    ? defaultDiversity
+    : (typeof diversity === 'string' ? diversitySelection.parseDiversity(diversity) : diversity);
+  if (!caps || Object.keys(caps).length === 0) return undefined;
+  
+  diversitySelection.resolveDiversityOptions(caps);
+  return caps;
+}
+
+/**
+ * Applies a filter expression to enriched products, now their titles, prices and clusters are known
+ * @param {Object[]} products - Enriched, ranked products
+ * @param {Object} filter - Validated expression tree
+ * @returns {Object[]} Matching products, ranked 1..n again
+ */
+function refilterEnriched(products, filter) {
+  const matching = aggregator.filterProducts(products, filter);
+  matching.forEach((product, index) => {
+    product.rank = index + 1;
+  });
+  return matching;
+}
+
+/**
+ * Reads time series options from form fields
+ * @param {Object} body - Multipart form fields (bucket, rollingWindow, halfLife)
+ * @returns {Object} Series options for the aggregator (empty without a bucket)
+ */
+function seriesOptionsFromRequest(body) {
+  const { bucket, rollingWindow, halfLife } = body;
+  if (!bucket) return {};
+  
+  return {
+    bucket,
+    ...(rollingWindow && { rollingWindow: Number(rollingWindow) }),
+    ...(halfLife && { halfLife: Number(halfLife) }),
+  };
+}
+
+/**
+ * Reads clustering settings from a request
+ * @param {Object} body - Request body or form fields (clusterBy, k, bands)
+ * @returns {{clusterBy: string|undefined, options: Object}} Strategy (or the configured default) and its options
+ */
+function clusterSettingsFromRequest(body) {
+  const { clusterBy = defaultClusterBy, k, bands } = body;
+  return {
+    clusterBy: clusterBy || undefined,
+    options: {
+      ...defaultClusterOptions,
+      ...(k && { k: Number(k) }),
+      ...(bands && { bands: Number(bands) }),
+    },
+  };
+}
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
@@ -73,19 +258,36 @@ const storage = multer.diskStorage({
   }
 });
 
+// The parser sniffs content, so this only screens out unrelated uploads
+const fileFilter = (req, file, cb) => {
+  const ext = path.extname(file.originalname).toLowerCase();
+  if (['.csv', '.tsv', '.txt', '.xlsx', '.xls', '.gz', '.zip'].includes(ext)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only CSV, TSV, TXT, XLSX and XLS files (optionally .gz or .zip) are allowed'));
+  }
+};
+
+// Largest report that may be read into memory whole
+const MAX_WHOLE_FILE_BYTES = 50 * 1024 * 1024; // 50MB
+
+// /api/parse returns every product in the response, so keep it small
 const upload = multer({
   storage: storage,
   limits: {
-    fileSize: 50 * 1024 * 1024, // 50MB max
+    fileSize: MAX_WHOLE_FILE_BYTES,
   },
-  fileFilter: (req, file, cb) => {
-    const ext = path.extname(file.originalname).toLowerCase();
-    if (['.csv', '.xlsx', '.xls'].includes(ext)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only CSV, XLSX, and XLS files are allowed'));
-    }
-  }
+  fileFilter,
+});
+
+// /api/pipeline streams CSV/TSV reports (plain or gzipped) from disk, so it
+// can accept much larger ones; see checkWholeFileSizes() for the rest
+const streamingUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: (parseInt(process.env.MAX_STREAMING_UPLOAD_MB) || 1024) * 1024 * 1024, // 1GB default
+  },
+  fileFilter,
 });
 
 // Serve static files
@@ -109,11 +311,21 @@ app.post('/api/parse', upload.single('file'), async (req, res) => {
 
     console.log(`Parsing file: ${req.file.originalname}`);
     
-    const result = await parser.parseFile(req.file.path);
+    const result = await parser.parseFile(req.file.path, parseOptionsFromRequest(req.body, req.file));
     
     // Clean up temp file
     await fs.unlink(req.file.path).catch(() => {});
     
+    // Validation mode: diagnostics only, without the parsed products
+    if (req.body.validate === 'true') {
+      return res.json({
+        success: result.success,
+        ...(result.error && { error: result.error }),
+        metadata: result.metadata,
+        validation: result.validation,
+      });
+    }
+    
     res.json(result);
   } catch (error) {
     console.error('Parse error:', error);
@@ -124,24 +336,82 @@ app.post('/api/parse', upload.single('file'), async (req, res) => {
   }
 });
 
+// API: List saved column mapping profiles
+app.get('/api/mapping-profiles', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      profiles: mappingProfiles.loadProfiles(csvConfig.profilesPath),
+    });
+  } catch (error) {
+    console.error('Mapping profiles error:', error);
+    res.status(500).json({ 
+      error: error.message,
+      details: error.stack 
+    });
+  }
+});
+
+// API: Save a column mapping profile (matched later by header hash)
+app.post('/api/mapping-profiles', (req, res) => {
+  try {
+    const { name, headers, headerHash, columns, reportType } = req.body;
+    
+    if (!name || !columns || (!headers && !headerHash)) {
+      return res.status(400).json({ error: 'name, columns and headers (or headerHash) are required' });
+    }
+    
+    const profile = mappingProfiles.saveProfile(
+      { name, headers, headerHash, columns, reportType },
+      csvConfig.profilesPath
+    );
+    console.log(`Saved mapping profile: ${profile.name}`);
+    
+    res.json({ success: true, profile });
+  } catch (error) {
+    console.error('Mapping profile save error:', error);
+    res.status(400).json({ 
+      error: error.message,
+      details: error.stack 
+    });
+  }
+});
+
+// API: Delete a column mapping profile
+app.delete('/api/mapping-profiles/:name', (req, res) => {
+  try {
+    if (!mappingProfiles.deleteProfile(req.params.name, csvConfig.profilesPath)) {
+      return res.status(404).json({ error: `Mapping profile not found: ${req.params.name}` });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Mapping profile delete error:', error);
+    res.status(500).json({ 
+      error: error.message,
+      details: error.stack 
+    });
+  }
+});
+
 // API: Aggregate ASINs
 app.post('/api/aggregate', async (req, res) => {
   try {
-    const { products } = req.body;
+    const { products, bucket, rollingWindow, halfLife } = req.body;
     
     if (!products || !Array.isArray(products)) {
       return res.status(400).json({ error: 'Invalid products array' });
     }
 
-    console.log(`Aggregating ${products.length} products`);
+    console.log(`Aggregating ${products.length} products${bucket ? ` (series by ${bucket})` : ''}`);
     
-    const aggregated = aggregator.aggregateByAsin(products);
+    const aggregated = aggregator.aggregateByAsin(products, { bucket, rollingWindow, halfLife });
     
     res.json({
       success: true,
       aggregated: aggregated,
       metadata: {
-        totalAsins: aggregated.length
+        totalAsins: aggregated.length,
+        ...(bucket && { timeSeries: { ...timeSeries.resolveSeriesOptions({ bucket, rollingWindow, halfLife }), ...timeSeries.seriesRange(aggregated) } })
       }
     });
   } catch (error) {
@@ -156,23 +426,39 @@ app.post('/api/aggregate', async (req, res) => {
 // API: Rank ASINs
 app.post('/api/rank', async (req, res) => {
   try {
-    const { aggregated, rankBy = 'ordered_items', topN = 10 } = req.body;
+    const { aggregated, previous, rankBy = 'ordered_items', topN = 10, returnPenalty = 0 } = req.body;
+    const weights = weightsFromRequest(req.body.weights);
+    const priorStrength = priorStrengthFromRequest(req.body.priorStrength);
     
     if (!aggregated || !Array.isArray(aggregated)) {
       return res.status(400).json({ error: 'Invalid aggregated array' });
     }
+    let filter;
+    let diversity;
+    try {
+      filter = filterFromRequest(req.body.filter);
+      diversity = diversityFromRequest(req.body.diversity);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
 
     console.log(`Ranking ${aggregated.length} ASINs (top ${topN} by ${rankBy})`);
     
-    const ranked = aggregator.rankProducts(aggregated, rankBy);
-    const topProducts = topN ? ranked.slice(0, topN) : ranked;
+    const candidates = filter ? aggregator.filterProducts(aggregated, filter) : aggregated;
+    const ranked = aggregator.rankProducts(candidates, rankBy, { returnPenalty, weights, priorStrength, previous });
+    const selection = diversity ? diversitySelection.selectDiverse(ranked, topN, diversity) : null;
+    const topProducts = selection ? selection.products : (topN ? ranked.slice(0, topN) : ranked);
     
     res.json({
       success: true,
       products: topProducts,
       metadata: {
         totalAsins: aggregated.length,
+        ...(filter && { filter: filterExpression.formatFilter(filter), filteredAsins: candidates.length }),
         rankedBy: rankBy,
+        ...(rankBy === 'composite' && { weights: compositeScore.resolveWeights(weights) }),
+        returnPenalty,
+        ...(selection && { diversity: { ...selection.summary, skippedProducts: selection.skipped } }),
         topN: topProducts.length
       }
     });
@@ -185,6 +471,168 @@ app.post('/api/rank', async (req, res) => {
   }
 });
 
+// API: Per-tag / per-property leaderboards
+app.post('/api/leaderboards', async (req, res) => {
+  try {
+    const { products, rankBy = 'ordered_items', topN = 10, returnPenalty = 0 } = req.body;
+    
+    if (!products || !Array.isArray(products)) {
+      return res.status(400).json({ error: 'Invalid products array' });
+    }
+    let filter;
+    let properties;
+    try {
+      filter = filterFromRequest(req.body.filter);
+      properties = propertiesFromRequest(req.body.properties);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.log(`Building leaderboards for ${products.length} products (top ${topN} by ${rankBy})`);
+    
+    const result = tagLeaderboards.buildLeaderboards(aggregator.aggregateByAsin(products), {
+      properties,
+      rankBy,
+      topN,
+      returnPenalty,
+      weights: weightsFromRequest(req.body.weights),
+      priorStrength: priorStrengthFromRequest(req.body.priorStrength),
+      filters: filter || {},
+    });
+    if (!result.success) {
+      return res.status(400).json({ error: result.error });
+    }
+    
+    res.json(result);
+  } catch (error) {
+    console.error('Leaderboards error:', error);
+    res.status(500).json({ 
+      error: error.message,
+      details: error.stack 
+    });
+  }
+});
+
+// API: Label products with clusters
+app.post('/api/cluster', async (req, res) => {
+  try {
+    const { products } = req.body;
+    const { clusterBy = 'price_range', options } = clusterSettingsFromRequest(req.body);
+    
+    if (!products || !Array.isArray(products)) {
+      return res.status(400).json({ error: 'Invalid products array' });
+    }
+    if (!clustering.CLUSTER_STRATEGIES[clusterBy]) {
+      return res.status(400).json({ error: `Invalid clustering strategy: ${clusterBy}` });
+    }
+
+    console.log(`Clustering ${products.length} products by ${clusterBy}`);
+    
+    const result = clustering.assignClusters(products, clusterBy, options);
+    
+    res.json({
+      success: true,
+      products,
+      ...result
+    });
+  } catch (error) {
+    console.error('Cluster error:', error);
+    res.status(500).json({ 
+      error: error.message,
+      details: error.stack 
+    });
+  }
+});
+
+// API: Pareto / ABC analysis of aggregated ASINs
+app.post('/api/analysis/pareto', async (req, res) => {
+  try {
+    const { products, metric = 'earnings', thresholds = defaultAbcThresholds, curvePoints } = req.body;
+    
+    if (!products || !Array.isArray(products)) {
+      return res.status(400).json({ error: 'Invalid products array' });
+    }
+    
+    let options;
+    try {
+      options = paretoAnalysis.resolveParetoOptions({
+        metric,
+        thresholds,
+        ...(curvePoints !== undefined && { curvePoints: Number(curvePoints) }),
+      });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.log(`Pareto analysis of ${products.length} ASINs by ${metric}`);
+    
+    res.json(paretoAnalysis.analyzePareto(products, options));
+  } catch (error) {
+    console.error('Pareto error:', error);
+    res.status(500).json({ 
+      error: error.message,
+      details: error.stack 
+    });
+  }
+});
+
+// API: Flag ASINs whose clicks don't convert
+app.post('/api/anomalies', async (req, res) => {
+  try {
+    const { products, zThreshold, minClicks } = req.body;
+    
+    if (!products || !Array.isArray(products)) {
+      return res.status(400).json({ error: 'Invalid products array' });
+    }
+    
+    let options;
+    try {
+      options = anomalyDetection.resolveAnomalyOptions({
+        ...(zThreshold !== undefined && { zThreshold: Number(zThreshold) }),
+        ...(minClicks !== undefined && { minClicks: Number(minClicks) }),
+      });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.log(`Checking ${products.length} ASINs for click anomalies`);
+    
+    res.json(anomalyDetection.detectAnomalies(products, options));
+  } catch (error) {
+    console.error('Anomalies error:', error);
+    res.status(500).json({ 
+      error: error.message,
+      details: error.stack 
+    });
+  }
+});
+
+// API: Compare two periods' aggregated ASINs
+app.post('/api/trends', async (req, res) => {
+  try {
+    const { previous, current, metric, threshold } = req.body;
+    
+    if (!Array.isArray(previous) || !Array.isArray(current)) {
+      return res.status(400).json({ error: 'previous and current must be aggregated arrays' });
+    }
+
+    console.log(`Comparing ${previous.length} previous with ${current.length} current ASINs`);
+    
+    const comparison = trendAnalysis.comparePeriods(previous, current, {
+      trendMetric: metric,
+      ...(threshold !== undefined && { trendThreshold: Number(threshold) }),
+    });
+    
+    res.json(comparison);
+  } catch (error) {
+    console.error('Trends error:', error);
+    res.status(500).json({ 
+      error: error.message,
+      details: error.stack 
+    });
+  }
+});
+
 // API: Enrich with PA-API
 app.post('/api/enrich', async (req, res) => {
   try {
@@ -210,29 +658,137 @@ app.post('/api/enrich', async (req, res) => {
   }
 });
 
+/**
+ * Finds an upload too big to read whole: XLSX/XLS and zip archives always
+ * are, and so is every report that is merged or joined by sheet first
+ * @param {Object[]} files - Uploaded files
+ * @param {boolean} streamed - Whether the pipeline would stream these files
+ * @returns {Promise<string|null>} Error message, or null if all fit
+ */
+async function checkWholeFileSizes(files, streamed) {
+  for (const file of files) {
+    if (file.size <= MAX_WHOLE_FILE_BYTES) continue;
+    if (streamed && await reportFiles.isStreamable(file.path)) continue;
+    
+    const sizeMb = Math.ceil(file.size / (1024 * 1024));
+    return `${file.originalname} is ${sizeMb}MB. Only single CSV/TSV reports (plain or gzipped) are streamed; ` +
+      `spreadsheets, zip archives and merged or multi-sheet reports are limited to ${MAX_WHOLE_FILE_BYTES / (1024 * 1024)}MB`;
+  }
+  return null;
+}
+
 // API: Complete pipeline (all steps)
-app.post('/api/pipeline', upload.single('file'), async (req, res) => {
+// One report in `file`, or several (per tracking ID, per month) in `files`;
+// an earlier period's report in `previousFile` adds trends
+const MAX_PIPELINE_FILES = 20;
+app.post('/api/pipeline', streamingUpload.fields([
+  { name: 'file', maxCount: 1 },
+  { name: 'files', maxCount: MAX_PIPELINE_FILES },
+  { name: 'previousFile', maxCount: 1 },
+]), async (req, res) => {
+  const uploads = [...(req.files?.file || []), ...(req.files?.files || [])];
+  const previousUpload = req.files?.previousFile?.[0];
   try {
-    if (!req.file) {
+    if (uploads.length === 0) {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    const { rankBy = 'ordered_items', topN = 10 } = req.body;
+    const { rankBy = 'ordered_items', topN = 10, dedupe = 'overlap' } = req.body;
+    const returnPenalty = parseFloat(req.body.returnPenalty) || 0;
+    const weights = weightsFromRequest(req.body.weights);
+    const priorStrength = priorStrengthFromRequest(req.body.priorStrength);
+    const parseOptions = parseOptionsFromRequest(req.body, uploads[0]);
+    let filter;
+    let diversity;
+    let properties;
+    try {
+      filter = filterFromRequest(req.body.filter);
+      diversity = diversityFromRequest(req.body.diversity);
+      properties = propertiesFromRequest(req.body.properties);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    const capAfterEnrichment = diversity && diversitySelection.needsEnrichment(diversity);
+    
+    const tooBig = await checkWholeFileSizes(uploads, uploads.length === 1 && !parseOptions.multiSheet)
+      || await checkWholeFileSizes([previousUpload].filter(Boolean), true);
+    if (tooBig) {
+      return res.status(413).json({ error: tooBig });
+    }
 
     console.log('\n🚀 Starting full pipeline...');
-    console.log(`File: ${req.file.originalname}`);
+    console.log(`File${uploads.length > 1 ? 's' : ''}: ${uploads.map(file => file.originalname).join(', ')}`);
     console.log(`Rank by: ${rankBy}, Top: ${topN}\n`);
 
-    // Step 1: Parse
-    console.log('Step 1/4: Parsing...');
-    const parseResult = await parser.parseFile(req.file.path);
+    // Step 1 + 2: Parse, Aggregate & Rank (streamed row-by-row unless
+    // workbook sheets have to be joined or several reports merged first)
+    console.log('Step 1-2/3: Parsing, Aggregating & Ranking...');
+    let parseResult;
+    if (uploads.length > 1) {
+      parseResult = await reportMerger.parseFiles(
+        uploads.map(file => ({ path: file.path, name: file.originalname })),
+        { ...parseOptions, dedupe }
+      );
+    } else if (parseOptions.multiSheet) {
+      parseResult = await parser.parseFile(uploads[0].path, parseOptions);
+    } else {
+      parseResult = parser.streamFile(uploads[0].path, parseOptions);
+    }
+    if (parseResult.success === false) {
+      throw new Error(parseResult.error);
+    }
+    let previous;
+    if (previousUpload) {
+      console.log(`Previous period: ${previousUpload.originalname}`);
+      const previousParse = parser.streamFile(previousUpload.path, parseOptionsFromRequest(req.body, previousUpload));
+      previous = await aggregator.aggregateByAsinStream(previousParse.products);
+    }
+    const rankOptions = {
+      rankBy,
+      // Brand, cluster and title caps backfill from a bigger enriched pool
+      topN: capAfterEnrichment ? Number(topN) * DIVERSITY_POOL_FACTOR : topN,
+      ...(diversity && !capAfterEnrichment && { diversity }),
+      returnPenalty,
+      weights,
+      priorStrength,
+      previous,
+      ...(req.body.trendMetric && { trendMetric: req.body.trendMetric }),
+      paretoMetric: req.body.paretoMetric === 'none' ? undefined : req.body.paretoMetric || defaultParetoMetric,
+      abcThresholds: defaultAbcThresholds,
+      anomalies: req.body.anomalies === 'true',
+      excludeAnomalies: req.body.excludeAnomalies === 'true',
+      ...(req.body.anomalyThreshold && { anomalyThreshold: parseFloat(req.body.anomalyThreshold) }),
+      ...(req.body.anomalyMinClicks && { anomalyMinClicks: parseFloat(req.body.anomalyMinClicks) }),
+      ...seriesOptionsFromRequest(req.body),
+      // Enrichment fields (title, price, ...) are checked again once known
+      ...(filter && { filters: filter, beforeEnrichment: true }),
+      parseMetadata: parseResult.metadata,
+    };
+    const recheckFilter = filter && filterExpression.usesEnrichmentFields(filter);
+    
+    // Per-property leaderboards need every aggregated ASIN, not just the overall top N
+    const byProperty = req.body.byProperty === 'true';
+    let rankResult;
+    let leaderboardResult = null;
+    if (byProperty) {
+      // Same bucket default as aggregateAndRankStream (days for recency_weighted)
+      const seriesOptions = aggregator.resolveBucket(rankOptions);
+      const aggregated = await aggregator.aggregateByAsinStream(parseResult.products, seriesOptions);
+      rankResult = aggregator.rankAggregated(aggregated, seriesOptions);
+      leaderboardResult = tagLeaderboards.buildLeaderboards(aggregated, { ...rankOptions, topN, properties });
+      if (!leaderboardResult.success) {
+        throw new Error(leaderboardResult.error);
+      }
+    } else {
+      rankResult = await aggregator.aggregateAndRankStream(parseResult.products, rankOptions);
+    }
+    if (!rankResult.success) {
+      throw new Error(rankResult.error);
+    }
+    const validation = parseResult.validation;
     console.log(`✅ Parsed ${parseResult.metadata.validProducts} products`);
-
-    // Step 2: Aggregate & Rank (combined)
-    console.log('Step 2/3: Aggregating & Ranking...');
-    const rankResult = aggregator.aggregateAndRank(parseResult.products, { rankBy, topN });
     console.log(`✅ Found ${rankResult.metadata.totalProducts} unique ASINs`);
-    console.log(`✅ Ranked top ${rankResult.products.length} products`);
+    console.log(`✅ Ranked top ${rankResult.products.length} products${capAfterEnrichment ? ' (diversity pool)' : ''}`);
 
     // Step 3: Enrich
     console.log('Step 3/3: Enriching with PA-API...');
@@ -244,6 +800,12 @@ app.post('/api/pipeline', upload.single('file'), async (req, res) => {
     
     const enrichResult = await paApi.enrichProducts(rankResult, config.paApi);
     
+    // Discounts are only known after enrichment, so re-rank the enriched top N with them
+    const shares = rankBy === 'composite' ? compositeScore.resolveWeights(weights) : {};
+    if (shares.discount_percentage && enrichResult.products?.length) {
+      enrichResult.products = aggregator.rankProducts(enrichResult.products, 'composite', { returnPenalty, weights });
+    }
+    
     console.log('Enrich result structure:', JSON.stringify({
       success: enrichResult.success,
       productsCount: enrichResult.products?.length,
@@ -252,14 +814,55 @@ app.post('/api/pipeline', upload.single('file'), async (req, res) => {
     }));
     
     // Safe metadata extraction
-    const enrichedCount = enrichResult.metadata?.enrichedCount || enrichResult.products?.length || 0;
+    const enrichedCount = enrichResult.metadata?.enrichedCount ?? 0;
     const totalAsins = enrichResult.metadata?.totalAsins || rankResult.products.length;
     const successRate = enrichResult.metadata?.successRate || (enrichedCount / totalAsins) || 0;
     
     console.log(`✅ Enriched ${enrichedCount}/${totalAsins} (${(successRate * 100).toFixed(1)}%)`);
-
-    // Clean up temp file
-    await fs.unlink(req.file.path).catch(() => {});
+    
+    // Cluster labels need enrichment data (offer price, browse node)
+    const { clusterBy, options: clusterOptions } = clusterSettingsFromRequest(req.body);
+    const clusterResult = clusterBy && enrichResult.products?.length
+      ? clustering.assignClusters(enrichResult.products, clusterBy, clusterOptions)
+      : null;
+    if (recheckFilter && enrichResult.products) {
+      enrichResult.products = refilterEnriched(enrichResult.products, filter);
+      console.log(`✅ ${enrichResult.products.length} enriched products match the filter`);
+    }
+    const diversityResult = capAfterEnrichment && enrichResult.products
+      ? diversitySelection.selectDiverse(enrichResult.products, Number(topN), diversity)
+      : null;
+    if (diversityResult) {
+      enrichResult.products = diversityResult.products;
+      console.log(`✅ Selected ${diversityResult.products.length} products (${diversityResult.skipped.length} skipped by diversity caps)`);
+    }
+    
+    // Each property's top N, enriched with its own associate tag for links
+    const leaderboards = {};
+    for (const [name, leaderboard] of Object.entries(leaderboardResult?.leaderboards || {})) {
+      console.log(`Enriching ${name} leaderboard (${leaderboard.products.length} products)...`);
+      const propertyEnrichment = await paApi.enrichProducts(
+        { success: true, products: leaderboard.products, metadata: leaderboard.metadata },
+        { ...config.paApi, ...(leaderboard.associateTag && { associateTag: leaderboard.associateTag }) }
+      );
+      if (clusterBy && propertyEnrichment.products?.length) {
+        clustering.assignClusters(propertyEnrichment.products, clusterBy, clusterOptions);
+      }
+      if (recheckFilter && propertyEnrichment.products) {
+        propertyEnrichment.products = refilterEnriched(propertyEnrichment.products, filter);
+      }
+      // No bigger pool per property: capped products aren't backfilled
+      if (capAfterEnrichment && propertyEnrichment.products) {
+        propertyEnrichment.products = diversitySelection.selectDiverse(propertyEnrichment.products, null, diversity).products;
+      }
+      leaderboards[name] = {
+        tags: leaderboard.tags,
+        associateTag: leaderboard.associateTag,
+        totalAsins: leaderboard.metadata.totalProducts,
+        products: propertyEnrichment.products || [],
+        failed: propertyEnrichment.failed || []
+      };
+    }
 
     console.log('\n🎉 Pipeline complete!\n');
 
@@ -267,20 +870,46 @@ app.post('/api/pipeline', upload.single('file'), async (req, res) => {
       success: true,
       parse: {
         totalProducts: parseResult.metadata.validProducts,
-        source: parseResult.metadata.source
+        source: parseResult.metadata.format,
+        reportPeriod: parseResult.metadata.reportPeriod,
+        validation: validation && {
+          valid: validation.valid,
+          counts: validation.counts,
+          byCode: validation.byCode,
+        },
+        reconciliation: parseResult.metadata.reconciliation,
+        ...(rankResult.metadata.sources && {
+          duplicateRows: rankResult.metadata.duplicateRows,
+          sources: rankResult.metadata.sources
+        })
       },
       aggregate: {
         uniqueAsins: rankResult.metadata.totalProducts
       },
       rank: {
-        topN: rankResult.products.length,
-        rankedBy: rankBy
+        topN: diversityResult ? diversityResult.products.length : rankResult.products.length,
+        rankedBy: rankBy,
+        ...(rankResult.metadata.filter && { filter: rankResult.metadata.filter, filteredAsins: rankResult.metadata.filteredProducts }),
+        ...(rankResult.metadata.weights && { weights: rankResult.metadata.weights }),
+        ...(rankResult.metadata.prior && { prior: rankResult.metadata.prior }),
+        ...(rankResult.metadata.trends && { trends: rankResult.metadata.trends }),
+        ...(rankResult.metadata.pareto && { pareto: rankResult.metadata.pareto }),
+        ...(rankResult.metadata.anomalies && { anomalies: rankResult.metadata.anomalies }),
+        ...(diversityResult && { diversity: { ...diversityResult.summary, skippedProducts: diversityResult.skipped } }),
+        ...(!diversityResult && rankResult.metadata.diversity && { diversity: rankResult.metadata.diversity }),
+        ...(rankResult.metadata.timeSeries && { timeSeries: rankResult.metadata.timeSeries })
       },
       enrich: {
         enrichedCount: enrichedCount,
         successRate: successRate
       },
+      ...(clusterResult && { clusters: clusterResult }),
       products: enrichResult.products || [],
+      ...(leaderboardResult && {
+        leaderboards,
+        tags: leaderboardResult.metadata.tags,
+        unassignedTags: leaderboardResult.metadata.unassignedTags
+      }),
       failed: enrichResult.failed || [],
       errors: enrichResult.errors || []
     });
@@ -291,6 +920,9 @@ app.post('/api/pipeline', upload.single('file'), async (req, res) => {
       error: error.message,
       details: error.stack 
     });
+  } finally {
+    // Clean up temp files
+    await Promise.all([...uploads, previousUpload].filter(Boolean).map(file => fs.unlink(file.path).catch(() => {})));
   }
 });
 
@@ -319,6 +951,7 @@ app.post('/api/feed/sales-only', express.json({ limit: '50mb' }), async (req, re
       associateTag: config.paApi.associateTag,
       publisherName: 'mula',
       credentialName: 'primary',
+      pareto: req.body.pareto,
     });
     
     res.json({
@@ -366,6 +999,7 @@ app.post('/api/feed/sales-only/download', express.json({ limit: '50mb' }), async
       associateTag: config.paApi.associateTag,
       publisherName: 'mula',
       credentialName: 'primary',
+      pareto: req.body.pareto,
     });
     
     // Create feed object
@@ -393,6 +1027,14 @@ app.post('/api/feed/sales-only/download', express.json({ limit: '50mb' }), async
   }
 });
 
+// API: List ranking strategies (built-in and from config.feed.strategyModules)
+app.get('/api/strategies', (req, res) => {
+  res.json({
+    success: true,
+    strategies: rankingStrategies.listStrategies(),
+  });
+});
+
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({ 
@@ -425,8 +1067,17 @@ app.listen(PORT, () => {
   console.log('Available endpoints:');
   console.log('  GET  / - Test harness UI');
   console.log('  POST /api/parse - Parse AA report');
+  console.log('  GET  /api/mapping-profiles - List column mapping profiles');
+  console.log('  POST /api/mapping-profiles - Save a column mapping profile');
+  console.log('  DELETE /api/mapping-profiles/:name - Delete a mapping profile');
   console.log('  POST /api/aggregate - Aggregate ASINs');
   console.log('  POST /api/rank - Rank ASINs');
+  console.log('  GET  /api/strategies - List ranking strategies');
+  console.log('  POST /api/leaderboards - Rank per property or tracking ID');
+  console.log('  POST /api/cluster - Cluster products');
+  console.log('  POST /api/analysis/pareto - Pareto / ABC analysis');
+  console.log('  POST /api/anomalies - Flag ASINs whose clicks do not convert');
+  console.log('  POST /api/trends - Compare two periods');
   console.log('  POST /api/enrich - Enrich with PA-API');
   console.log('  POST /api/pipeline - Complete pipeline');
   console.log('  POST /api/feed/sales-only - Get sales-only feed JSON');